@@ -0,0 +1,190 @@
+// Mock of the backend's auth, history and workflow endpoints for working on
+// sign-in without the full stack. No dependencies:
+//
+//   JWT_EXPIRATION=30 node frontend/mock/authServer.js
+//
+// Listens on PORT (8000) under /api like the real backend, so the frontend's
+// default REACT_APP_API_URL works unchanged. Users are `alice` and `bob`,
+// both with the password `password` (or MOCK_USERS=name:password,...).
+// Tokens are HS256 JWTs signed with JWT_SECRET and expire after
+// JWT_EXPIRATION seconds; a short expiration exercises the silent refresh
+// and the sign-in-again flow. Workflows are kept in memory per user, and
+// each user's history starts with one entry naming them, so it is easy to
+// see whose data the editor shows.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8000;
+const JWT_SECRET = process.env.JWT_SECRET || 'defaultdevjwtsecret';
+const JWT_EXPIRATION = Number(process.env.JWT_EXPIRATION) || 86400;
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',');
+
+const USERS = (process.env.MOCK_USERS || 'alice:password,bob:password')
+  .split(',')
+  .map((entry, index) => {
+    const [username, password] = entry.split(':');
+    return { id: String(index + 1), username, password };
+  });
+
+// refresh token -> user id; refreshing rotates the token
+const refreshTokens = new Map();
+// user id -> history entries / workflows
+const histories = new Map();
+const workflows = new Map();
+let nextId = 1;
+
+const base64Url = value => Buffer.from(value).toString('base64url');
+
+const signToken = (user) => {
+  const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const now = Math.floor(Date.now() / 1000);
+  const payload = base64Url(JSON.stringify({ sub: user.id, username: user.username, iat: now, exp: now + JWT_EXPIRATION }));
+  const signature = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+// The user a bearer token belongs to, or null when it is missing, forged
+// or expired
+const verifyToken = (token) => {
+  const [header, payload, signature] = (token || '').split('.');
+  if (!signature) return null;
+  const expected = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest('base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (e) {
+    return null;
+  }
+  if (claims.exp * 1000 < Date.now()) return null;
+  return USERS.find(user => user.id === claims.sub) || null;
+};
+
+const issueTokens = (user) => {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  refreshTokens.set(refreshToken, user.id);
+  return {
+    accessToken: signToken(user),
+    refreshToken,
+    expiresIn: JWT_EXPIRATION,
+    user: { id: user.id, username: user.username },
+  };
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, body === undefined ? {} : { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const readBody = req => new Promise((resolve) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString() || '{}'));
+    } catch (e) {
+      resolve({});
+    }
+  });
+});
+
+const handleAuth = async (req, res, route) => {
+  const body = await readBody(req);
+
+  if (route === 'login') {
+    const user = USERS.find(({ username, password }) => username === body.username && password === body.password);
+    if (!user) return send(res, 401, { detail: 'Incorrect username or password' });
+    return send(res, 200, issueTokens(user));
+  }
+
+  if (route === 'refresh') {
+    const userId = refreshTokens.get(body.refreshToken);
+    if (!userId) return send(res, 401, { detail: 'Invalid refresh token' });
+    refreshTokens.delete(body.refreshToken);
+    // A refresh only hands out new tokens
+    const tokens = issueTokens(USERS.find(({ id }) => id === userId));
+    delete tokens.user;
+    return send(res, 200, tokens);
+  }
+
+  if (route === 'logout') {
+    refreshTokens.delete(body.refreshToken);
+    return send(res, 204);
+  }
+
+  return send(res, 404, { detail: 'Not found' });
+};
+
+const handleRequest = async (req, res, user, path) => {
+  if (req.method === 'GET' && path === '/auth/me') {
+    return send(res, 200, { id: user.id, username: user.username });
+  }
+
+  if (req.method === 'GET' && path === '/history') {
+    if (!histories.has(user.id)) {
+      histories.set(user.id, [{
+        id: String(nextId++),
+        operationName: `Sample edit by ${user.username}`,
+        thumbnailUrl: null,
+        timestamp: new Date().toISOString(),
+      }]);
+    }
+    return send(res, 200, histories.get(user.id));
+  }
+
+  if (!workflows.has(user.id)) workflows.set(user.id, []);
+  const userWorkflows = workflows.get(user.id);
+  if (path === '/workflows') {
+    if (req.method === 'GET') return send(res, 200, userWorkflows);
+    if (req.method === 'POST') {
+      const workflow = { ...(await readBody(req)), id: String(nextId++) };
+      userWorkflows.push(workflow);
+      return send(res, 201, workflow);
+    }
+  }
+
+  const workflowMatch = path.match(/^\/workflows\/([^/]+)$/);
+  if (workflowMatch) {
+    const index = userWorkflows.findIndex(({ id }) => id === workflowMatch[1]);
+    if (index === -1) return send(res, 404, { detail: 'Workflow not found' });
+    if (req.method === 'GET') return send(res, 200, userWorkflows[index]);
+    if (req.method === 'PUT') {
+      userWorkflows[index] = { ...(await readBody(req)), id: userWorkflows[index].id };
+      return send(res, 200, userWorkflows[index]);
+    }
+    if (req.method === 'DELETE') {
+      userWorkflows.splice(index, 1);
+      return send(res, 204);
+    }
+  }
+
+  return send(res, 404, { detail: `${req.method} ${path} is not mocked` });
+};
+
+const server = http.createServer(async (req, res) => {
+  const origin = req.headers.origin;
+  if (CORS_ORIGINS.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Content-Range, Idempotency-Key');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
+  }
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (!pathname.startsWith('/api/')) return send(res, 404, { detail: 'Not found' });
+  const path = pathname.slice('/api'.length);
+
+  const authMatch = path.match(/^\/auth\/(login|refresh|logout)$/);
+  if (authMatch && req.method === 'POST') return handleAuth(req, res, authMatch[1]);
+
+  const user = verifyToken(req.headers.authorization?.replace(/^Bearer /, ''));
+  if (!user) return send(res, 401, { detail: 'Not authenticated' });
+  return handleRequest(req, res, user, path);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock auth server on http://localhost:${PORT}/api (tokens expire after ${JWT_EXPIRATION}s)`);
+});
@@ -0,0 +1,214 @@
+// Mock of the backend's job progress WebSocket (see
+// src/services/jobSocket.js for the protocol), for working on job progress
+// and cancelling without the full stack. No dependencies:
+//
+//   node frontend/mock/jobServer.js
+//
+// Listens on PORT (8000) at /ws like the real backend. Subscribing to a job
+// id the server hasn't seen starts a fake job that steps from 0 to 100%
+// every JOB_STEP_MS (200) milliseconds; `cancel` stops it. DROP_EVERY (ms)
+// closes every connection that often, to exercise reconnecting.
+//
+// Tests attach it to their own server with `attachJobSocket`.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(payload.length, 2);
+    header[1] = 126;
+  } else {
+    // 64-bit length; job messages never need the high 32 bits
+    header = Buffer.alloc(10);
+    header.writeUInt32BE(payload.length, 6);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+};
+
+// Split complete client frames off `buffer`; returns [frames, rest]
+const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = buffer[offset + 1] & 0x80;
+    let length = buffer[offset + 1] & 0x7f;
+    let headerLength = 2;
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = buffer.readUInt32BE(offset + 6);
+      headerLength = 10;
+    }
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length - offset < headerLength + maskLength + length) break;
+
+    const mask = buffer.subarray(offset + headerLength, offset + headerLength + maskLength);
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset += headerLength + maskLength + length;
+  }
+  return [frames, buffer.subarray(offset)];
+};
+
+// Serve the job socket on `server` at `path`. Returns a handle for tests:
+//
+//   jobs               job id -> { jobId, status, progress, message }
+//   connections        every connection so far, as { token, subscriptions }
+//   refused            how many connections were answered with a 503
+//   dropConnections()  close all open connections, like a network blip
+//   refuseConnections(refuse)  answer new connections with a 503 or not
+//   close()            stop the jobs and close all connections
+const attachJobSocket = (server, { path = '/ws', stepInterval = 200, steps = 10 } = {}) => {
+  const jobs = new Map();
+  const timers = new Map();
+  const connections = [];
+  const sockets = new Set();
+  let refusing = false;
+  let refused = 0;
+
+  const sendMessage = (socket, message) => {
+    if (!socket.destroyed) socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+  };
+
+  const publish = (job) => {
+    sockets.forEach((socket) => {
+      if (socket.connection.subscriptions.has(job.jobId)) sendMessage(socket, { type: 'job', ...job });
+    });
+  };
+
+  const stopJob = (jobId) => {
+    clearInterval(timers.get(jobId));
+    timers.delete(jobId);
+  };
+
+  const startJob = (jobId) => {
+    const job = { jobId, status: 'queued', progress: 0, message: null };
+    jobs.set(jobId, job);
+    let step = 0;
+    timers.set(jobId, setInterval(() => {
+      step += 1;
+      job.progress = Math.round((step / steps) * 100);
+      job.status = step >= steps ? 'finished' : 'running';
+      job.message = step >= steps ? 'Done' : `Step ${step} of ${steps}`;
+      if (step >= steps) stopJob(jobId);
+      publish(job);
+    }, stepInterval));
+  };
+
+  const handleMessage = (socket, text) => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      return;
+    }
+    const { type, jobId } = message || {};
+    if (!jobId) return;
+
+    if (type === 'subscribe') {
+      socket.connection.subscriptions.add(jobId);
+      if (!jobs.has(jobId)) startJob(jobId);
+      sendMessage(socket, { type: 'job', ...jobs.get(jobId) });
+    } else if (type === 'unsubscribe') {
+      socket.connection.subscriptions.delete(jobId);
+    } else if (type === 'cancel') {
+      const job = jobs.get(jobId);
+      if (!job || !timers.has(jobId)) return;
+      stopJob(jobId);
+      Object.assign(job, { status: 'cancelled', message: 'Cancelled' });
+      publish(job);
+    }
+  };
+
+  server.on('upgrade', (req, socket) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const key = req.headers['sec-websocket-key'];
+    if (pathname !== path || !key || refusing) {
+      if (refusing) refused += 1;
+      socket.end(`HTTP/1.1 ${refusing ? '503 Service Unavailable' : '400 Bad Request'}\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '\r\n',
+    ].join('\r\n'));
+
+    socket.connection = { token: searchParams.get('token'), subscriptions: new Set() };
+    connections.push(socket.connection);
+    sockets.add(socket);
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      const [frames, rest] = decodeFrames(Buffer.concat([buffer, chunk]));
+      buffer = rest;
+      frames.forEach(({ opcode, payload }) => {
+        if (opcode === OPCODES.text) handleMessage(socket, payload.toString());
+        else if (opcode === OPCODES.ping) socket.write(encodeFrame(OPCODES.pong, payload));
+        else if (opcode === OPCODES.close) socket.end(encodeFrame(OPCODES.close));
+      });
+    });
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => sockets.delete(socket));
+  });
+
+  const dropConnections = () => {
+    sockets.forEach(socket => socket.destroy());
+    sockets.clear();
+  };
+
+  return {
+    jobs,
+    connections,
+    get refused() {
+      return refused;
+    },
+    dropConnections,
+    refuseConnections: (refuse = true) => {
+      refusing = refuse;
+    },
+    close: () => {
+      timers.forEach(timer => clearInterval(timer));
+      timers.clear();
+      dropConnections();
+    },
+  };
+};
+
+module.exports = { attachJobSocket };
+
+if (require.main === module) {
+  const PORT = Number(process.env.PORT) || 8000;
+  const server = http.createServer((req, res) => {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ detail: 'Only the job socket is mocked here' }));
+  });
+  const jobSocket = attachJobSocket(server, { stepInterval: Number(process.env.JOB_STEP_MS) || 200 });
+  const dropEvery = Number(process.env.DROP_EVERY);
+  if (dropEvery) setInterval(jobSocket.dropConnections, dropEvery);
+
+  server.listen(PORT, () => {
+    console.log(`Mock job socket on ws://localhost:${PORT}/ws`);
+  });
+}
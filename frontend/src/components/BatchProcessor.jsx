@@ -0,0 +1,251 @@
+import React, { useState, useRef, useCallback, useEffect } from 'react';
+import { useDropzone } from 'react-dropzone';
+import { toast } from 'react-hot-toast';
+import { Button, Spinner } from './components/ui';
+
+import { applyFilter } from '../services/imageProcessingApi';
+import { uploadImageFile } from '../services/uploadApi';
+import { createJobId } from '../services/jobSocket';
+import { createZip } from '../utils/zip';
+import { base64ToBytes, downloadBlob, getBaseName } from '../utils/download';
+import { EXPORT_FORMATS } from '../utils/exportImage';
+import { ACCEPTED_IMAGE_TYPES, MAX_UPLOAD_SIZE, describeRejection } from '../utils/imageFormats';
+import JobProgress from './JobProgress';
+
+// Files uploaded/processed at the same time
+const BATCH_CONCURRENCY = 3;
+const ACTIVE_STATUSES = ['uploading', 'processing'];
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  uploading: 'Uploading',
+  processing: 'Processing',
+  done: 'Done',
+  failed: 'Failed',
+};
+
+let nextItemId = 1;
+
+// File extension for a processed image; the backend sends JPEG unless it
+// says otherwise
+const getExtension = mimeType => (
+  Object.values(EXPORT_FORMATS).find(format => format.mimeType === (mimeType || 'image/jpeg'))?.extension
+  || mimeType.split('/')[1]
+);
+
+// Batch view: runs one operation list over many images. `operationSources`
+// is a list of `{ id, label, operations }` the user can choose from.
+const BatchProcessor = ({ operationSources }) => {
+  const [items, setItems] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [sourceId, setSourceId] = useState(operationSources[0]?.id);
+  // Operation list captured when the run starts so edits mid-run don't mix
+  const runOperationsRef = useRef(null);
+
+  const selectedSource = operationSources.find(source => source.id === sourceId) || operationSources[0];
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  const onDrop = useCallback((acceptedFiles, fileRejections = []) => {
+    fileRejections.forEach(rejection => toast.error(describeRejection(rejection)));
+    setItems(prev => [
+      ...prev,
+      ...acceptedFiles.map(file => ({
+        id: nextItemId++,
+        file,
+        name: file.name,
+        status: 'queued',
+        progress: 0,
+        error: null,
+        imageId: null,
+        jobId: null,
+        result: null,
+        mimeType: null,
+      }))
+    ]);
+  }, []);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: ACCEPTED_IMAGE_TYPES,
+    maxSize: MAX_UPLOAD_SIZE,
+  });
+
+  const processItem = useCallback(async (item) => {
+    try {
+      let { imageId } = item;
+
+      // Uploads are kept across retries so a failed filter doesn't re-upload
+      if (!imageId) {
+        updateItem(item.id, { status: 'uploading', progress: 10, error: null });
+        ({ imageId } = await uploadImageFile(item.file, {
+          // Uploading is the first half of an item's progress bar
+          onProgress: (loaded, total) => updateItem(item.id, { progress: 10 + (loaded / total) * 40 })
+        }));
+      }
+
+      const jobId = createJobId();
+      updateItem(item.id, { status: 'processing', progress: 50, imageId, jobId });
+      const data = await applyFilter({ imageId, operations: runOperationsRef.current, jobId });
+      updateItem(item.id, { status: 'done', progress: 100, result: data.processedImage, mimeType: data.mimeType });
+    } catch (error) {
+      updateItem(item.id, { status: 'failed', error: error.message });
+    }
+  }, [updateItem]);
+
+  // Keep up to BATCH_CONCURRENCY items in flight while the batch is running
+  useEffect(() => {
+    if (!isRunning) return;
+
+    const activeCount = items.filter(item => ACTIVE_STATUSES.includes(item.status)).length;
+    const next = items
+      .filter(item => item.status === 'queued')
+      .slice(0, BATCH_CONCURRENCY - activeCount);
+
+    if (!activeCount && !next.length) {
+      setIsRunning(false);
+      const failedCount = items.filter(item => item.status === 'failed').length;
+      if (failedCount) {
+        toast.error(`Batch finished with ${failedCount} failed image${failedCount === 1 ? '' : 's'}`);
+      } else {
+        toast.success('Batch processing complete');
+      }
+      return;
+    }
+
+    next.forEach(item => {
+      // Mark as started right away so the next pass doesn't pick it up again
+      updateItem(item.id, { status: item.imageId ? 'processing' : 'uploading' });
+      processItem(item);
+    });
+  }, [items, isRunning, processItem, updateItem]);
+
+  const handleStart = () => {
+    if (!selectedSource) return;
+    runOperationsRef.current = selectedSource.operations;
+    setIsRunning(true);
+  };
+
+  // A retry after the run finished uses the operations selected now; one
+  // during the run joins it with the run's operations
+  const handleRetry = (item) => {
+    if (!isRunning) runOperationsRef.current = selectedSource.operations;
+    updateItem(item.id, { status: 'queued', progress: item.imageId ? 50 : 0, error: null });
+    setIsRunning(true);
+  };
+
+  const handleRetryFailed = () => {
+    items.filter(item => item.status === 'failed').forEach(handleRetry);
+  };
+
+  const handleRemove = (id) => {
+    setItems(prev => prev.filter(item => item.id !== id));
+  };
+
+  const handleDownload = () => {
+    const usedNames = new Set();
+    const files = items
+      .filter(item => item.status === 'done')
+      .map(item => {
+        const baseName = `${getBaseName(item.name)}-processed`;
+        const extension = getExtension(item.mimeType);
+        let name = `${baseName}.${extension}`;
+        for (let n = 2; usedNames.has(name); n++) name = `${baseName}-${n}.${extension}`;
+        usedNames.add(name);
+        return { name, data: base64ToBytes(item.result) };
+      });
+
+    downloadBlob(createZip(files), 'processed-images.zip');
+  };
+
+  const doneCount = items.filter(item => item.status === 'done').length;
+  const failedCount = items.filter(item => item.status === 'failed').length;
+  const queuedCount = items.filter(item => item.status === 'queued').length;
+  const overallProgress = items.length
+    ? items.reduce((sum, item) => sum + (item.status === 'failed' ? 100 : item.progress), 0) / items.length
+    : 0;
+
+  return (
+    <div className="batch-processor">
+      <div
+        {...getRootProps()}
+        className={`upload-area ${isDragActive ? 'active' : ''} ${items.length ? 'has-image' : ''}`}
+      >
+        <input {...getInputProps()} />
+        <div className="upload-content">
+          {isDragActive ? (
+            <p>Drop the images here...</p>
+          ) : (
+            <p>Drag & drop images to add them to the batch, or click to select</p>
+          )}
+        </div>
+      </div>
+
+      <div className="batch-toolbar">
+        <label>
+          Operations
+          <select
+            value={selectedSource?.id || ''}
+            onChange={e => setSourceId(e.target.value)}
+            disabled={isRunning}
+          >
+            {operationSources.map(source => (
+              <option key={source.id} value={source.id}>{source.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <Button onClick={handleStart} disabled={isRunning || !queuedCount || !selectedSource}>
+          {isRunning ? <Spinner size="sm" /> : `Process ${queuedCount} Image${queuedCount === 1 ? '' : 's'}`}
+        </Button>
+        <Button variant="secondary" onClick={handleRetryFailed} disabled={!failedCount}>
+          Retry Failed
+        </Button>
+        <Button variant="secondary" onClick={handleDownload} disabled={!doneCount || isRunning}>
+          Download ZIP
+        </Button>
+        <Button variant="secondary" onClick={() => setItems([])} disabled={isRunning || !items.length}>
+          Clear
+        </Button>
+      </div>
+
+      {items.length > 0 && (
+        <div className="batch-progress">
+          <div className="progress-bar">
+            <div className="progress-fill" style={{ width: `${overallProgress}%` }}></div>
+          </div>
+          <span>{doneCount} of {items.length} done{failedCount ? `, ${failedCount} failed` : ''}</span>
+        </div>
+      )}
+
+      <ul className="batch-items">
+        {items.map(item => (
+          <li key={item.id} className={`batch-item ${item.status}`}>
+            <div className="batch-item-info">
+              <span className="batch-item-name">{item.name}</span>
+              <small>{STATUS_LABELS[item.status]}</small>
+              {item.error && <small className="batch-item-error">{item.error}</small>}
+            </div>
+            {item.status === 'processing' && item.jobId ? (
+              <JobProgress key={item.jobId} jobId={item.jobId} compact />
+            ) : (
+              <div className="progress-bar">
+                <div className="progress-fill" style={{ width: `${item.progress}%` }}></div>
+              </div>
+            )}
+            {item.status === 'failed' && (
+              <button onClick={() => handleRetry(item)}>Retry</button>
+            )}
+            {!ACTIVE_STATUSES.includes(item.status) && (
+              <button onClick={() => handleRemove(item.id)}>Remove</button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default BatchProcessor;
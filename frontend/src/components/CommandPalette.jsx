@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { formatCombo } from '../utils/shortcuts';
+
+// Every word of the query has to appear in the command's group or label
+const matchesQuery = (command, query) => {
+  const text = `${command.group} ${command.label}`.toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+};
+
+// Ctrl+K palette: type to filter commands ({ id, label, group, run,
+// disabled }), arrows to pick, Enter to run
+const CommandPalette = ({ commands, bindings, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  const results = commands.filter(command => !command.disabled && matchesQuery(command, query));
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const runCommand = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      setActiveIndex(prev => Math.min(results.length - 1, prev + 1));
+    } else if (event.key === 'ArrowUp') {
+      setActiveIndex(prev => Math.max(0, prev - 1));
+    } else if (event.key === 'Enter') {
+      if (results[activeIndex]) runCommand(results[activeIndex]);
+    } else if (event.key === 'Escape') {
+      onClose();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal command-palette" onClick={e => e.stopPropagation()}>
+        <input
+          type="text"
+          autoFocus
+          placeholder="Search actions and workflows…"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+        <ul className="command-list" ref={listRef}>
+          {results.map((command, index) => (
+            <li
+              key={command.id}
+              className={`command-item ${index === activeIndex ? 'active' : ''}`}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => runCommand(command)}
+            >
+              <span className="command-group">{command.group}</span>
+              <span className="command-label">{command.label}</span>
+              {bindings[command.id]?.[0] && (
+                <kbd>{formatCombo(bindings[command.id][0])}</kbd>
+              )}
+            </li>
+          ))}
+          {results.length === 0 && <li className="command-empty">No matching actions</li>}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
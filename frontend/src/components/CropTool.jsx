@@ -0,0 +1,304 @@
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import { Button } from './components/ui';
+import {
+  clamp,
+  getTransformedSize,
+  parseAspectRatio,
+  renderGeometry,
+  resolveCropRect
+} from '../utils/imageOperations';
+import KeyboardSlider from './KeyboardSlider';
+
+const RATIO_PRESETS = ['1:1', '16:9', '4:3', '3:2'];
+const DISPLAY_MAX_SIZE = 720;
+const MIN_CROP_SIZE = 16;
+const CORNER_HANDLES = ['nw', 'ne', 'sw', 'se'];
+const ALL_HANDLES = [...CORNER_HANDLES, 'n', 's', 'e', 'w'];
+
+// Largest rect of `ratio` centered in `size`, or the whole image when free
+const defaultRect = (aspectRatio, size) => (
+  resolveCropRect({ aspectRatio }, size.width, size.height) || { x: 0, y: 0, ...size }
+);
+
+const roundRect = rect => ({
+  x: Math.round(rect.x),
+  y: Math.round(rect.y),
+  width: Math.round(rect.width),
+  height: Math.round(rect.height),
+});
+
+// Compute the crop rect after dragging `handle` by (dx, dy) image pixels
+const dragRect = (start, handle, dx, dy, ratio, size) => {
+  if (handle === 'move') {
+    return {
+      ...start,
+      x: clamp(start.x + dx, 0, size.width - start.width),
+      y: clamp(start.y + dy, 0, size.height - start.height),
+    };
+  }
+
+  let left = start.x;
+  let top = start.y;
+  let right = start.x + start.width;
+  let bottom = start.y + start.height;
+
+  if (handle.includes('w')) left = clamp(left + dx, 0, right - MIN_CROP_SIZE);
+  if (handle.includes('e')) right = clamp(right + dx, left + MIN_CROP_SIZE, size.width);
+  if (handle.includes('n')) top = clamp(top + dy, 0, bottom - MIN_CROP_SIZE);
+  if (handle.includes('s')) bottom = clamp(bottom + dy, top + MIN_CROP_SIZE, size.height);
+
+  if (ratio) {
+    // Width leads; height follows the ratio and is anchored to the opposite edge
+    let width = right - left;
+    let height = width / ratio;
+    const maxHeight = handle.includes('n') ? bottom : size.height - top;
+    if (height > maxHeight) {
+      height = maxHeight;
+      width = height * ratio;
+    }
+    if (handle.includes('w')) left = right - width;
+    else right = left + width;
+    if (handle.includes('n')) top = bottom - height;
+    else bottom = top + height;
+  }
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+// Keep a numerically edited rect inside the image and on ratio
+const fitRect = (rect, changedField, ratio, size) => {
+  let { x, y, width, height } = rect;
+  x = clamp(x, 0, size.width - MIN_CROP_SIZE);
+  y = clamp(y, 0, size.height - MIN_CROP_SIZE);
+  width = clamp(width, MIN_CROP_SIZE, size.width - x);
+  height = clamp(height, MIN_CROP_SIZE, size.height - y);
+
+  if (ratio) {
+    if (changedField === 'height') width = height * ratio;
+    else height = width / ratio;
+
+    if (x + width > size.width) {
+      width = size.width - x;
+      height = width / ratio;
+    }
+    if (y + height > size.height) {
+      height = size.height - y;
+      width = height * ratio;
+    }
+  }
+
+  return { x, y, width, height };
+};
+
+// Interactive crop editor. `value` is the crop operation params (or null for
+// no crop) and every change emits a full params object whose x/y/width/height
+// are in pixels of the image after rotation and flip, never display pixels.
+const CropTool = ({ src, value, onChange }) => {
+  const [sourceImage, setSourceImage] = useState(null);
+  const [display, setDisplay] = useState(null);
+  const [customRatio, setCustomRatio] = useState({ width: 5, height: 4 });
+  const dragRef = useRef(null);
+
+  const params = useMemo(() => value || {}, [value]);
+  const ratio = parseAspectRatio(params.aspectRatio);
+  const size = useMemo(() => (
+    sourceImage ? getTransformedSize(sourceImage.naturalWidth, sourceImage.naturalHeight, params) : null
+  ), [sourceImage, params]);
+  const rect = useMemo(() => (
+    size && value ? (resolveCropRect(params, size.width, size.height) || { x: 0, y: 0, ...size }) : null
+  ), [size, value, params]);
+
+  useEffect(() => {
+    setSourceImage(null);
+    if (!src) return undefined;
+
+    let cancelled = false;
+    const img = new Image();
+    img.onload = () => {
+      if (!cancelled) setSourceImage(img);
+    };
+    img.src = src;
+
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  // Re-render the display image only when the geometry changes
+  const { rotate, angle, flipHorizontal, flipVertical } = params;
+  useEffect(() => {
+    if (!sourceImage) return;
+
+    const geometry = { rotate, angle, flipHorizontal, flipVertical };
+    const canvas = renderGeometry(sourceImage, geometry, { maxSize: DISPLAY_MAX_SIZE });
+    const transformed = getTransformedSize(sourceImage.naturalWidth, sourceImage.naturalHeight, geometry);
+    setDisplay({
+      src: canvas === sourceImage ? sourceImage.src : canvas.toDataURL(),
+      scale: (canvas.width || canvas.naturalWidth) / transformed.width,
+    });
+  }, [sourceImage, rotate, angle, flipHorizontal, flipVertical]);
+
+  const update = useCallback((changes) => {
+    const currentRect = rect || (size && { x: 0, y: 0, ...size });
+    const next = { aspectRatio: 'custom', ...params, ...currentRect, ...changes };
+    onChange({ ...next, ...roundRect(next) });
+  }, [params, rect, size, onChange]);
+
+  const selectRatio = (aspectRatio) => {
+    if (!size) return;
+    update({ aspectRatio, ...defaultRect(aspectRatio, size) });
+  };
+
+  const rotateBy = (degrees) => {
+    if (!sourceImage) return;
+    const nextRotate = ((params.rotate || 0) + degrees + 360) % 360;
+    const nextSize = getTransformedSize(sourceImage.naturalWidth, sourceImage.naturalHeight, { rotate: nextRotate });
+    update({ rotate: nextRotate, ...defaultRect(params.aspectRatio, nextSize) });
+  };
+
+  const setField = (field, fieldValue) => {
+    if (!rect || !Number.isFinite(fieldValue)) return;
+    update(fitRect({ ...rect, [field]: fieldValue }, field, ratio, size));
+  };
+
+  const startDrag = handle => (event) => {
+    if (!rect) return;
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    dragRef.current = { handle, startX: event.clientX, startY: event.clientY, startRect: rect };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag || !display) return;
+
+    const dx = (event.clientX - drag.startX) / display.scale;
+    const dy = (event.clientY - drag.startY) / display.scale;
+    update(dragRect(drag.startRect, drag.handle, dx, dy, ratio, size));
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const customRatioValue = `${customRatio.width}:${customRatio.height}`;
+
+  return (
+    <div className="crop-tool">
+      <div className="aspect-ratio-selectors">
+        <button className={!value ? 'active' : ''} onClick={() => onChange(null)}>
+          Original
+        </button>
+        {RATIO_PRESETS.map(preset => (
+          <button
+            key={preset}
+            className={params.aspectRatio === preset ? 'active' : ''}
+            onClick={() => selectRatio(preset)}
+          >
+            {preset}
+          </button>
+        ))}
+        <button
+          className={value && params.aspectRatio === 'custom' ? 'active' : ''}
+          onClick={() => selectRatio('custom')}
+        >
+          Free
+        </button>
+      </div>
+
+      <div className="custom-ratio">
+        <input
+          type="number"
+          min={1}
+          value={customRatio.width}
+          onChange={e => setCustomRatio(prev => ({ ...prev, width: Number(e.target.value) }))}
+        />
+        <span>:</span>
+        <input
+          type="number"
+          min={1}
+          value={customRatio.height}
+          onChange={e => setCustomRatio(prev => ({ ...prev, height: Number(e.target.value) }))}
+        />
+        <Button
+          variant="secondary"
+          onClick={() => selectRatio(customRatioValue)}
+          disabled={!parseAspectRatio(customRatioValue)}
+        >
+          Use Ratio
+        </Button>
+      </div>
+
+      <div
+        className="crop-stage"
+        onPointerMove={handlePointerMove}
+        onPointerUp={endDrag}
+        onPointerCancel={endDrag}
+      >
+        {display && <img src={display.src} alt="Crop preview" draggable={false} />}
+        {display && rect && (
+          <div
+            className="crop-box"
+            style={{
+              left: rect.x * display.scale,
+              top: rect.y * display.scale,
+              width: rect.width * display.scale,
+              height: rect.height * display.scale,
+            }}
+            onPointerDown={startDrag('move')}
+          >
+            {(ratio ? CORNER_HANDLES : ALL_HANDLES).map(handle => (
+              <span key={handle} className={`crop-handle ${handle}`} onPointerDown={startDrag(handle)} />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {rect && (
+        <div className="crop-fields">
+          {['x', 'y', 'width', 'height'].map(field => (
+            <label key={field}>
+              {field === 'x' || field === 'y' ? field.toUpperCase() : field === 'width' ? 'W' : 'H'}
+              <input
+                type="number"
+                value={rect[field]}
+                onChange={e => setField(field, Number(e.target.value))}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="crop-transform">
+        <div className="button-group">
+          <button onClick={() => rotateBy(-90)} title="Rotate left">⟲ 90°</button>
+          <button onClick={() => rotateBy(90)} title="Rotate right">⟳ 90°</button>
+          <button
+            className={params.flipHorizontal ? 'active' : ''}
+            onClick={() => update({ flipHorizontal: !params.flipHorizontal })}
+          >
+            Flip H
+          </button>
+          <button
+            className={params.flipVertical ? 'active' : ''}
+            onClick={() => update({ flipVertical: !params.flipVertical })}
+          >
+            Flip V
+          </button>
+        </div>
+
+        <div className="slider-control">
+          <label>Straighten ({params.angle || 0}°)</label>
+          <KeyboardSlider
+            min={-45}
+            max={45}
+            value={params.angle || 0}
+            onChange={val => update({ angle: val })}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CropTool;
@@ -0,0 +1,135 @@
+import React, { useRef, useState } from 'react';
+import { clamp } from '../utils/imageOperations';
+import { CURVE_CHANNELS, DEFAULT_CURVE, curveToLut, isIdentityCurve } from '../utils/tone';
+
+const CHANNEL_LABELS = { rgb: 'RGB', red: 'Red', green: 'Green', blue: 'Blue' };
+const CHANNEL_STROKES = { rgb: '#e5e7eb', red: '#ef4444', green: '#22c55e', blue: '#3b82f6' };
+const POINT_RADIUS = 5;
+// Points closer than this (in 0-255 units) can't share an x position
+const MIN_POINT_GAP = 4;
+
+// Tone curve editor. Click to add a point, drag to move it, double-click to
+// remove it; the end points only move vertically. `value` is the curves
+// params or null when every channel is a straight line.
+const CurvesEditor = ({ value, onChange, histogram }) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const [channel, setChannel] = useState('rgb');
+  const points = value?.[channel] || DEFAULT_CURVE;
+  const lut = curveToLut(points);
+
+  const setPoints = (nextPoints) => {
+    const next = { ...value, [channel]: nextPoints };
+    CURVE_CHANNELS.forEach(key => {
+      if (isIdentityCurve(next[key])) delete next[key];
+    });
+    onChange(Object.keys(next).length ? next : null);
+  };
+
+  // Pointer position in curve units, y pointing up
+  const toCurvePoint = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: Math.round(clamp(((event.clientX - rect.left) / rect.width) * 255, 0, 255)),
+      y: Math.round(clamp(255 - ((event.clientY - rect.top) / rect.height) * 255, 0, 255)),
+    };
+  };
+
+  const movePoint = (index, { x, y }) => {
+    const isEnd = index === 0 || index === points.length - 1;
+    const minX = index === 0 ? 0 : points[index - 1].x + MIN_POINT_GAP;
+    const maxX = index === points.length - 1 ? 255 : points[index + 1].x - MIN_POINT_GAP;
+    setPoints(points.map((point, i) => (
+      i === index ? { x: isEnd ? point.x : clamp(x, minX, maxX), y } : point
+    )));
+  };
+
+  const startDrag = index => (event) => {
+    event.stopPropagation();
+    svgRef.current.setPointerCapture?.(event.pointerId);
+    dragRef.current = index;
+  };
+
+  const handleBackgroundPointerDown = (event) => {
+    const point = toCurvePoint(event);
+    if (points.some(p => Math.abs(p.x - point.x) < MIN_POINT_GAP)) return;
+    const nextPoints = [...points, point].sort((a, b) => a.x - b.x);
+    setPoints(nextPoints);
+    svgRef.current.setPointerCapture?.(event.pointerId);
+    dragRef.current = nextPoints.indexOf(point);
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragRef.current === null) return;
+    movePoint(dragRef.current, toCurvePoint(event));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const removePoint = (index) => {
+    if (index === 0 || index === points.length - 1) return;
+    setPoints(points.filter((_, i) => i !== index));
+  };
+
+  const histogramChannel = channel === 'rgb' ? 'luminance' : channel;
+  const histogramPeak = histogram ? Math.max(1, ...histogram[histogramChannel].slice(1, 255)) : 1;
+  const curvePath = Array.from(lut, (y, x) => `${x},${255 - y}`).join(' L');
+
+  return (
+    <div className="curves-editor">
+      <div className="curves-channels button-group">
+        {CURVE_CHANNELS.map(key => (
+          <button key={key} className={channel === key ? 'selected' : ''} onClick={() => setChannel(key)}>
+            {CHANNEL_LABELS[key]}
+          </button>
+        ))}
+        <button onClick={() => setPoints(DEFAULT_CURVE)} disabled={isIdentityCurve(value?.[channel])}>
+          Reset
+        </button>
+      </div>
+
+      <svg
+        ref={svgRef}
+        className="curves-graph"
+        viewBox="0 0 255 255"
+        onPointerDown={handleBackgroundPointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        {histogram && (
+          <path
+            d={`M0,255 L${histogram[histogramChannel].map((count, x) => `${x},${255 - Math.min(255, (count / histogramPeak) * 255)}`).join(' L')} L255,255 Z`}
+            fill="rgba(255, 255, 255, 0.12)"
+            pointerEvents="none"
+          />
+        )}
+        {[64, 128, 192].map(line => (
+          <g key={line} stroke="rgba(255, 255, 255, 0.15)" pointerEvents="none">
+            <line x1={line} y1={0} x2={line} y2={255} />
+            <line x1={0} y1={line} x2={255} y2={line} />
+          </g>
+        ))}
+        <line x1={0} y1={255} x2={255} y2={0} stroke="rgba(255, 255, 255, 0.25)" strokeDasharray="4 4" pointerEvents="none" />
+        <path d={`M${curvePath}`} fill="none" stroke={CHANNEL_STROKES[channel]} strokeWidth={2} pointerEvents="none" />
+        {points.map((point, index) => (
+          <circle
+            key={index}
+            cx={point.x}
+            cy={255 - point.y}
+            r={POINT_RADIUS}
+            fill={CHANNEL_STROKES[channel]}
+            stroke="#111"
+            onPointerDown={startDrag(index)}
+            onDoubleClick={() => removePoint(index)}
+          />
+        ))}
+      </svg>
+      <small>Click to add a point, drag to move, double-click to remove.</small>
+    </div>
+  );
+};
+
+export default CurvesEditor;
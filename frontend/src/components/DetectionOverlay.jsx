@@ -0,0 +1,212 @@
+import React, { useRef, useState } from 'react';
+import { filterDetections, getClassColor } from '../utils/detections';
+import { clamp } from '../utils/imageOperations';
+
+const MIN_BOX_SIZE = 4;
+const CORNERS = ['nw', 'ne', 'sw', 'se'];
+
+// Apply a pointer drag to a box. `mode` is 'move' or a corner handle.
+const dragBox = (start, mode, dx, dy, bounds) => {
+  if (mode === 'move') {
+    return {
+      ...start,
+      x: clamp(start.x + dx, 0, bounds.width - start.width),
+      y: clamp(start.y + dy, 0, bounds.height - start.height),
+    };
+  }
+
+  let left = start.x;
+  let top = start.y;
+  let right = start.x + start.width;
+  let bottom = start.y + start.height;
+  if (mode.includes('w')) left = clamp(left + dx, 0, right - MIN_BOX_SIZE);
+  if (mode.includes('e')) right = clamp(right + dx, left + MIN_BOX_SIZE, bounds.width);
+  if (mode.includes('n')) top = clamp(top + dy, 0, bottom - MIN_BOX_SIZE);
+  if (mode.includes('s')) bottom = clamp(bottom + dy, top + MIN_BOX_SIZE, bounds.height);
+
+  return { ...start, x: left, y: top, width: right - left, height: bottom - top };
+};
+
+// Detection boxes drawn as SVG over the image. The viewBox is the image's
+// natural size, so boxes stay in image pixels however the image is scaled.
+// When `editable`, boxes can be moved, resized, deleted and drawn.
+const DetectionOverlay = ({
+  detections,
+  filter,
+  width,
+  height,
+  hoveredIndex,
+  onHover,
+  editable = false,
+  selectedIndex = null,
+  onSelect,
+  onChange,
+  newBoxLabel
+}) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  const visible = filterDetections(detections, filter);
+  const bounds = { width, height };
+  const handleSize = Math.max(width, height) / 80;
+  const strokeWidth = Math.max(width, height) / 300;
+  const fontSize = Math.max(width, height) / 50;
+
+  // Convert a pointer position to image pixels
+  const toImagePoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return { x: clamp(x, 0, width), y: clamp(y, 0, height) };
+  };
+
+  const updateDetection = (index, box) => {
+    onChange(detections.map((detection, i) => (
+      i === index
+        ? { ...detection, x: Math.round(box.x), y: Math.round(box.y), width: Math.round(box.width), height: Math.round(box.height) }
+        : detection
+    )));
+  };
+
+  const startDrag = (index, mode) => (event) => {
+    if (!editable) return;
+    event.stopPropagation();
+    svgRef.current.setPointerCapture?.(event.pointerId);
+    onSelect(index);
+    const { x, y, width: boxWidth, height: boxHeight } = detections[index];
+    dragRef.current = { index, mode, origin: toImagePoint(event), start: { x, y, width: boxWidth, height: boxHeight } };
+  };
+
+  const startDraw = (event) => {
+    if (!editable) return;
+    svgRef.current.setPointerCapture?.(event.pointerId);
+    onSelect(null);
+    const origin = toImagePoint(event);
+    dragRef.current = { mode: 'draw', origin };
+    setDraft({ x: origin.x, y: origin.y, width: 0, height: 0 });
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const point = toImagePoint(event);
+    if (drag.mode === 'draw') {
+      setDraft({
+        x: Math.min(drag.origin.x, point.x),
+        y: Math.min(drag.origin.y, point.y),
+        width: Math.abs(point.x - drag.origin.x),
+        height: Math.abs(point.y - drag.origin.y),
+      });
+    } else {
+      updateDetection(drag.index, dragBox(drag.start, drag.mode, point.x - drag.origin.x, point.y - drag.origin.y, bounds));
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+
+    if (drag?.mode === 'draw' && draft) {
+      setDraft(null);
+      if (draft.width >= MIN_BOX_SIZE && draft.height >= MIN_BOX_SIZE && newBoxLabel) {
+        onChange([
+          ...detections,
+          {
+            x: Math.round(draft.x),
+            y: Math.round(draft.y),
+            width: Math.round(draft.width),
+            height: Math.round(draft.height),
+            class: newBoxLabel,
+            confidence: 1,
+            manual: true
+          }
+        ]);
+        onSelect(detections.length);
+      }
+    }
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      className={`detection-overlay ${editable ? 'editable' : ''}`}
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      {editable && (
+        <rect className="draw-surface" x={0} y={0} width={width} height={height} fill="transparent" onPointerDown={startDraw} />
+      )}
+
+      {visible.map(({ index, x, y, width: boxWidth, height: boxHeight, class: label, confidence }) => {
+        const isHighlighted = index === hoveredIndex || index === selectedIndex;
+        const text = `${label} (${Math.round(confidence * 100)}%)`;
+        return (
+          <g
+            key={index}
+            className="detection-box"
+            onPointerEnter={() => onHover(index)}
+            onPointerLeave={() => onHover(null)}
+          >
+            <rect
+              x={x}
+              y={y}
+              width={boxWidth}
+              height={boxHeight}
+              fill={isHighlighted ? getClassColor(label, 0.25) : 'transparent'}
+              stroke={getClassColor(label)}
+              strokeWidth={isHighlighted ? strokeWidth * 1.8 : strokeWidth}
+              onPointerDown={startDrag(index, 'move')}
+            />
+            <rect
+              x={x}
+              y={y - fontSize * 1.4}
+              width={text.length * fontSize * 0.6 + fontSize * 0.6}
+              height={fontSize * 1.4}
+              fill={getClassColor(label, isHighlighted ? 0.9 : 0.6)}
+              pointerEvents="none"
+            />
+            <text x={x + fontSize * 0.3} y={y - fontSize * 0.35} fontSize={fontSize} fill="#000" pointerEvents="none">
+              {text}
+            </text>
+            {editable && index === selectedIndex && CORNERS.map(corner => (
+              <rect
+                key={corner}
+                className={`box-handle ${corner}`}
+                x={(corner.includes('w') ? x : x + boxWidth) - handleSize / 2}
+                y={(corner.includes('n') ? y : y + boxHeight) - handleSize / 2}
+                width={handleSize}
+                height={handleSize}
+                fill="#fff"
+                stroke={getClassColor(label)}
+                strokeWidth={strokeWidth}
+                onPointerDown={startDrag(index, corner)}
+              />
+            ))}
+          </g>
+        );
+      })}
+
+      {draft && (
+        <rect
+          x={draft.x}
+          y={draft.y}
+          width={draft.width}
+          height={draft.height}
+          fill="none"
+          stroke="#fff"
+          strokeDasharray={`${strokeWidth * 4} ${strokeWidth * 2}`}
+          strokeWidth={strokeWidth}
+        />
+      )}
+    </svg>
+  );
+};
+
+export default DetectionOverlay;
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { Button, ToggleSwitch } from './components/ui';
+
+import { filterDetections, getDetectionClasses, getClassColor } from '../utils/detections';
+import { toCocoJson, toPascalVocXml, toYoloTxt } from '../utils/annotationFormats';
+import { createZip } from '../utils/zip';
+import { downloadBlob, getBaseName } from '../utils/download';
+import { saveAnnotations } from '../services/imageProcessingApi';
+import { RequestQueuedError } from '../services/apiClient';
+import KeyboardSlider from './KeyboardSlider';
+
+// Sidebar listing detections with confidence/class filters and export.
+// In edit mode boxes can be relabeled, removed and saved back as annotations.
+// `image` is `{ id, fileName, width, height }`.
+const DetectionResultsPanel = ({
+  detections,
+  onDetectionsChange,
+  filter,
+  onFilterChange,
+  hoveredIndex,
+  onHover,
+  isEditing,
+  onEditingChange,
+  selectedIndex,
+  onSelect,
+  labels,
+  onLabelsChange,
+  newBoxLabel,
+  onNewBoxLabelChange,
+  image
+}) => {
+  const [labelDraft, setLabelDraft] = useState(null);
+  const classes = getDetectionClasses(detections);
+  const visibleDetections = filterDetections(detections, filter);
+  const baseName = getBaseName(image.fileName);
+  // Labels offered for relabeling: the configured set plus anything detected
+  const labelOptions = [...new Set([...labels, ...classes])];
+
+  const saveAnnotationsMutation = useMutation({
+    mutationFn: saveAnnotations,
+    onSuccess: () => {
+      toast.success('Annotations saved');
+    },
+    onError: (error) => {
+      if (error instanceof RequestQueuedError) {
+        toast(error.message);
+        return;
+      }
+      toast.error(`Failed to save annotations: ${error.message}`);
+    }
+  });
+
+  const setLabel = (index, label) => {
+    onDetectionsChange(detections.map((detection, i) => (i === index ? { ...detection, class: label } : detection)));
+  };
+
+  const removeDetection = (index) => {
+    onDetectionsChange(detections.filter((_, i) => i !== index));
+    onSelect(null);
+  };
+
+  const handleSave = () => {
+    saveAnnotationsMutation.mutate({
+      imageId: image.id,
+      annotations: detections.map(({ x, y, width, height, class: label, confidence, manual }) => ({
+        x, y, width, height, class: label, confidence, manual: !!manual
+      }))
+    });
+  };
+
+  const toggleClass = (label) => {
+    onFilterChange({
+      ...filter,
+      hiddenClasses: filter.hiddenClasses.includes(label)
+        ? filter.hiddenClasses.filter(hidden => hidden !== label)
+        : [...filter.hiddenClasses, label]
+    });
+  };
+
+  const exportAs = (format) => {
+    const visibleClasses = getDetectionClasses(visibleDetections);
+    const encoder = new TextEncoder();
+
+    switch (format) {
+      case 'coco':
+        downloadBlob(
+          new Blob([toCocoJson(visibleDetections, image, visibleClasses)], { type: 'application/json' }),
+          `${baseName}.coco.json`
+        );
+        break;
+      case 'voc':
+        downloadBlob(
+          new Blob([toPascalVocXml(visibleDetections, image)], { type: 'application/xml' }),
+          `${baseName}.xml`
+        );
+        break;
+      case 'yolo':
+        // YOLO labels only carry class indices, so ship the class list alongside
+        downloadBlob(createZip([
+          { name: `${baseName}.txt`, data: encoder.encode(toYoloTxt(visibleDetections, image, visibleClasses)) },
+          { name: 'classes.txt', data: encoder.encode(visibleClasses.join('\n')) }
+        ]), `${baseName}.yolo.zip`);
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className="detection-results">
+      <div className="slider-control">
+        <label>Minimum confidence ({Math.round(filter.minConfidence * 100)}%)</label>
+        <KeyboardSlider
+          min={0}
+          max={100}
+          value={Math.round(filter.minConfidence * 100)}
+          onChange={val => onFilterChange({ ...filter, minConfidence: val / 100 })}
+        />
+      </div>
+
+      <div className="detection-classes">
+        {classes.map(label => (
+          <label key={label} className="detection-class">
+            <input
+              type="checkbox"
+              checked={!filter.hiddenClasses.includes(label)}
+              onChange={() => toggleClass(label)}
+            />
+            <span className="class-swatch" style={{ background: getClassColor(label) }}></span>
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <div className="detection-editing">
+        <ToggleSwitch checked={isEditing} onChange={onEditingChange} label="Edit boxes" />
+        {isEditing && (
+          <>
+            <label>
+              New box label
+              <select value={newBoxLabel || ''} onChange={e => onNewBoxLabelChange(e.target.value)}>
+                <option value="" disabled>Choose a label</option>
+                {labelOptions.map(label => <option key={label} value={label}>{label}</option>)}
+              </select>
+            </label>
+            <label>
+              Label set
+              <input
+                type="text"
+                placeholder="person, car, dog"
+                value={labelDraft ?? labels.join(', ')}
+                onChange={e => setLabelDraft(e.target.value)}
+                onBlur={() => {
+                  if (labelDraft !== null) onLabelsChange(labelDraft.split(','));
+                  setLabelDraft(null);
+                }}
+              />
+            </label>
+            <small>Drag on the image to add a box; select a box to move or resize it.</small>
+          </>
+        )}
+      </div>
+
+      <ul className="detection-list" onMouseLeave={() => onHover(null)}>
+        {visibleDetections.map(detection => (
+          <li
+            key={detection.index}
+            className={`detection-item ${hoveredIndex === detection.index || selectedIndex === detection.index ? 'highlighted' : ''}`}
+            onMouseEnter={() => onHover(detection.index)}
+            onClick={() => isEditing && onSelect(detection.index)}
+          >
+            <span className="class-swatch" style={{ background: getClassColor(detection.class) }}></span>
+            {isEditing ? (
+              <select value={detection.class} onChange={e => setLabel(detection.index, e.target.value)}>
+                {labelOptions.map(label => <option key={label} value={label}>{label}</option>)}
+              </select>
+            ) : (
+              <span>{detection.class}</span>
+            )}
+            <small>{detection.manual ? 'manual' : `${Math.round(detection.confidence * 100)}%`}</small>
+            {isEditing && (
+              <button onClick={() => removeDetection(detection.index)} title="Delete box">✕</button>
+            )}
+          </li>
+        ))}
+      </ul>
+      <small>{visibleDetections.length} of {detections.length} shown</small>
+
+      <div className="detection-export button-group">
+        <button onClick={() => exportAs('coco')} disabled={!visibleDetections.length}>COCO JSON</button>
+        <button onClick={() => exportAs('voc')} disabled={!visibleDetections.length}>Pascal VOC</button>
+        <button onClick={() => exportAs('yolo')} disabled={!visibleDetections.length}>YOLO</button>
+      </div>
+
+      <Button onClick={handleSave} disabled={!image.id || saveAnnotationsMutation.isLoading}>
+        Save Annotations
+      </Button>
+    </div>
+  );
+};
+
+export default DetectionResultsPanel;
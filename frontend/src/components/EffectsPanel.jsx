@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { Button } from './components/ui';
+import { EFFECT_DEFINITIONS, EFFECT_TYPES, createEffect } from '../utils/effects';
+import KeyboardSlider from './KeyboardSlider';
+
+// Stack of effects operations. Effects run top to bottom, so moving one
+// changes what it applies to (e.g. grain before or after a blur).
+const EffectsPanel = ({ effects, onChange }) => {
+  const [typeToAdd, setTypeToAdd] = useState(EFFECT_TYPES[0]);
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= effects.length) return;
+    const next = [...effects];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const setParam = (index, key, value) => {
+    onChange(effects.map((effect, i) => (
+      i === index ? { ...effect, params: { ...effect.params, [key]: value } } : effect
+    )));
+  };
+
+  return (
+    <div className="effects-controls">
+      <div className="effects-add">
+        <select value={typeToAdd} onChange={e => setTypeToAdd(e.target.value)}>
+          {EFFECT_TYPES.map(type => (
+            <option key={type} value={type}>{EFFECT_DEFINITIONS[type].label}</option>
+          ))}
+        </select>
+        <Button variant="secondary" onClick={() => onChange([...effects, createEffect(typeToAdd)])}>
+          Add Effect
+        </Button>
+      </div>
+
+      {!effects.length && <p className="effects-empty">No effects yet</p>}
+
+      <ol className="effects-list">
+        {effects.map((effect, index) => (
+          <li key={effect.id} className="effect-item">
+            <div className="effect-header">
+              <strong>{EFFECT_DEFINITIONS[effect.type].label}</strong>
+              <div className="button-group">
+                <button onClick={() => move(index, -1)} disabled={index === 0} title="Move up">↑</button>
+                <button
+                  onClick={() => move(index, 1)}
+                  disabled={index === effects.length - 1}
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                <button onClick={() => onChange(effects.filter((_, i) => i !== index))} title="Remove">✕</button>
+              </div>
+            </div>
+            {EFFECT_DEFINITIONS[effect.type].controls.map(control => (
+              <div key={control.key} className="slider-control">
+                <label>{control.label} ({effect.params[control.key] ?? control.defaultValue})</label>
+                <KeyboardSlider
+                  min={control.min}
+                  max={control.max}
+                  value={effect.params[control.key] ?? control.defaultValue}
+                  onChange={val => setParam(index, control.key, val)}
+                />
+              </div>
+            ))}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default EffectsPanel;
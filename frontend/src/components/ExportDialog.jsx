@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { ToggleSwitch, Button, Spinner } from './components/ui';
+
+import { exportImage } from '../services/imageProcessingApi';
+import { base64ToBytes, downloadBlob, formatBytes, getBaseName } from '../utils/download';
+import {
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_OPTIONS,
+  formatFileName,
+  getExportSize,
+  needsServerExport,
+  renderExport
+} from '../utils/exportImage';
+import KeyboardSlider from './KeyboardSlider';
+
+// Wait for option changes to settle before re-encoding for the size estimate
+const ESTIMATE_DELAY = 400;
+
+// Download dialog for the current image. `image` is the editor's current
+// image (`{ id, src, file, width, height }`).
+const ExportDialog = ({ image, onClose }) => {
+  const [options, setOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+  const [estimate, setEstimate] = useState(null); // { size } or { error }
+  const [isExporting, setIsExporting] = useState(false);
+
+  const format = EXPORT_FORMATS[options.format];
+  const size = getExportSize(image, options);
+  const fileName = formatFileName(options.fileNamePattern, {
+    name: getBaseName(image.file?.name),
+    width: size.width,
+    height: size.height,
+    format: options.format,
+  });
+
+  const setOption = (key, value) => setOptions(prev => ({ ...prev, [key]: value }));
+
+  // Encode in the background to show the real output size
+  useEffect(() => {
+    let cancelled = false;
+    setEstimate(null);
+    const timer = setTimeout(async () => {
+      try {
+        let bytes;
+        if (await needsServerExport(options)) {
+          if (!image.id) throw new Error('Upload the image to export in this format');
+          ({ size: bytes } = await exportImage({ imageId: image.id, options, estimateOnly: true }));
+        } else {
+          ({ size: bytes } = await renderExport(image.src, options, image.file));
+        }
+        if (!cancelled) setEstimate({ size: bytes });
+      } catch (error) {
+        if (!cancelled) setEstimate({ error: error.message });
+      }
+    }, ESTIMATE_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [image, options]);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      let blob;
+      if (await needsServerExport(options)) {
+        const data = await exportImage({ imageId: image.id, options });
+        blob = new Blob([base64ToBytes(data.image)], { type: data.mimeType || format.mimeType });
+      } else {
+        blob = await renderExport(image.src, options, image.file);
+      }
+      downloadBlob(blob, fileName);
+      onClose();
+    } catch (error) {
+      toast.error(`Export failed: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal export-dialog" onClick={e => e.stopPropagation()}>
+        <h3>Export Image</h3>
+
+        <div className="export-formats button-group">
+          {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+            <button key={key} className={options.format === key ? 'selected' : ''} onClick={() => setOption('format', key)}>
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {format.lossy && (
+          <div className="slider-control">
+            <label>Quality ({options.quality})</label>
+            <KeyboardSlider min={1} max={100} value={options.quality} onChange={val => setOption('quality', val)} />
+          </div>
+        )}
+
+        <label>
+          Size
+          <select value={options.resizeMode} onChange={e => setOption('resizeMode', e.target.value)}>
+            <option value="original">Original</option>
+            <option value="maxEdge">Longest edge</option>
+            <option value="percent">Percent</option>
+            <option value="exact">Exact</option>
+          </select>
+        </label>
+        {options.resizeMode === 'maxEdge' && (
+          <input
+            type="number"
+            min={1}
+            value={options.maxEdge}
+            onChange={e => setOption('maxEdge', Math.max(1, Number(e.target.value) || 1))}
+          />
+        )}
+        {options.resizeMode === 'percent' && (
+          <div className="slider-control">
+            <label>{options.percent}%</label>
+            <KeyboardSlider min={1} max={100} value={options.percent} onChange={val => setOption('percent', val)} />
+          </div>
+        )}
+        {options.resizeMode === 'exact' && (
+          <div className="export-exact-size">
+            <input
+              type="number"
+              min={1}
+              placeholder="Width"
+              value={options.width ?? ''}
+              onChange={e => setOption('width', e.target.value ? Number(e.target.value) : null)}
+            />
+            ×
+            <input
+              type="number"
+              min={1}
+              placeholder="Height"
+              value={options.height ?? ''}
+              onChange={e => setOption('height', e.target.value ? Number(e.target.value) : null)}
+            />
+          </div>
+        )}
+
+        <label>
+          Color space
+          <select value={options.colorSpace} onChange={e => setOption('colorSpace', e.target.value)}>
+            <option value="srgb">sRGB</option>
+            <option value="display-p3">Display P3</option>
+          </select>
+        </label>
+
+        <ToggleSwitch
+          checked={options.keepMetadata}
+          onChange={checked => setOption('keepMetadata', checked)}
+          label="Keep EXIF metadata"
+        />
+
+        <label>
+          File name
+          <input
+            type="text"
+            value={options.fileNamePattern}
+            onChange={e => setOption('fileNamePattern', e.target.value)}
+          />
+          <small>Tokens: {'{name} {width} {height} {format} {date} {time}'}</small>
+        </label>
+
+        <div className="export-summary">
+          <span>{fileName}</span>
+          <span>{size.width} × {size.height}</span>
+          <span>
+            {!estimate && <Spinner size="sm" />}
+            {estimate?.size !== undefined && `≈ ${formatBytes(estimate.size)}`}
+            {estimate?.error && <small className="export-error">{estimate.error}</small>}
+          </span>
+        </div>
+
+        <div className="action-buttons">
+          <Button variant="secondary" onClick={onClose}>Cancel</Button>
+          <Button onClick={handleExport} disabled={isExporting || !!estimate?.error}>
+            {isExporting ? <Spinner size="sm" /> : 'Download'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,36 @@
+import React from 'react';
+
+const CHANNEL_COLORS = {
+  luminance: 'rgba(220, 220, 220, 0.6)',
+  red: 'rgba(239, 68, 68, 0.5)',
+  green: 'rgba(34, 197, 94, 0.5)',
+  blue: 'rgba(59, 130, 246, 0.5)',
+};
+
+const HEIGHT = 100;
+
+// Area path for one channel, scaled so the tallest bin (ignoring pure
+// black/white spikes) reaches the top
+const channelPath = (counts, peak) => {
+  const points = counts.map((count, value) => `${value},${HEIGHT - Math.min(HEIGHT, (count / peak) * HEIGHT)}`);
+  return `M0,${HEIGHT} L${points.join(' L')} L255,${HEIGHT} Z`;
+};
+
+// RGB + luminance histogram drawn as overlapping areas
+const Histogram = ({ histogram }) => {
+  if (!histogram) {
+    return <div className="histogram histogram-empty" />;
+  }
+
+  const peak = Math.max(1, ...Object.keys(CHANNEL_COLORS).flatMap(channel => histogram[channel].slice(1, 255)));
+
+  return (
+    <svg className="histogram" viewBox={`0 0 255 ${HEIGHT}`} preserveAspectRatio="none">
+      {Object.entries(CHANNEL_COLORS).map(([channel, color]) => (
+        <path key={channel} d={channelPath(histogram[channel], peak)} fill={color} />
+      ))}
+    </svg>
+  );
+};
+
+export default Histogram;
@@ -1,122 +1,368 @@
-import React, { useState, useRef, useCallback, useEffect } from 'react';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { motion } from 'framer-motion';
 import { toast } from 'react-hot-toast';
-import { Slider, ToggleSwitch, Button, Spinner, Tabs } from './components/ui';
+import { Button, Spinner, Tabs } from './components/ui';
 
 // Image processing API service
 import { 
-  uploadImage, 
   applyFilter, 
   getProcessingHistory, 
   getImageById,
   detectObjects,
+  detectSensitiveRegions,
+  listWorkflows,
   saveCustomWorkflow
 } from '../services/imageProcessingApi';
+import { FILTER_NAMES, getFilterStyle } from '../utils/filters';
+import { createJobId } from '../services/jobSocket';
+import { uploadImageFile } from '../services/uploadApi';
+import { RequestQueuedError } from '../services/apiClient';
+import { parseWorkflowFile, downloadWorkflow } from '../utils/workflowSchema';
+import { loadImage } from '../utils/imageLoader';
+import { formatBytes } from '../utils/download';
+import { loadSession, clearSession } from '../utils/sessionStore';
+import { buildShareUrl, parseShareUrl, clearShareParams } from '../utils/shareLink';
+import {
+  ACCEPTED_IMAGE_TYPES,
+  CHUNKED_UPLOAD_THRESHOLD,
+  MAX_UPLOAD_SIZE,
+  describeDimensionProblem,
+  describeRejection,
+  isBrowserDecodable
+} from '../utils/imageFormats';
+import { findRegion } from '../utils/detections';
+import { formatCombo } from '../utils/shortcuts';
+import { autoEnhance } from '../utils/autoEnhance';
+import { getOverlayResources } from '../utils/overlays';
+import {
+  DEFAULT_PROCESSING_SETTINGS,
+  buildOperations,
+  describeOperations,
+  operationsToSettings
+} from '../utils/imageOperations';
+import useLivePreview, { PREVIEW_MAX_SIZE } from '../hooks/useLivePreview';
+import useStylePreview from '../hooks/useStylePreview';
+import useHistogram from '../hooks/useHistogram';
+import useSessionPersistence from '../hooks/useSessionPersistence';
+import useEditHistory from '../hooks/useEditHistory';
+import useLabelSet from '../hooks/useLabelSet';
+import useShortcutBindings from '../hooks/useShortcutBindings';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import useAuth from '../hooks/useAuth';
+import useRequestQueue from '../hooks/useRequestQueue';
+import CropTool from './CropTool';
+import BatchProcessor from './BatchProcessor';
+import WorkflowLibrary from './WorkflowLibrary';
+import JobProgress from './JobProgress';
+import DetectionResultsPanel from './DetectionResultsPanel';
+import DetectionOverlay from './DetectionOverlay';
+import RedactionPanel from './RedactionPanel';
+import RedactionOverlay from './RedactionOverlay';
+import StyleTransferPanel from './StyleTransferPanel';
+import EffectsPanel from './EffectsPanel';
+import Histogram from './Histogram';
+import LevelsControl from './LevelsControl';
+import CurvesEditor from './CurvesEditor';
+import LocalAdjustmentsPanel from './LocalAdjustmentsPanel';
+import LocalMaskOverlay from './LocalMaskOverlay';
+import OverlayPanel from './OverlayPanel';
+import OverlayHandles from './OverlayHandles';
+import ExportDialog from './ExportDialog';
+import ZoomPreview from './ZoomPreview';
+import SplitDivider from './SplitDivider';
+import KeyboardSlider from './KeyboardSlider';
+import CommandPalette from './CommandPalette';
+import ShortcutsDialog from './ShortcutsDialog';
+import LoginDialog from './LoginDialog';
+
+// Longest edge the image is downscaled to before Smart Enhance analyzes it
+const ENHANCE_ANALYSIS_SIZE = 512;
+const DEFAULT_REDACTION_OPTIONS = { mode: 'blur', strength: 60, color: '#000000' };
+const EDITOR_TABS = [
+  { id: 'adjust', label: 'Adjust' },
+  { id: 'filters', label: 'Filters' },
+  { id: 'crop', label: 'Crop' },
+  { id: 'effects', label: 'Effects' },
+  { id: 'ai', label: 'AI Tools' },
+  { id: 'overlay', label: 'Annotate' },
+];
+const PREVIEW_MODES = [
+  { id: 'split', label: 'Split View' },
+  { id: 'side-by-side', label: 'Side by Side' },
+  { id: 'before-after', label: 'Before/After' },
+  { id: 'onion-skin', label: 'Onion Skin' },
+  { id: 'difference', label: 'Difference' },
+];
+
+const revokeObjectUrls = urls => urls.forEach(url => URL.revokeObjectURL(url));
 
 const ImageEditor = () => {
   const queryClient = useQueryClient();
   const [currentImage, setCurrentImage] = useState(null);
   const [originalImage, setOriginalImage] = useState(null);
   const [selectedTab, setSelectedTab] = useState('adjust');
-  const [processingSettings, setProcessingSettings] = useState({
-    brightness: 0,
-    contrast: 0,
-    saturation: 0,
-    sharpness: 0,
-    selectedFilter: null,
-    cropDimensions: null,
-  });
-  const [previewMode, setPreviewMode] = useState('split'); // 'split', 'side-by-side', 'before-after'
+  const [processingSettings, setProcessingSettings] = useState(DEFAULT_PROCESSING_SETTINGS);
+  // Settings that produced currentImage; anything else is previewed locally
+  const [appliedSettings, setAppliedSettings] = useState(DEFAULT_PROCESSING_SETTINGS);
+  const [previewMode, setPreviewMode] = useState('split'); // 'split', 'side-by-side', 'before-after', 'onion-skin', 'difference'
+  // Comparison settings: split divider (% from the left), onion-skin opacity
+  // of the processed image, difference brightness multiplier
+  const [splitPosition, setSplitPosition] = useState(50);
+  const [onionOpacity, setOnionOpacity] = useState(50);
+  const [differenceGain, setDifferenceGain] = useState(1);
+  // Before/after: original shown while the button is held
+  const [isHoldingOriginal, setIsHoldingOriginal] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
+  // Server job tracked over the job socket while processing ({ jobId, label })
+  const [activeJob, setActiveJob] = useState(null);
   const [objectDetectionResults, setObjectDetectionResults] = useState(null);
+  const [detectionFilter, setDetectionFilter] = useState({ minConfidence: 0, hiddenClasses: [] });
+  const [hoveredDetection, setHoveredDetection] = useState(null);
+  const [isEditingDetections, setIsEditingDetections] = useState(false);
+  const [selectedDetection, setSelectedDetection] = useState(null);
+  const [newBoxLabel, setNewBoxLabel] = useState('');
+  const [labelSet, setLabelSet] = useLabelSet();
+  // Faces / plates found for redaction; the selected ones live in processingSettings.redaction
+  const [redactionCandidates, setRedactionCandidates] = useState(null);
+  const [redactionOptions, setRedactionOptions] = useState(DEFAULT_REDACTION_OPTIONS);
+  const [includePlates, setIncludePlates] = useState(false);
+  const [hoveredRedaction, setHoveredRedaction] = useState(null);
+  // Index of the local adjustment layer being edited
+  const [selectedLocalAdjustment, setSelectedLocalAdjustment] = useState(null);
+  // Index of the overlay item being edited
+  const [selectedOverlay, setSelectedOverlay] = useState(null);
   const [showAdvancedOptions, setShowAdvancedOptions] = useState(false);
   const [customWorkflowName, setCustomWorkflowName] = useState('');
   const [isFullscreen, setIsFullscreen] = useState(false);
+  const [editorMode, setEditorMode] = useState('single'); // 'single', 'batch'
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  const [showCommandPalette, setShowCommandPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const { bindings: shortcutBindings, setBinding: setShortcutBinding, resetBindings: resetShortcutBindings } = useShortcutBindings();
+  const { user, isSignedIn, needsSignIn, signIn, signOut, cancelSignIn } = useAuth();
+  const [showSignIn, setShowSignIn] = useState(false);
+  // Saves made offline are sent once the connection is back
+  const { queued: queuedRequests, online } = useRequestQueue(({ sent, failed }) => {
+    sent.forEach(entry => toast.success(`Synced ${entry.label}`));
+    failed.forEach(({ entry, error }) => toast.error(`Could not sync ${entry.label}: ${error.message}`));
+    queryClient.invalidateQueries(['workflows']);
+  });
+  // Bytes sent by the upload in progress ({ loaded, total })
+  const [uploadProgress, setUploadProgress] = useState(null);
+  // Session saved by a previous visit, offered for resuming
+  const [resumableSession, setResumableSession] = useState(null);
+  // Saving starts once it can no longer overwrite a session the user may resume
+  const [isSessionReady, setIsSessionReady] = useState(false);
   
-  const canvasRef = useRef(null);
   const imageRef = useRef(null);
+  // Cancels the upload in progress; only one runs at a time
+  const uploadControllerRef = useRef(null);
+  // Object URLs behind the images being edited and behind the session
+  // offered for resuming, revoked once those are replaced
+  const editorUrlsRef = useRef([]);
+  const sessionUrlsRef = useRef([]);
+  const history = useEditHistory();
+  const {
+    start: startHistory,
+    push: pushHistoryStep,
+    goTo: goToHistoryStep,
+    restore: restoreHistory,
+    undo,
+    redo
+  } = history;
+  
+  // Make `image` the new original and start editing it from scratch.
+  // `objectUrls` are the object URLs it is shown from, if any.
+  const startEditing = useCallback((image, objectUrls = []) => {
+    revokeObjectUrls(editorUrlsRef.current);
+    revokeObjectUrls(sessionUrlsRef.current);
+    editorUrlsRef.current = objectUrls;
+    sessionUrlsRef.current = [];
+    setOriginalImage(image);
+    setCurrentImage(image);
+    // Reset processing settings when new image is loaded
+    setProcessingSettings(DEFAULT_PROCESSING_SETTINGS);
+    setAppliedSettings(DEFAULT_PROCESSING_SETTINGS);
+    setObjectDetectionResults(null);
+    setRedactionCandidates(null);
+    setSelectedLocalAdjustment(null);
+    setSelectedOverlay(null);
+    // A new image starts a fresh edit history
+    startHistory({ image, settings: DEFAULT_PROCESSING_SETTINGS, label: 'Original' });
+    // Starting over replaces any session that was waiting to be resumed
+    setResumableSession(null);
+    setIsSessionReady(true);
+  }, [startHistory]);
+  
+  // Upload `file`, cancelling any upload still running
+  const startUpload = useCallback((file) => {
+    uploadControllerRef.current?.abort();
+    const controller = new AbortController();
+    uploadControllerRef.current = controller;
+    return uploadImageFile(file, {
+      onProgress: (loaded, total) => {
+        if (!controller.signal.aborted) setUploadProgress({ loaded, total });
+      },
+      signal: controller.signal
+    }).finally(() => {
+      if (uploadControllerRef.current === controller) uploadControllerRef.current = null;
+    });
+  }, []);
+  
+  const cancelUpload = useCallback(() => {
+    uploadControllerRef.current?.abort();
+    setUploadProgress(null);
+  }, []);
+  
+  useEffect(() => () => uploadControllerRef.current?.abort(), []);
+  
+  useEffect(() => () => {
+    revokeObjectUrls(editorUrlsRef.current);
+    revokeObjectUrls(sessionUrlsRef.current);
+  }, []);
+  
+  // Upload image mutation, started as soon as an image is opened. Large and
+  // non-web files go up in resumable chunks.
+  const uploadMutation = useMutation({
+    mutationFn: startUpload,
+    onSuccess: (data, file) => {
+      setUploadProgress(null);
+      if (data.reused) {
+        toast.success('This image was uploaded before; using the stored copy');
+      } else {
+        toast.success('Image uploaded successfully');
+        queryClient.invalidateQueries(['processingHistory']);
+      }
+      // The user may have opened another image meanwhile
+      setOriginalImage(prev => (prev?.file === file ? { ...prev, id: data.imageId } : prev));
+      setCurrentImage(prev => (prev?.file === file ? { ...prev, id: data.imageId } : prev));
+      history.updateCurrent(step => (
+        step.image.file === file ? { image: { ...step.image, id: data.imageId } } : {}
+      ));
+    },
+    onError: (error) => {
+      // Cancelled uploads were replaced or stopped on purpose
+      if (error.name === 'AbortError') return;
+      setUploadProgress(null);
+      toast.error(`Upload failed: ${error.message}`);
+    }
+  });
+  
+  // TIFF, HEIC and RAW files can't be shown by the browser: upload them
+  // first and edit the preview the server decodes
+  const decodeMutation = useMutation({
+    mutationFn: startUpload,
+    onSuccess: (data, file) => {
+      setUploadProgress(null);
+      if (!data.preview) {
+        toast.error(`The server could not decode ${file.name}`);
+        return;
+      }
+      const problem = describeDimensionProblem(file.name, data.width, data.height);
+      if (problem) {
+        toast.error(problem);
+        return;
+      }
+      queryClient.invalidateQueries(['processingHistory']);
+      startEditing({
+        src: `data:image/jpeg;base64,${data.preview}`,
+        file,
+        id: data.imageId,
+        width: data.width,
+        height: data.height,
+      });
+    },
+    onError: (error, file) => {
+      if (error.name === 'AbortError') return;
+      setUploadProgress(null);
+      toast.error(`Could not open ${file.name}: ${error.message}`);
+    }
+  });
+  
+  // Show a web image from `src` right away and upload it in the background.
+  // `objectUrls` are handed to startEditing, or revoked if the image is rejected.
+  const openLocalImage = useCallback(async (file, src, objectUrls = []) => {
+    try {
+      const img = await loadImage(src);
+      const problem = describeDimensionProblem(file.name, img.naturalWidth, img.naturalHeight);
+      if (problem) {
+        revokeObjectUrls(objectUrls);
+        toast.error(problem);
+        return;
+      }
+      startEditing({ src, file, width: img.naturalWidth, height: img.naturalHeight }, objectUrls);
+      // Shown with the image, before the upload has sent anything
+      setUploadProgress({ loaded: 0, total: file.size });
+      uploadMutation.mutate(file);
+    } catch (error) {
+      revokeObjectUrls(objectUrls);
+      toast.error(`Could not read ${file.name}`);
+    }
+  }, [startEditing, uploadMutation]);
   
   // Handle file uploads
   const onDrop = useCallback(acceptedFiles => {
     if (acceptedFiles?.length) {
       const file = acceptedFiles[0];
-      const reader = new FileReader();
       
-      reader.onload = () => {
-        const img = new Image();
-        img.src = reader.result;
-        img.onload = () => {
-          setOriginalImage({
-            src: reader.result,
-            file,
-            width: img.width,
-            height: img.height,
-          });
-          setCurrentImage({
-            src: reader.result,
-            file,
-            width: img.width,
-            height: img.height,
-          });
-          // Reset processing settings when new image is loaded
-          setProcessingSettings({
-            brightness: 0,
-            contrast: 0,
-            saturation: 0,
-            sharpness: 0,
-            selectedFilter: null,
-            cropDimensions: null,
-          });
-          setObjectDetectionResults(null);
-        };
-      };
+      if (!isBrowserDecodable(file)) {
+        decodeMutation.mutate(file);
+        return;
+      }
+      
+      // Large files are shown from an object URL rather than a huge data URL
+      if (file.size > CHUNKED_UPLOAD_THRESHOLD) {
+        const src = URL.createObjectURL(file);
+        openLocalImage(file, src, [src]);
+        return;
+      }
       
+      const reader = new FileReader();
+      reader.onload = () => openLocalImage(file, reader.result);
+      reader.onerror = () => toast.error(`Could not read ${file.name}`);
       reader.readAsDataURL(file);
     }
-  }, []);
+  }, [openLocalImage, decodeMutation]);
   
-  const { getRootProps, getInputProps, isDragActive } = useDropzone({
-    onDrop,
-    accept: {
-      'image/*': ['.jpeg', '.jpg', '.png', '.gif', '.webp']
-    },
-    maxFiles: 1,
-    maxSize: 10485760, // 10MB
-  });
+  // Selected redaction regions become the redact operation; none means no operation
+  const setRedactionRegions = useCallback((regions) => {
+    setProcessingSettings(prev => ({
+      ...prev,
+      redaction: regions.length
+        ? {
+          ...(prev.redaction || redactionOptions),
+          regions: regions.map(({ x, y, width, height, kind }) => ({ x, y, width, height, kind }))
+        }
+        : null
+    }));
+  }, [redactionOptions]);
   
-  // Upload image mutation
-  const uploadMutation = useMutation({
-    mutationFn: uploadImage,
-    onSuccess: (data) => {
-      toast.success('Image uploaded successfully');
-      queryClient.invalidateQueries(['processingHistory']);
-      setCurrentImage(prev => ({
-        ...prev,
-        id: data.imageId
-      }));
-    },
-    onError: (error) => {
-      toast.error(`Upload failed: ${error.message}`);
-    }
-  });
+  const handleRedactionOptionsChange = useCallback(({ mode, strength, color }) => {
+    const options = { mode, strength, color };
+    setRedactionOptions(options);
+    setProcessingSettings(prev => (prev.redaction ? { ...prev, redaction: { ...prev.redaction, ...options } } : prev));
+  }, []);
+  
+  const toggleRedactionRegion = useCallback((region) => {
+    const selected = processingSettings.redaction?.regions || [];
+    const index = findRegion(selected, region);
+    setRedactionRegions(index === -1 ? [...selected, region] : selected.filter((_, i) => i !== index));
+  }, [processingSettings.redaction, setRedactionRegions]);
   
   // Apply filter mutation
   const filterMutation = useMutation({
     mutationFn: applyFilter,
-    onSuccess: (data) => {
+    onSuccess: () => {
       setIsProcessing(false);
-      setCurrentImage(prev => ({
-        ...prev,
-        src: `data:image/jpeg;base64,${data.processedImage}`,
-        id: data.imageId
-      }));
+      setActiveJob(null);
       toast.success('Filter applied successfully');
       queryClient.invalidateQueries(['processingHistory']);
     },
     onError: (error) => {
       setIsProcessing(false);
+      setActiveJob(null);
       toast.error(`Processing failed: ${error.message}`);
     }
   });
@@ -126,23 +372,53 @@ const ImageEditor = () => {
     mutationFn: detectObjects,
     onSuccess: (data) => {
       setIsProcessing(false);
+      setActiveJob(null);
       setObjectDetectionResults(data.detections);
+      setDetectionFilter({ minConfidence: 0, hiddenClasses: [] });
+      setHoveredDetection(null);
+      setSelectedDetection(null);
       toast.success(`${data.detections.length} objects detected`);
     },
     onError: (error) => {
       setIsProcessing(false);
+      setActiveJob(null);
       toast.error(`Object detection failed: ${error.message}`);
     }
   });
   
+  // Face / license plate detection for redaction
+  const detectRegionsMutation = useMutation({
+    mutationFn: detectSensitiveRegions,
+    onSuccess: (data) => {
+      setIsProcessing(false);
+      setActiveJob(null);
+      setRedactionCandidates(data.regions);
+      setHoveredRedaction(null);
+      // Redact everything found by default; the user opts regions out
+      setRedactionRegions(data.regions);
+      toast.success(`${data.regions.length} region${data.regions.length === 1 ? '' : 's'} found`);
+    },
+    onError: (error) => {
+      setIsProcessing(false);
+      setActiveJob(null);
+      toast.error(`Face detection failed: ${error.message}`);
+    }
+  });
+  
   // Save custom workflow mutation
   const saveWorkflowMutation = useMutation({
     mutationFn: saveCustomWorkflow,
     onSuccess: () => {
       toast.success('Custom workflow saved successfully');
       setCustomWorkflowName('');
+      queryClient.invalidateQueries(['workflows']);
     },
     onError: (error) => {
+      if (error instanceof RequestQueuedError) {
+        toast(error.message);
+        setCustomWorkflowName('');
+        return;
+      }
       toast.error(`Failed to save workflow: ${error.message}`);
     }
   });
@@ -154,55 +430,92 @@ const ImageEditor = () => {
     enabled: !!currentImage?.id
   });
   
-  // Apply processing settings to image
-  const applyProcessingSettings = useCallback(() => {
-    if (!currentImage || !originalImage) return;
+  // Saved workflows, offered as operation sources in batch mode
+  const { data: savedWorkflows } = useQuery({
+    queryKey: ['workflows'],
+    queryFn: listWorkflows
+  });
+  
+  // Operation list for the current settings, shared by the live preview and apply
+  const operations = useMemo(() => buildOperations(processingSettings), [processingSettings]);
+  const hasPendingChanges = JSON.stringify(processingSettings) !== JSON.stringify(appliedSettings);
+  
+  // Live client-side preview of settings that have not been applied yet.
+  // Settings are absolute, so like the backend it always starts from the
+  // original image; each operation then runs exactly once.
+  // Style transfer can't run in the browser; the preview blends in a server-rendered copy
+  const stylePreviewSrc = useStylePreview(originalImage?.id, processingSettings.styleTransfer?.style, PREVIEW_MAX_SIZE);
+  // Overlay logos are decoded from their embedded data URLs
+  const previewResources = useMemo(() => ({
+    ...(stylePreviewSrc && { [`styleTransfer:${processingSettings.styleTransfer.style}`]: stylePreviewSrc }),
+    ...getOverlayResources(operations),
+  }), [stylePreviewSrc, processingSettings.styleTransfer, operations]);
+  const previewSrc = useLivePreview(originalImage?.src, operations, hasPendingChanges, previewResources);
+  const processedSrc = (hasPendingChanges && previewSrc) || currentImage?.src;
+  // Follows the preview so the histogram reflects pending changes too
+  const histogram = useHistogram(selectedTab === 'adjust' ? processedSrc : null);
+  
+  // Send an operation list to the backend for the original image; the
+  // result replaces the current image. `settings` are the editor settings
+  // the result corresponds to.
+  const runOperations = useCallback((operationList, { label, settings }) => {
+    if (!currentImage || !originalImage?.id) return;
     
     setIsProcessing(true);
+    const jobId = createJobId();
+    setActiveJob({ jobId, label });
     
-    const settings = {
-      imageId: currentImage.id,
-      operations: [
-        {
-          type: 'adjust',
-          params: {
-            brightness: processingSettings.brightness,
-            contrast: processingSettings.contrast,
-            saturation: processingSettings.saturation,
-            sharpness: processingSettings.sharpness
-          }
-        }
-      ]
-    };
-    
-    // Add filter if selected
-    if (processingSettings.selectedFilter) {
-      settings.operations.push({
-        type: 'filter',
-        params: {
-          name: processingSettings.selectedFilter
-        }
-      });
-    }
-    
-    // Add crop if dimensions specified
-    if (processingSettings.cropDimensions) {
-      settings.operations.push({
-        type: 'crop',
-        params: processingSettings.cropDimensions
-      });
-    }
-    
-    filterMutation.mutate(settings);
-  }, [currentImage, originalImage, processingSettings, filterMutation]);
+    filterMutation.mutate({
+      imageId: originalImage.id,
+      operations: operationList,
+      jobId
+    }, {
+      onSuccess: async (data) => {
+        const src = `data:${data.mimeType || 'image/jpeg'};base64,${data.processedImage}`;
+        // Crops change the size, so read it from the processed image
+        const { naturalWidth: width, naturalHeight: height } = await loadImage(src)
+          .catch(() => ({ naturalWidth: currentImage.width, naturalHeight: currentImage.height }));
+        const image = {
+          ...currentImage,
+          src,
+          id: data.imageId,
+          width,
+          height
+        };
+        setCurrentImage(image);
+        setAppliedSettings(settings);
+        // Every applied batch becomes a history step
+        pushHistoryStep({ image, settings, label });
+      }
+    });
+  }, [currentImage, originalImage, filterMutation, pushHistoryStep]);
+  
+  // Apply processing settings to image
+  const applyProcessingSettings = useCallback(() => {
+    runOperations(operations, { label: describeOperations(operations), settings: processingSettings });
+  }, [runOperations, operations, processingSettings]);
+  
+  // Run a saved workflow's exact operation list on the original image. Its
+  // result replaces the current edit, so the controls take its settings.
+  const handleApplyWorkflow = useCallback((workflow) => {
+    const settings = operationsToSettings(workflow.operations || []);
+    setProcessingSettings(settings);
+    runOperations(workflow.operations || [], { label: `Workflow: ${workflow.name}`, settings });
+  }, [runOperations]);
+  
+  // Load a saved workflow into the editor controls for tweaking
+  const handleLoadWorkflow = useCallback((workflow) => {
+    setProcessingSettings(operationsToSettings(workflow.operations || []));
+    setCustomWorkflowName(workflow.name);
+    toast.success(`Loaded workflow "${workflow.name}"`);
+  }, []);
   
   // Handle file upload
   const handleUpload = useCallback(() => {
     if (!currentImage?.file) return;
     
-    const formData = new FormData();
-    formData.append('image', currentImage.file);
-    uploadMutation.mutate(formData);
+    setUploadProgress({ loaded: 0, total: currentImage.file.size });
+    uploadMutation.mutate(currentImage.file);
   }, [currentImage, uploadMutation]);
   
   // Run object detection
@@ -210,9 +523,52 @@ const ImageEditor = () => {
     if (!currentImage?.id) return;
     
     setIsProcessing(true);
-    detectObjectsMutation.mutate({ imageId: currentImage.id });
+    const jobId = createJobId();
+    setActiveJob({ jobId, label: 'Detecting objects' });
+    detectObjectsMutation.mutate({ imageId: currentImage.id, jobId });
   }, [currentImage, detectObjectsMutation]);
   
+  // Fill the Adjust sliders with a suggestion from analyzing the original
+  // image, since the sliders are applied to the original rather than on top
+  // of the current edit
+  const handleSmartEnhance = useCallback(async () => {
+    if (!originalImage) return;
+    
+    try {
+      const img = await loadImage(originalImage.src);
+      const scale = Math.min(1, ENHANCE_ANALYSIS_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      
+      const { filter, ...adjustments } = autoEnhance(ctx.getImageData(0, 0, canvas.width, canvas.height));
+      setProcessingSettings(prev => ({
+        ...prev,
+        ...adjustments,
+        selectedFilter: filter || prev.selectedFilter
+      }));
+      setSelectedTab('adjust');
+      toast.success(filter
+        ? `Suggested adjustments and the ${filter} filter; review them before applying`
+        : 'Suggested adjustments; review them before applying');
+    } catch (error) {
+      toast.error(`Smart Enhance failed: ${error.message}`);
+    }
+  }, [originalImage]);
+  
+  // Find faces (and optionally plates) to redact
+  // Regions are found on the original, since redaction runs before crop
+  const handleDetectRegions = useCallback(() => {
+    if (!originalImage?.id) return;
+    
+    setIsProcessing(true);
+    const jobId = createJobId();
+    setActiveJob({ jobId, label: 'Detecting faces' });
+    detectRegionsMutation.mutate({ imageId: originalImage.id, includePlates, jobId });
+  }, [originalImage, includePlates, detectRegionsMutation]);
+  
   // Save current settings as custom workflow
   const handleSaveWorkflow = useCallback(() => {
     if (!customWorkflowName.trim()) {
@@ -222,78 +578,302 @@ const ImageEditor = () => {
     
     const workflow = {
       name: customWorkflowName,
-      operations: [
-        {
-          type: 'adjust',
-          params: {
-            brightness: processingSettings.brightness,
-            contrast: processingSettings.contrast,
-            saturation: processingSettings.saturation,
-            sharpness: processingSettings.sharpness
-          }
-        }
-      ]
+      operations
     };
     
-    if (processingSettings.selectedFilter) {
-      workflow.operations.push({
-        type: 'filter',
-        params: {
-          name: processingSettings.selectedFilter
-        }
+    saveWorkflowMutation.mutate(workflow);
+  }, [customWorkflowName, operations, saveWorkflowMutation]);
+  
+  // Import a workflow file: validate, migrate and add it to the library
+  const importWorkflowFile = useCallback(async (file) => {
+    try {
+      const workflow = parseWorkflowFile(await file.text());
+      saveWorkflowMutation.mutate({
+        name: workflow.name,
+        description: workflow.description,
+        operations: workflow.operations
       });
+      setProcessingSettings(operationsToSettings(workflow.operations));
+      setCustomWorkflowName(workflow.name);
+    } catch (error) {
+      const details = error.errors
+        ? error.errors.slice(0, 5).map(({ path, message }) => `${path}: ${message}`).join('\n')
+        : error.message;
+      toast.error(`Could not import ${file.name}\n${details}`);
     }
+  }, [saveWorkflowMutation]);
+  
+  // Images start an edit; .json files are imported as workflows
+  const handleDrop = useCallback((acceptedFiles, fileRejections = []) => {
+    // Say why a file was refused instead of dropping it silently
+    fileRejections.forEach(rejection => toast.error(describeRejection(rejection)));
     
-    saveWorkflowMutation.mutate(workflow);
-  }, [customWorkflowName, processingSettings, saveWorkflowMutation]);
+    const file = acceptedFiles?.[0];
+    if (file && (file.type === 'application/json' || file.name.endsWith('.json'))) {
+      importWorkflowFile(file);
+    } else {
+      onDrop(acceptedFiles);
+    }
+  }, [onDrop, importWorkflowFile]);
+  
+  const { getRootProps, getInputProps, isDragActive, open: openFileDialog } = useDropzone({
+    onDrop: handleDrop,
+    accept: {
+      ...ACCEPTED_IMAGE_TYPES,
+      'application/json': ['.json']
+    },
+    maxFiles: 1,
+    maxSize: MAX_UPLOAD_SIZE,
+  });
+  
+  // Export the current settings as a workflow file
+  const handleExportWorkflow = useCallback(() => {
+    downloadWorkflow({ name: customWorkflowName.trim() || 'Untitled workflow', operations });
+  }, [customWorkflowName, operations]);
+  
+  // Restore the editor to a history step
+  const restoreStep = useCallback((step) => {
+    if (!step) return;
+    
+    setCurrentImage(step.image);
+    setProcessingSettings(step.settings);
+    setAppliedSettings(step.settings);
+    setObjectDetectionResults(null);
+    setRedactionCandidates(null);
+  }, []);
+  
+  const handleUndo = useCallback(() => restoreStep(undo()), [undo, restoreStep]);
+  const handleRedo = useCallback(() => restoreStep(redo()), [redo, restoreStep]);
   
   // Reset to original image
   const handleReset = useCallback(() => {
     if (!originalImage) return;
     
-    setCurrentImage({
-      ...originalImage
-    });
-    setProcessingSettings({
-      brightness: 0,
-      contrast: 0,
-      saturation: 0,
-      sharpness: 0,
-      selectedFilter: null,
-      cropDimensions: null,
-    });
-    setObjectDetectionResults(null);
-  }, [originalImage]);
+    // Jumping back to the original keeps later steps reachable in the timeline
+    restoreStep(goToHistoryStep(history.rootId));
+  }, [originalImage, goToHistoryStep, history.rootId, restoreStep]);
   
-  // Render object detection boxes
+  // Open the server image and operations from a share link
+  const openSharedEdit = useCallback(async ({ imageId, operations: sharedOperations }) => {
+    try {
+      const data = await getImageById(imageId);
+      const src = data.url || `data:${data.mimeType || 'image/jpeg'};base64,${data.image}`;
+      const img = await loadImage(src);
+      startEditing({ src, id: imageId, width: img.naturalWidth, height: img.naturalHeight });
+      // Shared operations start out pending so they can be reviewed before applying
+      setProcessingSettings(operationsToSettings(sharedOperations));
+    } catch (error) {
+      toast.error(`Could not open shared image: ${error.message}`);
+    }
+  }, [startEditing]);
+  
+  // On load, open a share link or offer to resume the last session
   useEffect(() => {
-    if (!objectDetectionResults || !canvasRef.current || !imageRef.current) return;
+    let share = null;
+    try {
+      share = parseShareUrl(window.location.search);
+    } catch (error) {
+      const details = error.errors
+        ? error.errors.slice(0, 5).map(({ path, message }) => `${path}: ${message}`).join('\n')
+        : error.message;
+      toast.error(`Invalid share link\n${details}`);
+      clearShareParams();
+    }
     
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    const img = imageRef.current;
+    if (share) {
+      clearShareParams();
+      openSharedEdit(share);
+      return;
+    }
     
-    canvas.width = img.width;
-    canvas.height = img.height;
+    loadSession()
+      .then(session => {
+        if (session?.originalImage) {
+          sessionUrlsRef.current = session.objectUrls;
+          setResumableSession(session);
+        } else {
+          if (session) revokeObjectUrls(session.objectUrls);
+          setIsSessionReady(true);
+        }
+      })
+      .catch(() => setIsSessionReady(true));
+  }, [openSharedEdit]);
+  
+  const handleResumeSession = useCallback(() => {
+    const session = resumableSession;
+    // Older sessions only recorded the upload's id on the first history step
+    const uploadedId = session.history.steps[session.history.order[0]]?.image.id;
+    setOriginalImage({ id: uploadedId, ...session.originalImage });
+    setCurrentImage(session.currentImage);
+    // Sessions saved by older versions may lack newer settings
+    setProcessingSettings({ ...DEFAULT_PROCESSING_SETTINGS, ...session.processingSettings });
+    setAppliedSettings({ ...DEFAULT_PROCESSING_SETTINGS, ...session.appliedSettings });
+    setObjectDetectionResults(session.detections || null);
+    restoreHistory(session.history);
+    revokeObjectUrls(editorUrlsRef.current);
+    editorUrlsRef.current = sessionUrlsRef.current;
+    sessionUrlsRef.current = [];
+    setResumableSession(null);
+    setIsSessionReady(true);
+  }, [resumableSession, restoreHistory]);
+  
+  const handleDiscardSession = useCallback(() => {
+    clearSession().catch(() => {});
+    revokeObjectUrls(sessionUrlsRef.current);
+    sessionUrlsRef.current = [];
+    setResumableSession(null);
+    setIsSessionReady(true);
+  }, []);
+  
+  // Everything needed to pick up where the user left off
+  const session = useMemo(() => (originalImage ? {
+    originalImage,
+    currentImage,
+    history: history.snapshot,
+    processingSettings,
+    appliedSettings,
+    detections: objectDetectionResults
+  } : null), [originalImage, currentImage, history.snapshot, processingSettings, appliedSettings, objectDetectionResults]);
+  useSessionPersistence(session, isSessionReady);
+  
+  // Copy a link that opens the original image with the current operations
+  const handleCopyShareLink = useCallback(async () => {
+    if (!originalImage?.id) return;
     
-    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    try {
+      await navigator.clipboard.writeText(buildShareUrl(originalImage.id, operations));
+      toast.success('Share link copied to clipboard');
+    } catch (error) {
+      toast.error(`Could not copy share link: ${error.message}`);
+    }
+  }, [originalImage, operations]);
+  
+  // History and workflows belong to the signed-in user; drop another user's
+  // cached copies. Re-signing in after the session lapsed keeps the same id.
+  const userId = user?.id ?? null;
+  const previousUserIdRef = useRef(userId);
+  useEffect(() => {
+    if (previousUserIdRef.current === userId) return;
+    previousUserIdRef.current = userId;
+    queryClient.resetQueries(['processingHistory']);
+    queryClient.resetQueries(['workflows']);
+  }, [userId, queryClient]);
+  
+  const handleSignIn = useCallback(async (credentials) => {
+    const signedInUser = await signIn(credentials);
+    setShowSignIn(false);
+    toast.success(`Signed in as ${signedInUser.username}`);
+  }, [signIn]);
+  
+  // Closing the dialog after the session lapsed fails the waiting requests
+  const handleCloseSignIn = useCallback(() => {
+    setShowSignIn(false);
+    if (needsSignIn) cancelSignIn();
+  }, [needsSignIn, cancelSignIn]);
+  
+  const handleSignOut = useCallback(async () => {
+    await signOut();
+    toast.success('Signed out');
+  }, [signOut]);
+  
+  // Everything the keyboard shortcuts and the command palette can run. Ids
+  // match the keys of DEFAULT_SHORTCUTS.
+  const commands = useMemo(() => [
+    { id: 'commandPalette', group: 'General', label: 'Command palette', run: () => setShowCommandPalette(true), allowInInputs: true },
+    { id: 'shortcutHelp', group: 'General', label: 'Keyboard shortcuts', run: () => setShowShortcuts(true) },
+    { id: 'undo', group: 'Edit', label: 'Undo', run: handleUndo, disabled: !history.canUndo, repeatable: true },
+    { id: 'redo', group: 'Edit', label: 'Redo', run: handleRedo, disabled: !history.canRedo, repeatable: true },
+    { id: 'apply', group: 'Edit', label: 'Apply changes', run: applyProcessingSettings, disabled: !currentImage?.id || isProcessing, allowInInputs: true },
+    { id: 'reset', group: 'Edit', label: 'Reset', run: handleReset, disabled: !currentImage },
+    { id: 'upload', group: 'File', label: 'Open image…', run: openFileDialog },
+    { id: 'export', group: 'File', label: 'Export…', run: () => setShowExportDialog(true), disabled: !currentImage },
+    { id: 'shareLink', group: 'File', label: 'Copy share link', run: handleCopyShareLink, disabled: !originalImage?.id },
+    {
+      id: 'saveWorkflow',
+      group: 'File',
+      label: 'Save workflow',
+      run: () => {
+        setShowAdvancedOptions(true);
+        handleSaveWorkflow();
+      },
+      allowInInputs: true
+    },
+    ...EDITOR_TABS.map(tab => ({ id: `tab.${tab.id}`, group: 'Tabs', label: tab.label, run: () => setSelectedTab(tab.id) })),
+    { id: 'smartEnhance', group: 'AI', label: 'Smart enhance', run: handleSmartEnhance, disabled: !currentImage },
+    { id: 'detectObjects', group: 'AI', label: 'Detect objects', run: handleObjectDetection, disabled: !currentImage?.id || isProcessing },
+    {
+      id: 'nextPreviewMode',
+      group: 'View',
+      label: 'Next preview mode',
+      run: () => setPreviewMode(prev => PREVIEW_MODES[(PREVIEW_MODES.findIndex(mode => mode.id === prev) + 1) % PREVIEW_MODES.length].id)
+    },
+    ...PREVIEW_MODES.map(mode => ({ id: `preview.${mode.id}`, group: 'View', label: mode.label, run: () => setPreviewMode(mode.id) })),
+    { id: 'fullscreen', group: 'View', label: 'Toggle fullscreen', run: () => setIsFullscreen(prev => !prev) },
+    isSignedIn
+      ? { id: 'signOut', group: 'Account', label: 'Sign out', run: handleSignOut }
+      : { id: 'signIn', group: 'Account', label: 'Sign in…', run: () => setShowSignIn(true) },
+  ], [
+    history.canUndo,
+    history.canRedo,
+    currentImage,
+    originalImage,
+    isProcessing,
+    handleUndo,
+    handleRedo,
+    applyProcessingSettings,
+    handleReset,
+    openFileDialog,
+    handleCopyShareLink,
+    handleSaveWorkflow,
+    handleSmartEnhance,
+    handleObjectDetection,
+    isSignedIn,
+    handleSignOut
+  ]);
+  
+  // Saved workflows can be applied or loaded from the command palette
+  const workflowCommands = useMemo(() => (savedWorkflows || [])
+    .filter(workflow => workflow.operations)
+    .flatMap(workflow => [
+      {
+        id: `workflow.apply.${workflow.id}`,
+        group: 'Workflows',
+        label: `Apply "${workflow.name}"`,
+        run: () => handleApplyWorkflow(workflow),
+        disabled: !currentImage?.id || isProcessing
+      },
+      {
+        id: `workflow.load.${workflow.id}`,
+        group: 'Workflows',
+        label: `Load "${workflow.name}" into controls`,
+        run: () => handleLoadWorkflow(workflow)
+      }
+    ]), [savedWorkflows, currentImage, isProcessing, handleApplyWorkflow, handleLoadWorkflow]);
+  
+  useKeyboardShortcuts(commands, shortcutBindings, !showCommandPalette && !showShortcuts);
+  
+  const closeShortcuts = useCallback(() => setShowShortcuts(false), []);
+  
+  // Label with its first shortcut, for button tooltips
+  const withShortcut = (label, id) => (
+    shortcutBindings[id]?.length ? `${label} (${formatCombo(shortcutBindings[id][0])})` : label
+  );
+  
+  // Delete / Backspace removes the selected box while editing detections
+  useEffect(() => {
+    if (!isEditingDetections || selectedDetection === null) return undefined;
     
-    // Draw bounding boxes
-    objectDetectionResults.forEach(obj => {
-      const { x, y, width, height, class: label, confidence } = obj;
+    const handleKeyDown = (event) => {
+      if (!['Delete', 'Backspace'].includes(event.key) || event.target.closest?.('input, textarea, select')) return;
       
-      ctx.strokeStyle = '#00FFFF';
-      ctx.lineWidth = 3;
-      ctx.strokeRect(x, y, width, height);
-      
-      ctx.fillStyle = 'rgba(0, 255, 255, 0.5)';
-      ctx.fillRect(x, y - 20, 150, 20);
-      
-      ctx.fillStyle = '#000000';
-      ctx.font = '14px Arial';
-      ctx.fillText(`${label} (${Math.round(confidence * 100)}%)`, x + 5, y - 5);
-    });
-  }, [objectDetectionResults]);
+      event.preventDefault();
+      setObjectDetectionResults(prev => prev.filter((_, index) => index !== selectedDetection));
+      setSelectedDetection(null);
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isEditingDetections, selectedDetection]);
   
   // UI Sections
   const renderImageUpload = () => (
@@ -324,23 +904,54 @@ const ImageEditor = () => {
             </svg>
             <h3>Drag & drop an image here</h3>
             <p>or click to select a file</p>
-            <span className="file-specs">JPEG, PNG, GIF up to 10MB</span>
+            <span className="file-specs">
+              JPEG, PNG, GIF, WebP, TIFF, HEIC or camera RAW up to {formatBytes(MAX_UPLOAD_SIZE)}, or a workflow .json to import
+            </span>
           </>
         )}
       </div>
     </div>
   );
   
+  const renderEditHistory = () => history.steps.length > 0 && (
+    <div className="edit-history">
+      <div className="edit-history-header">
+        <h3>Recent Edits</h3>
+        <div className="button-group">
+          <button onClick={handleUndo} disabled={!history.canUndo} title={withShortcut('Undo', 'undo')}>
+            Undo
+          </button>
+          <button onClick={handleRedo} disabled={!history.canRedo} title={withShortcut('Redo', 'redo')}>
+            Redo
+          </button>
+        </div>
+      </div>
+      <div className="history-items">
+        {history.steps.map(step => (
+          <div
+            key={step.id}
+            className={`history-item ${step.isCurrent ? 'current' : ''} ${step.isActive ? '' : 'inactive-branch'}`}
+            style={{ paddingLeft: `${step.depth * 8}px` }}
+            onClick={() => restoreStep(goToHistoryStep(step.id))}
+          >
+            <img src={step.image.src} alt="History thumbnail" />
+            <div className="history-item-info">
+              <span>{step.label}</span>
+              <small>{new Date(step.timestamp).toLocaleTimeString()}</small>
+            </div>
+          </div>
+        ))}
+      </div>
+      {history.isBranchPoint && (
+        <p className="branch-hint">Applying changes from this step starts a new branch</p>
+      )}
+    </div>
+  );
+  
   const renderEditorControls = () => (
     <div className="editor-controls">
       <Tabs
-        tabs={[
-          { id: 'adjust', label: 'Adjust' },
-          { id: 'filters', label: 'Filters' },
-          { id: 'crop', label: 'Crop' },
-          { id: 'effects', label: 'Effects' },
-          { id: 'ai', label: 'AI Tools' },
-        ]}
+        tabs={EDITOR_TABS}
         activeTab={selectedTab}
         onChange={setSelectedTab}
       />
@@ -350,7 +961,7 @@ const ImageEditor = () => {
           <div className="adjust-controls">
             <div className="slider-control">
               <label>Brightness</label>
-              <Slider 
+              <KeyboardSlider 
                 min={-100} 
                 max={100} 
                 value={processingSettings.brightness} 
@@ -360,7 +971,7 @@ const ImageEditor = () => {
             
             <div className="slider-control">
               <label>Contrast</label>
-              <Slider 
+              <KeyboardSlider 
                 min={-100} 
                 max={100} 
                 value={processingSettings.contrast} 
@@ -370,7 +981,7 @@ const ImageEditor = () => {
             
             <div className="slider-control">
               <label>Saturation</label>
-              <Slider 
+              <KeyboardSlider 
                 min={-100} 
                 max={100} 
                 value={processingSettings.saturation} 
@@ -380,26 +991,61 @@ const ImageEditor = () => {
             
             <div className="slider-control">
               <label>Sharpness</label>
-              <Slider 
+              <KeyboardSlider 
                 min={-100} 
                 max={100} 
                 value={processingSettings.sharpness} 
                 onChange={val => setProcessingSettings(prev => ({ ...prev, sharpness: val }))}
               />
             </div>
+            
+            <div className="tone-controls">
+              <h4>Histogram</h4>
+              <Histogram histogram={histogram} />
+              
+              <h4>Levels</h4>
+              <LevelsControl
+                value={processingSettings.levels}
+                onChange={levels => setProcessingSettings(prev => ({ ...prev, levels }))}
+              />
+              
+              <h4>Curves</h4>
+              <CurvesEditor
+                value={processingSettings.curves}
+                onChange={curves => setProcessingSettings(prev => ({ ...prev, curves }))}
+                histogram={histogram}
+              />
+            </div>
+            
+            <div className="local-adjustment-controls">
+              <h4>Local Adjustments</h4>
+              <LocalAdjustmentsPanel
+                layers={processingSettings.localAdjustments}
+                onChange={localAdjustments => setProcessingSettings(prev => ({ ...prev, localAdjustments }))}
+                selectedIndex={selectedLocalAdjustment}
+                onSelect={setSelectedLocalAdjustment}
+                image={originalImage}
+              />
+            </div>
           </div>
         )}
         
         {selectedTab === 'filters' && (
           <div className="filters-controls">
             <div className="filter-grid">
-              {['None', 'Grayscale', 'Sepia', 'Vintage', 'Dramatic', 'Vivid', 'Cool', 'Warm', 'Film', 'B&W Portrait'].map(filter => (
+              {FILTER_NAMES.map(filter => (
                 <div 
                   key={filter} 
                   className={`filter-item ${processingSettings.selectedFilter === filter ? 'selected' : ''}`}
                   onClick={() => setProcessingSettings(prev => ({ ...prev, selectedFilter: filter === 'None' ? null : filter }))}
                 >
-                  <div className="filter-preview" style={{ filter: getFilterStyle(filter) }}></div>
+                  <div
+                    className="filter-preview"
+                    style={{
+                      filter: getFilterStyle(filter),
+                      backgroundImage: currentImage ? `url(${currentImage.src})` : undefined
+                    }}
+                  ></div>
                   <span>{filter}</span>
                 </div>
               ))}
@@ -407,74 +1053,22 @@ const ImageEditor = () => {
           </div>
         )}
         
+        {selectedTab === 'effects' && (
+          <EffectsPanel
+            effects={processingSettings.effects}
+            onChange={effects => setProcessingSettings(prev => ({ ...prev, effects }))}
+          />
+        )}
+        
         {selectedTab === 'crop' && (
           <div className="crop-controls">
-            <div className="aspect-ratio-selectors">
-              <button 
-                className={!processingSettings.cropDimensions ? 'active' : ''} 
-                onClick={() => setProcessingSettings(prev => ({ ...prev, cropDimensions: null }))}
-              >
-                Original
-              </button>
-              <button 
-                className={processingSettings.cropDimensions?.aspectRatio === '1:1' ? 'active' : ''}
-                onClick={() => setProcessingSettings(prev => ({ 
-                  ...prev, 
-                  cropDimensions: { aspectRatio: '1:1' } 
-                }))}
-              >
-                1:1
-              </button>
-              <button 
-                className={processingSettings.cropDimensions?.aspectRatio === '16:9' ? 'active' : ''}
-                onClick={() => setProcessingSettings(prev => ({ 
-                  ...prev, 
-                  cropDimensions: { aspectRatio: '16:9' } 
-                }))}
-              >
-                16:9
-              </button>
-              <button 
-                className={processingSettings.cropDimensions?.aspectRatio === '4:3' ? 'active' : ''}
-                onClick={() => setProcessingSettings(prev => ({ 
-                  ...prev, 
-                  cropDimensions: { aspectRatio: '4:3' } 
-                }))}
-              >
-                4:3
-              </button>
-              <button 
-                className={processingSettings.cropDimensions?.aspectRatio === '3:2' ? 'active' : ''}
-                onClick={() => setProcessingSettings(prev => ({ 
-                  ...prev, 
-                  cropDimensions: { aspectRatio: '3:2' } 
-                }))}
-              >
-                3:2
-              </button>
-              <button
-                className={processingSettings.cropDimensions?.aspectRatio === 'custom' ? 'active' : ''}
-                onClick={() => setProcessingSettings(prev => ({ 
-                  ...prev, 
-                  cropDimensions: { aspectRatio: 'custom' } 
-                }))}
-              >
-                Custom
-              </button>
-            </div>
-            
-            <div className="crop-preview">
-              {currentImage && (
-                <div className="crop-image-container">
-                  <img src={currentImage.src} alt="Crop preview" />
-                  {processingSettings.cropDimensions && (
-                    <div className="crop-overlay" style={{
-                      aspectRatio: processingSettings.cropDimensions.aspectRatio === 'custom' ? 'auto' : processingSettings.cropDimensions.aspectRatio.replace(':', '/')
-                    }}></div>
-                  )}
-                </div>
-              )}
-            </div>
+            {originalImage && (
+              <CropTool
+                src={originalImage.src}
+                value={processingSettings.cropDimensions}
+                onChange={cropDimensions => setProcessingSettings(prev => ({ ...prev, cropDimensions }))}
+              />
+            )}
           </div>
         )}
         
@@ -486,17 +1080,58 @@ const ImageEditor = () => {
               <Button onClick={handleObjectDetection} disabled={!currentImage?.id || isProcessing}>
                 {isProcessing ? <Spinner size="sm" /> : 'Detect Objects'}
               </Button>
+              {objectDetectionResults && (
+                <DetectionResultsPanel
+                  detections={objectDetectionResults}
+                  onDetectionsChange={setObjectDetectionResults}
+                  filter={detectionFilter}
+                  onFilterChange={setDetectionFilter}
+                  hoveredIndex={hoveredDetection}
+                  onHover={setHoveredDetection}
+                  isEditing={isEditingDetections}
+                  onEditingChange={setIsEditingDetections}
+                  selectedIndex={selectedDetection}
+                  onSelect={setSelectedDetection}
+                  labels={labelSet}
+                  onLabelsChange={setLabelSet}
+                  newBoxLabel={newBoxLabel}
+                  onNewBoxLabelChange={setNewBoxLabel}
+                  image={{
+                    id: currentImage.id,
+                    fileName: currentImage.file?.name || 'image.jpg',
+                    width: currentImage.width,
+                    height: currentImage.height
+                  }}
+                />
+              )}
+            </div>
+            
+            <div className="ai-option">
+              <h4>Privacy Redaction</h4>
+              <p>Blur, pixelate or black out faces and license plates</p>
+              <RedactionPanel
+                candidates={redactionCandidates}
+                selected={processingSettings.redaction?.regions || []}
+                onSelectedChange={setRedactionRegions}
+                options={{ ...redactionOptions, ...processingSettings.redaction }}
+                onOptionsChange={handleRedactionOptionsChange}
+                includePlates={includePlates}
+                onIncludePlatesChange={setIncludePlates}
+                onDetect={handleDetectRegions}
+                isDetecting={detectRegionsMutation.isLoading}
+                canDetect={!!originalImage?.id && !isProcessing}
+                hoveredIndex={hoveredRedaction}
+                onHover={setHoveredRedaction}
+              />
             </div>
             
             <div className="ai-option">
               <h4>Smart Enhance</h4>
-              <p>Automatically enhance your image using AI</p>
+              <p>Analyze exposure, contrast, color and sharpness and suggest adjustments</p>
               <Button 
                 variant="secondary" 
-                onClick={() => {
-                  toast('AI image enhancement coming soon!', { icon: '🚀' });
-                }}
-                disabled={!currentImage?.id}
+                onClick={handleSmartEnhance}
+                disabled={!currentImage}
               >
                 Enhance with AI
               </Button>
@@ -505,28 +1140,42 @@ const ImageEditor = () => {
             <div className="ai-option">
               <h4>Style Transfer</h4>
               <p>Apply artistic styles to your image using neural networks</p>
-              <div className="style-preview-grid">
-                {['Cubism', 'Impressionist', 'Starry Night', 'Pop Art'].map(style => (
-                  <div key={style} className="style-preview-item">
-                    <div className="style-preview-image"></div>
-                    <span>{style}</span>
-                  </div>
-                ))}
-              </div>
+              <StyleTransferPanel
+                key={originalImage?.id}
+                image={originalImage}
+                value={processingSettings.styleTransfer}
+                onChange={styleTransfer => setProcessingSettings(prev => ({ ...prev, styleTransfer }))}
+              />
             </div>
           </div>
         )}
         
+        {selectedTab === 'overlay' && (
+          <OverlayPanel
+            items={processingSettings.overlays}
+            onChange={overlays => setProcessingSettings(prev => ({ ...prev, overlays }))}
+            selectedIndex={selectedOverlay}
+            onSelect={setSelectedOverlay}
+          />
+        )}
+        
         <div className="action-buttons">
-          <Button variant="secondary" onClick={handleReset} disabled={!currentImage}>
+          <Button variant="secondary" onClick={handleReset} disabled={!currentImage} title={withShortcut('Reset', 'reset')}>
             Reset
           </Button>
           <Button 
             onClick={applyProcessingSettings} 
             disabled={!currentImage?.id || isProcessing}
+            title={withShortcut('Apply changes', 'apply')}
           >
             {isProcessing ? <Spinner size="sm" /> : 'Apply Changes'}
           </Button>
+          <Button variant="secondary" onClick={() => setShowExportDialog(true)} disabled={!currentImage} title={withShortcut('Export', 'export')}>
+            Export
+          </Button>
+          <Button variant="secondary" onClick={handleCopyShareLink} disabled={!originalImage?.id}>
+            Share Link
+          </Button>
         </div>
         
         <div className="advanced-options">
@@ -542,24 +1191,37 @@ const ImageEditor = () => {
               <div className="preview-mode-selector">
                 <h4>Preview Mode</h4>
                 <div className="button-group">
-                  <button
-                    className={previewMode === 'split' ? 'active' : ''}
-                    onClick={() => setPreviewMode('split')}
-                  >
-                    Split View
-                  </button>
-                  <button
-                    className={previewMode === 'side-by-side' ? 'active' : ''}
-                    onClick={() => setPreviewMode('side-by-side')}
-                  >
-                    Side by Side
-                  </button>
-                  <button
-                    className={previewMode === 'before-after' ? 'active' : ''}
-                    onClick={() => setPreviewMode('before-after')}
-                  >
-                    Before/After
-                  </button>
+                  {PREVIEW_MODES.map(mode => (
+                    <button
+                      key={mode.id}
+                      className={previewMode === mode.id ? 'active' : ''}
+                      onClick={() => setPreviewMode(mode.id)}
+                    >
+                      {mode.label}
+                    </button>
+                  ))}
+                </div>
+                
+                {previewMode === 'onion-skin' && (
+                  <div className="slider-control">
+                    <label>Processed Opacity: {onionOpacity}%</label>
+                    <KeyboardSlider min={0} max={100} value={onionOpacity} onChange={setOnionOpacity} />
+                  </div>
+                )}
+                
+                {previewMode === 'difference' && (
+                  <div className="slider-control">
+                    <label>Amplify Differences: {differenceGain}×</label>
+                    <KeyboardSlider min={1} max={20} value={differenceGain} onChange={setDifferenceGain} />
+                  </div>
+                )}
+              </div>
+              
+              <div className="keyboard-options">
+                <h4>Keyboard</h4>
+                <div className="button-group">
+                  <button onClick={() => setShowCommandPalette(true)}>{withShortcut('Command Palette', 'commandPalette')}</button>
+                  <button onClick={() => setShowShortcuts(true)}>{withShortcut('Shortcuts', 'shortcutHelp')}</button>
                 </div>
               </div>
               
@@ -575,8 +1237,17 @@ const ImageEditor = () => {
                   <Button onClick={handleSaveWorkflow} disabled={!customWorkflowName.trim()}>
                     Save
                   </Button>
+                  <Button variant="secondary" onClick={handleExportWorkflow}>
+                    Export JSON
+                  </Button>
                 </div>
               </div>
+              
+              <WorkflowLibrary
+                onLoad={handleLoadWorkflow}
+                onApply={handleApplyWorkflow}
+                canApply={!!currentImage?.id && !isProcessing}
+              />
             </div>
           )}
         </div>
@@ -584,94 +1255,179 @@ const ImageEditor = () => {
     </div>
   );
   
+  const selectedLocalMask = processingSettings.localAdjustments[selectedLocalAdjustment]?.mask || null;
+  const setSelectedLocalMask = (mask) => {
+    setProcessingSettings(prev => ({
+      ...prev,
+      localAdjustments: prev.localAdjustments.map((layer, index) => (
+        index === selectedLocalAdjustment ? { ...layer, mask } : layer
+      ))
+    }));
+  };
+  
+  const selectedOverlayItem = processingSettings.overlays[selectedOverlay] || null;
+  const setSelectedOverlayItem = (item) => {
+    setProcessingSettings(prev => ({
+      ...prev,
+      overlays: prev.overlays.map((overlay, index) => (index === selectedOverlay ? item : overlay))
+    }));
+  };
+  
+  // Processed image with the detection overlay drawn in image coordinates
+  const renderProcessedImage = () => (
+    <div className="processed-image-stage">
+      <img 
+        ref={imageRef}
+        src={processedSrc} 
+        alt="Processed" 
+        draggable={false}
+      />
+      {objectDetectionResults && (
+        <DetectionOverlay
+          detections={objectDetectionResults}
+          filter={detectionFilter}
+          width={currentImage.width}
+          height={currentImage.height}
+          hoveredIndex={hoveredDetection}
+          onHover={setHoveredDetection}
+          editable={isEditingDetections}
+          selectedIndex={selectedDetection}
+          onSelect={setSelectedDetection}
+          onChange={setObjectDetectionResults}
+          newBoxLabel={newBoxLabel}
+        />
+      )}
+      {selectedLocalMask && selectedLocalMask.kind !== 'brush' && selectedTab === 'adjust' && (
+        <LocalMaskOverlay
+          mask={selectedLocalMask}
+          width={currentImage.width}
+          height={currentImage.height}
+          onChange={setSelectedLocalMask}
+        />
+      )}
+      {selectedOverlayItem && selectedTab === 'overlay' && (
+        <OverlayHandles
+          item={selectedOverlayItem}
+          width={currentImage.width}
+          height={currentImage.height}
+          onChange={setSelectedOverlayItem}
+        />
+      )}
+      {redactionCandidates && selectedTab === 'ai' && !isEditingDetections && (
+        <RedactionOverlay
+          candidates={redactionCandidates}
+          selected={processingSettings.redaction?.regions || []}
+          onToggle={toggleRedactionRegion}
+          width={currentImage.width}
+          height={currentImage.height}
+          hoveredIndex={hoveredRedaction}
+          onHover={setHoveredRedaction}
+        />
+      )}
+    </div>
+  );
+  
+  // Preview panes (see ZoomPreview) for the original and processed images. All
+  // modes share one ZoomPreview so zoom and pan survive switching modes.
+  // Except side by side, the processed image is layered over the original.
+  const renderOriginalPane = () => ({
+    key: 'original',
+    className: previewMode === 'side-by-side' ? 'preview-image' : 'preview-layer',
+    label: 'Original',
+    src: originalImage.src,
+    width: originalImage.width,
+    height: originalImage.height,
+    content: <img src={originalImage.src} alt="Original" draggable={false} />
+  });
+  
+  const getProcessedLayerStyle = () => {
+    if (!originalImage) return undefined;
+    switch (previewMode) {
+      case 'split':
+        return { clipPath: `inset(0 0 0 ${splitPosition}%)` };
+      case 'before-after':
+        return { opacity: isHoldingOriginal ? 0 : 1 };
+      case 'onion-skin':
+        return { opacity: onionOpacity / 100 };
+      case 'difference':
+        // Unchanged pixels come out black
+        return { mixBlendMode: 'difference' };
+      default:
+        return undefined;
+    }
+  };
+  
+  const renderProcessedPane = () => ({
+    key: 'processed',
+    className: previewMode === 'side-by-side' ? 'preview-image' : 'preview-layer',
+    style: getProcessedLayerStyle(),
+    label: 'Processed',
+    src: processedSrc,
+    width: currentImage.width,
+    height: currentImage.height,
+    content: renderProcessedImage()
+  });
+  
+  const renderUploadProgress = () => uploadProgress && (
+    <div className="upload-progress">
+      <div className="progress-bar">
+        <div className="progress-fill" style={{ width: `${(uploadProgress.loaded / (uploadProgress.total || 1)) * 100}%` }}></div>
+      </div>
+      <small>{formatBytes(uploadProgress.loaded)} of {formatBytes(uploadProgress.total)}</small>
+      <button className="cancel-upload" onClick={cancelUpload}>Cancel</button>
+    </div>
+  );
+  
   const renderImagePreview = () => (
     <div className={`image-preview ${previewMode}`}>
       {currentImage ? (
         <>
           <div className="preview-container">
-            {previewMode === 'split' && originalImage && (
-              <div className="split-view">
-                <div className="original-half">
-                  <img src={originalImage.src} alt="Original" />
-                </div>
-                <div className="processed-half">
-                  <img 
-                    ref={imageRef}
-                    src={currentImage.src} 
-                    alt="Processed" 
-                    className={objectDetectionResults ? 'hidden' : ''}
-                  />
-                  {objectDetectionResults && (
-                    <canvas 
-                      ref={canvasRef} 
-                      className="detection-canvas"
-                    />
-                  )}
-                </div>
-                <div className="divider"></div>
-              </div>
-            )}
-            
-            {previewMode === 'side-by-side' && (
-              <div className="side-by-side-view">
-                {originalImage && (
-                  <div className="preview-image">
-                    <img src={originalImage.src} alt="Original" />
-                    <span className="preview-label">Original</span>
-                  </div>
-                )}
-                <div className="preview-image">
-                  <img 
-                    ref={imageRef}
-                    src={currentImage.src} 
-                    alt="Processed" 
-                    className={objectDetectionResults ? 'hidden' : ''}
-                  />
-                  {objectDetectionResults && (
-                    <canvas 
-                      ref={canvasRef} 
-                      className="detection-canvas"
-                    />
-                  )}
-                  <span className="preview-label">Processed</span>
-                </div>
-              </div>
-            )}
-            
-            {previewMode === 'before-after' && (
-              <div className="before-after-view">
-                <img 
-                  ref={imageRef}
-                  src={currentImage.src} 
-                  alt="Processed" 
-                  className={objectDetectionResults ? 'hidden' : ''}
-                />
-                {objectDetectionResults && (
-                  <canvas 
-                    ref={canvasRef} 
-                    className="detection-canvas"
-                  />
-                )}
+            <ZoomPreview
+              key={originalImage?.src}
+              className={`${previewMode}-view`}
+              style={previewMode === 'difference' && differenceGain > 1 ? { filter: `brightness(${differenceGain})` } : undefined}
+              panes={originalImage ? [renderOriginalPane(), renderProcessedPane()] : [renderProcessedPane()]}
+              showLabels={previewMode === 'side-by-side'}
+              panDisabled={isEditingDetections}
+            >
+              {previewMode === 'split' && originalImage && (
+                <SplitDivider position={splitPosition} onChange={setSplitPosition} />
+              )}
+              {previewMode === 'before-after' && originalImage && (
                 <button 
-                  className="before-button"
-                  onMouseDown={() => originalImage && setCurrentImage(originalImage)}
-                  onMouseUp={() => originalImage && setCurrentImage(prev => ({ ...prev }))}
-                  onMouseLeave={() => originalImage && setCurrentImage(prev => ({ ...prev }))}
+                  className={`before-button ${isHoldingOriginal ? 'active' : ''}`}
+                  onPointerDown={() => setIsHoldingOriginal(true)}
+                  onPointerUp={() => setIsHoldingOriginal(false)}
+                  onPointerLeave={() => setIsHoldingOriginal(false)}
+                  onPointerCancel={() => setIsHoldingOriginal(false)}
+                  onKeyDown={event => event.key === ' ' && setIsHoldingOriginal(true)}
+                  onKeyUp={event => event.key === ' ' && setIsHoldingOriginal(false)}
+                  onBlur={() => setIsHoldingOriginal(false)}
                 >
-                  Show Original
+                  Hold to Show Original
                 </button>
-              </div>
-            )}
+              )}
+            </ZoomPreview>
           </div>
           
+          {activeJob && (
+            <JobProgress key={activeJob.jobId} jobId={activeJob.jobId} label={activeJob.label} />
+          )}
+          
           <div className="image-info">
             <div className="dimensions">
               {currentImage.width} × {currentImage.height}
             </div>
-            
+
+            {hasPendingChanges && (
+              <span className="preview-badge">Preview – apply to keep changes</span>
+            )}
+
             <button
               className="fullscreen-toggle"
               onClick={() => setIsFullscreen(!isFullscreen)}
+              title={withShortcut('Toggle fullscreen', 'fullscreen')}
             >
               {isFullscreen ? 'Exit Fullscreen' : 'Fullscreen'}
             </button>
@@ -679,46 +1435,35 @@ const ImageEditor = () => {
           
           {!currentImage.id && (
             <div className="upload-prompt">
-              <Button onClick={handleUpload} variant="primary">
-                Upload to Begin Editing
-              </Button>
+              {uploadProgress ? (
+                <>
+                  <span>Uploading {currentImage.file?.name}…</span>
+                  {renderUploadProgress()}
+                </>
+              ) : (
+                <Button onClick={handleUpload} variant="primary" disabled={!currentImage.file}>
+                  Upload to Begin Editing
+                </Button>
+              )}
             </div>
           )}
         </>
       ) : (
         <div className="empty-preview">
-          <p>Upload an image to start editing</p>
+          {decodeMutation.isLoading ? (
+            <>
+              <Spinner />
+              <p>Uploading and decoding {decodeMutation.variables?.name}…</p>
+              {renderUploadProgress()}
+            </>
+          ) : (
+            <p>Upload an image to start editing</p>
+          )}
         </div>
       )}
     </div>
   );
   
-  // Helper function to get CSS filter string
-  const getFilterStyle = (filterName) => {
-    switch (filterName) {
-      case 'Grayscale':
-        return 'grayscale(100%)';
-      case 'Sepia':
-        return 'sepia(100%)';
-      case 'Vintage':
-        return 'sepia(40%) brightness(90%) contrast(95%)';
-      case 'Dramatic':
-        return 'contrast(140%) brightness(90%) saturate(130%)';
-      case 'Vivid':
-        return 'saturate(180%) brightness(105%) contrast(110%)';
-      case 'Cool':
-        return 'saturate(90%) hue-rotate(30deg) brightness(105%)';
-      case 'Warm':
-        return 'saturate(110%) hue-rotate(-15deg) brightness(105%)';
-      case 'Film':
-        return 'contrast(110%) brightness(95%) saturate(85%)';
-      case 'B&W Portrait':
-        return 'grayscale(100%) contrast(120%) brightness(105%)';
-      default:
-        return 'none';
-    }
-  };
-  
   return (
     <motion.div 
       className={`image-editor ${isFullscreen ? 'fullscreen' : ''}`}
@@ -726,14 +1471,57 @@ const ImageEditor = () => {
       animate={{ opacity: 1 }}
       transition={{ duration: 0.5 }}
     >
+      {(!online || queuedRequests.length > 0) && (
+        <div className="connection-banner">
+          {online ? 'Sending' : 'Offline:'} {queuedRequests.length} queued save{queuedRequests.length === 1 ? '' : 's'}
+          {!online && ' will be sent when the connection is back'}
+        </div>
+      )}
+      
+      {resumableSession && (
+        <div className="resume-session-banner">
+          <span>
+            Resume your last session
+            {resumableSession.originalImage.file ? ` on ${resumableSession.originalImage.file.name}` : ''}
+            {' '}from {new Date(resumableSession.savedAt).toLocaleString()}?
+          </span>
+          <Button onClick={handleResumeSession}>Resume</Button>
+          <Button variant="secondary" onClick={handleDiscardSession}>Discard</Button>
+        </div>
+      )}
+      
       <div className="editor-layout">
         <div className="left-panel">
-          {renderImageUpload()}
+          <div className="account-bar">
+            {isSignedIn ? (
+              <>
+                <span>Signed in as <strong>{user?.username}</strong></span>
+                <button onClick={handleSignOut}>Sign out</button>
+              </>
+            ) : (
+              <button onClick={() => setShowSignIn(true)}>Sign in</button>
+            )}
+          </div>
+          <div className="mode-switch button-group">
+            <button
+              className={editorMode === 'single' ? 'active' : ''}
+              onClick={() => setEditorMode('single')}
+            >
+              Single Image
+            </button>
+            <button
+              className={editorMode === 'batch' ? 'active' : ''}
+              onClick={() => setEditorMode('batch')}
+            >
+              Batch
+            </button>
+          </div>
+          {editorMode === 'single' && renderImageUpload()}
+          {editorMode === 'single' && renderEditHistory()}
           {
-            // Processing history would be shown here when implemented
             processingHistory && processingHistory.length > 0 && (
               <div className="processing-history">
-                <h3>Recent Edits</h3>
+                <h3>Processing History</h3>
                 <div className="history-items">
                   {processingHistory.map(item => (
                     <div key={item.id} className="history-item">
@@ -751,13 +1539,59 @@ const ImageEditor = () => {
         </div>
         
         <div className="main-panel">
-          {renderImagePreview()}
+          {editorMode === 'batch' ? (
+            <BatchProcessor
+              operationSources={[
+                { id: 'current', label: 'Current settings', operations },
+                ...(savedWorkflows || [])
+                  .filter(workflow => workflow.operations)
+                  .map(workflow => ({
+                    id: `workflow-${workflow.id}`,
+                    label: `Workflow: ${workflow.name}`,
+                    operations: workflow.operations
+                  }))
+              ]}
+            />
+          ) : (
+            renderImagePreview()
+          )}
         </div>
         
         <div className="right-panel">
           {renderEditorControls()}
         </div>
       </div>
+      
+      {showExportDialog && currentImage && (
+        <ExportDialog image={currentImage} onClose={() => setShowExportDialog(false)} />
+      )}
+      
+      {showCommandPalette && (
+        <CommandPalette
+          commands={[...commands, ...workflowCommands]}
+          bindings={shortcutBindings}
+          onClose={() => setShowCommandPalette(false)}
+        />
+      )}
+      
+      {showShortcuts && (
+        <ShortcutsDialog
+          commands={commands}
+          bindings={shortcutBindings}
+          onChange={setShortcutBinding}
+          onReset={resetShortcutBindings}
+          onClose={closeShortcuts}
+        />
+      )}
+      
+      {(showSignIn || needsSignIn) && (
+        <LoginDialog
+          expired={needsSignIn && isSignedIn}
+          defaultUsername={needsSignIn ? user?.username : ''}
+          onSignIn={handleSignIn}
+          onClose={handleCloseSignIn}
+        />
+      )}
     </motion.div>
   );
 };
@@ -0,0 +1,47 @@
+import React from 'react';
+import useJobProgress from '../hooks/useJobProgress';
+import { FINAL_JOB_STATUSES } from '../services/jobSocket';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Running',
+  finished: 'Finished',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+// Status, percent and cancel button for a running server job
+const JobProgress = ({ jobId, label, compact = false }) => {
+  const { job, cancel, connectionState } = useJobProgress(jobId);
+
+  if (!job) return null;
+
+  const isFinal = FINAL_JOB_STATUSES.includes(job.status);
+  const percent = job.progress ?? (job.status === 'finished' ? 100 : null);
+
+  return (
+    <div className={`job-progress ${job.status} ${compact ? 'compact' : ''}`}>
+      {!compact && (
+        <div className="job-progress-header">
+          <span>{label}</span>
+          <small>
+            {STATUS_LABELS[job.status] || job.status}
+            {percent !== null && ` · ${Math.round(percent)}%`}
+          </small>
+        </div>
+      )}
+      <div className={`progress-bar ${percent === null ? 'indeterminate' : ''}`}>
+        <div className="progress-fill" style={{ width: `${percent ?? 100}%` }}></div>
+      </div>
+      {!compact && job.message && <small className="job-progress-message">{job.message}</small>}
+      {!compact && connectionState === 'reconnecting' && (
+        <small className="job-progress-connection">Reconnecting to progress updates…</small>
+      )}
+      {!isFinal && (
+        <button className="job-cancel" onClick={cancel}>Cancel</button>
+      )}
+    </div>
+  );
+};
+
+export default JobProgress;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Slider } from './components/ui';
+import { clamp } from '../utils/imageOperations';
+
+// Slider that can be nudged from the keyboard once focused (Tab or click):
+// arrows move one step, ten with Shift; Home / End jump to the ends. Keys
+// pressed inside the slider itself are left to it.
+const KeyboardSlider = ({ min, max, step, value, onChange, ...props }) => {
+  const handleKeyDown = (event) => {
+    if (event.target !== event.currentTarget) return;
+
+    const increment = step || 1;
+    const amount = event.shiftKey ? increment * 10 : increment;
+    let next;
+    if (event.key === 'ArrowRight' || event.key === 'ArrowUp') next = value + amount;
+    else if (event.key === 'ArrowLeft' || event.key === 'ArrowDown') next = value - amount;
+    else if (event.key === 'Home') next = min;
+    else if (event.key === 'End') next = max;
+    else return;
+
+    event.preventDefault();
+    // Round away float drift from fractional steps
+    onChange(clamp(Math.round(next / increment) * increment, min, max));
+  };
+
+  return (
+    <div className="keyboard-slider" tabIndex={0} onKeyDown={handleKeyDown}>
+      <Slider min={min} max={max} step={step} value={value} onChange={onChange} {...props} />
+    </div>
+  );
+};
+
+export default KeyboardSlider;
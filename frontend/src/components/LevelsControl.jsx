@@ -0,0 +1,56 @@
+import React from 'react';
+import { DEFAULT_LEVELS } from '../utils/tone';
+import KeyboardSlider from './KeyboardSlider';
+
+// Input black/white/gamma and output range; `value` null means no levels
+const LevelsControl = ({ value, onChange }) => {
+  const levels = value || DEFAULT_LEVELS;
+
+  const set = (key, val) => {
+    const next = { ...levels, [key]: val };
+    const isDefault = Object.keys(DEFAULT_LEVELS).every(k => next[k] === DEFAULT_LEVELS[k]);
+    onChange(isDefault ? null : next);
+  };
+
+  return (
+    <div className="levels-control">
+      <div className="slider-control">
+        <label>Black point ({levels.inputBlack})</label>
+        <KeyboardSlider
+          min={0}
+          max={254}
+          value={levels.inputBlack}
+          onChange={val => set('inputBlack', Math.min(val, levels.inputWhite - 1))}
+        />
+      </div>
+      <div className="slider-control">
+        <label>Gamma ({levels.gamma.toFixed(2)})</label>
+        <KeyboardSlider
+          min={10}
+          max={300}
+          value={Math.round(levels.gamma * 100)}
+          onChange={val => set('gamma', val / 100)}
+        />
+      </div>
+      <div className="slider-control">
+        <label>White point ({levels.inputWhite})</label>
+        <KeyboardSlider
+          min={1}
+          max={255}
+          value={levels.inputWhite}
+          onChange={val => set('inputWhite', Math.max(val, levels.inputBlack + 1))}
+        />
+      </div>
+      <div className="slider-control">
+        <label>Output black ({levels.outputBlack})</label>
+        <KeyboardSlider min={0} max={255} value={levels.outputBlack} onChange={val => set('outputBlack', val)} />
+      </div>
+      <div className="slider-control">
+        <label>Output white ({levels.outputWhite})</label>
+        <KeyboardSlider min={0} max={255} value={levels.outputWhite} onChange={val => set('outputWhite', val)} />
+      </div>
+    </div>
+  );
+};
+
+export default LevelsControl;
@@ -0,0 +1,143 @@
+import React from 'react';
+import { Button, ToggleSwitch } from './components/ui';
+import { FILTER_NAMES } from '../utils/filters';
+import {
+  LOCAL_ADJUST_KEYS,
+  LOCAL_MASK_KINDS,
+  createLocalAdjustment,
+  describeLocalAdjustment
+} from '../utils/localAdjustments';
+import KeyboardSlider from './KeyboardSlider';
+import MaskPainter from './MaskPainter';
+
+const ADJUST_LABELS = {
+  brightness: 'Brightness',
+  contrast: 'Contrast',
+  saturation: 'Saturation',
+  sharpness: 'Sharpness',
+};
+
+// Masked adjustment layers. Layers run top to bottom; the selected one is
+// edited here, and radial / linear masks are placed with handles on the
+// preview (see LocalMaskOverlay).
+const LocalAdjustmentsPanel = ({ layers, onChange, selectedIndex, onSelect, image }) => {
+  const selected = layers[selectedIndex] || null;
+
+  const addLayer = (kind) => {
+    onChange([...layers, createLocalAdjustment(kind)]);
+    onSelect(layers.length);
+  };
+
+  const removeLayer = (index) => {
+    onChange(layers.filter((_, i) => i !== index));
+    if (selectedIndex === index) onSelect(null);
+    else if (selectedIndex > index) onSelect(selectedIndex - 1);
+  };
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= layers.length) return;
+    const next = [...layers];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+    if (selectedIndex === index) onSelect(target);
+    else if (selectedIndex === target) onSelect(index);
+  };
+
+  const updateSelected = (changes) => {
+    onChange(layers.map((layer, i) => (i === selectedIndex ? { ...layer, ...changes } : layer)));
+  };
+
+  const setFilter = (name) => {
+    const next = { ...selected, filter: name };
+    if (name === 'None') delete next.filter;
+    onChange(layers.map((layer, i) => (i === selectedIndex ? next : layer)));
+  };
+
+  return (
+    <div className="local-adjustments">
+      <div className="button-group">
+        {Object.entries(LOCAL_MASK_KINDS).map(([kind, label]) => (
+          <button key={kind} onClick={() => addLayer(kind)}>+ {label}</button>
+        ))}
+      </div>
+
+      {!layers.length && <p className="local-adjustments-empty">No local adjustments yet</p>}
+
+      <ol className="local-adjustment-list">
+        {layers.map((layer, index) => (
+          <li
+            key={index}
+            className={`local-adjustment-item ${index === selectedIndex ? 'selected' : ''}`}
+            onClick={() => onSelect(index === selectedIndex ? null : index)}
+          >
+            <span>{describeLocalAdjustment(layer)}</span>
+            <div className="button-group" onClick={e => e.stopPropagation()}>
+              <button onClick={() => move(index, -1)} disabled={index === 0} title="Move up">↑</button>
+              <button onClick={() => move(index, 1)} disabled={index === layers.length - 1} title="Move down">↓</button>
+              <button onClick={() => removeLayer(index)} title="Remove">✕</button>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {selected && (
+        <div className="local-adjustment-editor">
+          {selected.mask.kind === 'brush' ? (
+            <MaskPainter
+              key={selectedIndex}
+              src={image.src}
+              width={image.width}
+              height={image.height}
+              value={selected.mask.bitmap}
+              onChange={bitmap => updateSelected({ mask: { ...selected.mask, bitmap } })}
+            />
+          ) : (
+            <p className="local-adjustment-hint">Drag the handles on the preview to place the gradient</p>
+          )}
+
+          {selected.mask.kind !== 'linear' && (
+            <div className="slider-control">
+              <label>Feather ({selected.mask.feather ?? 0})</label>
+              <KeyboardSlider
+                min={0}
+                max={100}
+                value={selected.mask.feather ?? 0}
+                onChange={feather => updateSelected({ mask: { ...selected.mask, feather } })}
+              />
+            </div>
+          )}
+
+          <ToggleSwitch
+            checked={!!selected.invert}
+            onChange={invert => updateSelected({ invert })}
+            label="Invert mask"
+          />
+
+          {LOCAL_ADJUST_KEYS.map(key => (
+            <div key={key} className="slider-control">
+              <label>{ADJUST_LABELS[key]} ({selected[key] || 0})</label>
+              <KeyboardSlider
+                min={-100}
+                max={100}
+                value={selected[key] || 0}
+                onChange={val => updateSelected({ [key]: val })}
+              />
+            </div>
+          ))}
+
+          <label className="local-adjustment-filter">
+            Filter
+            <select value={selected.filter || 'None'} onChange={e => setFilter(e.target.value)}>
+              {FILTER_NAMES.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </label>
+
+          <Button variant="secondary" onClick={() => onSelect(null)}>Done</Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LocalAdjustmentsPanel;
@@ -0,0 +1,167 @@
+import React, { useRef } from 'react';
+
+// Handles for placing a radial or linear local adjustment mask, drawn as SVG
+// over the image in image pixels. `mask` positions are fractions of the
+// image size (see utils/localAdjustments.js).
+const LocalMaskOverlay = ({ mask, width, height, onChange }) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const handleSize = Math.max(width, height) / 90;
+  const strokeWidth = Math.max(width, height) / 400;
+
+  // Pointer position as fractions of the image size
+  const toMaskPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return { x: x / width, y: y / height };
+  };
+
+  const startDrag = handle => (event) => {
+    // Keep the preview from panning
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    dragRef.current = { handle, origin: toMaskPoint(event), start: mask };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toMaskPoint(event);
+    const dx = point.x - drag.origin.x;
+    const dy = point.y - drag.origin.y;
+    const { start } = drag;
+
+    switch (drag.handle) {
+      case 'center':
+        onChange({ ...start, centerX: start.centerX + dx, centerY: start.centerY + dy });
+        break;
+      case 'radiusX':
+        onChange({ ...start, radiusX: Math.max(0.01, Math.abs(point.x - start.centerX)) });
+        break;
+      case 'radiusY':
+        onChange({ ...start, radiusY: Math.max(0.01, Math.abs(point.y - start.centerY)) });
+        break;
+      case 'start':
+        onChange({ ...start, startX: point.x, startY: point.y });
+        break;
+      case 'end':
+        onChange({ ...start, endX: point.x, endY: point.y });
+        break;
+      case 'line':
+        onChange({
+          ...start,
+          startX: start.startX + dx,
+          startY: start.startY + dy,
+          endX: start.endX + dx,
+          endY: start.endY + dy,
+        });
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const renderHandle = (name, x, y) => (
+    <circle
+      className={`mask-handle ${name}`}
+      cx={x}
+      cy={y}
+      r={handleSize}
+      fill="#fff"
+      stroke="#3b82f6"
+      strokeWidth={strokeWidth}
+      pointerEvents="all"
+      onPointerDown={startDrag(name)}
+    />
+  );
+
+  const renderRadial = () => {
+    const cx = mask.centerX * width;
+    const cy = mask.centerY * height;
+    const rx = mask.radiusX * width;
+    const ry = mask.radiusY * height;
+    const inner = Math.max(0, 1 - (mask.feather ?? 50) / 100);
+    return (
+      <>
+        <ellipse cx={cx} cy={cy} rx={rx} ry={ry} fill="none" stroke="#fff" strokeWidth={strokeWidth} />
+        <ellipse
+          cx={cx}
+          cy={cy}
+          rx={rx * inner}
+          ry={ry * inner}
+          fill="none"
+          stroke="#fff"
+          strokeWidth={strokeWidth}
+          strokeDasharray={`${strokeWidth * 4} ${strokeWidth * 3}`}
+        />
+        {renderHandle('center', cx, cy)}
+        {renderHandle('radiusX', cx + rx, cy)}
+        {renderHandle('radiusY', cx, cy + ry)}
+      </>
+    );
+  };
+
+  // Full effect along the line through the start point, none past the end,
+  // both drawn perpendicular to the gradient direction
+  const renderLinear = () => {
+    const x1 = mask.startX * width;
+    const y1 = mask.startY * height;
+    const x2 = mask.endX * width;
+    const y2 = mask.endY * height;
+    const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+    const span = Math.max(width, height) * 2;
+    const nx = (-(y2 - y1) / length) * span;
+    const ny = ((x2 - x1) / length) * span;
+    return (
+      <>
+        <line x1={x1 - nx} y1={y1 - ny} x2={x1 + nx} y2={y1 + ny} stroke="#fff" strokeWidth={strokeWidth} />
+        <line
+          x1={x2 - nx}
+          y1={y2 - ny}
+          x2={x2 + nx}
+          y2={y2 + ny}
+          stroke="#fff"
+          strokeWidth={strokeWidth}
+          strokeDasharray={`${strokeWidth * 4} ${strokeWidth * 3}`}
+        />
+        <line
+          className="mask-line"
+          x1={x1}
+          y1={y1}
+          x2={x2}
+          y2={y2}
+          stroke="#3b82f6"
+          strokeWidth={strokeWidth * 3}
+          pointerEvents="stroke"
+          onPointerDown={startDrag('line')}
+        />
+        {renderHandle('start', x1, y1)}
+        {renderHandle('end', x2, y2)}
+      </>
+    );
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      className="local-mask-overlay"
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      pointerEvents="none"
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      {mask.kind === 'radial' ? renderRadial() : renderLinear()}
+    </svg>
+  );
+};
+
+export default LocalMaskOverlay;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Button, Spinner } from './components/ui';
+
+// Sign-in form. With `expired` it asks the user to sign in again after the
+// session lapsed; the editor stays as it was underneath, and requests that
+// were waiting carry on once `onSignIn` resolves.
+const LoginDialog = ({ expired, defaultUsername = '', onSignIn, onClose }) => {
+  const [username, setUsername] = useState(defaultUsername);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setIsSigningIn(true);
+    try {
+      await onSignIn({ username: username.trim(), password });
+    } catch (signInError) {
+      setError(signInError.message);
+      setIsSigningIn(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal login-dialog" onClick={e => e.stopPropagation()}>
+        <h3>{expired ? 'Session Expired' : 'Sign In'}</h3>
+        {expired && <p>Sign in again to continue. Your edits have been kept.</p>}
+
+        <form onSubmit={handleSubmit}>
+          <label>
+            Username
+            <input
+              type="text"
+              autoComplete="username"
+              value={username}
+              onChange={e => setUsername(e.target.value)}
+              autoFocus={!defaultUsername}
+            />
+          </label>
+          <label>
+            Password
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              autoFocus={!!defaultUsername}
+            />
+          </label>
+
+          {error && <p className="login-error">{error}</p>}
+
+          <div className="action-buttons">
+            <Button type="button" variant="secondary" onClick={onClose}>Cancel</Button>
+            <Button type="submit" disabled={isSigningIn || !username.trim() || !password}>
+              {isSigningIn ? <Spinner size="sm" /> : 'Sign In'}
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LoginDialog;
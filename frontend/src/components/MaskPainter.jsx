@@ -0,0 +1,97 @@
+import React, { useRef, useEffect, useState } from 'react';
+import { encodeMask, getMaskSize, maskToCanvas } from '../utils/masks';
+import KeyboardSlider from './KeyboardSlider';
+
+const MASK_COLOR = '#ef4444';
+
+// Paint a region on the image; emits an encoded mask (or null when empty)
+// after each stroke. The mask covers the whole image at reduced resolution.
+const MaskPainter = ({ src, width, height, value, onChange }) => {
+  const canvasRef = useRef(null);
+  const strokeRef = useRef(null);
+  const [brushSize, setBrushSize] = useState(12);
+  const [isErasing, setIsErasing] = useState(false);
+  const maskSize = getMaskSize(width, height);
+
+  // Redraw from `value` whenever it changes from outside a stroke
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || strokeRef.current) return;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (value) ctx.drawImage(maskToCanvas(value, MASK_COLOR), 0, 0, canvas.width, canvas.height);
+  }, [value, maskSize.width, maskSize.height]);
+
+  // Pointer position in mask pixels
+  const toMaskPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * maskSize.width,
+      y: ((event.clientY - rect.top) / rect.height) * maskSize.height,
+    };
+  };
+
+  const paintTo = (point) => {
+    const ctx = canvasRef.current.getContext('2d');
+    const from = strokeRef.current || point;
+    // Brush size is a percentage of the mask's longest edge
+    const radius = (Math.max(maskSize.width, maskSize.height) * brushSize) / 200;
+
+    ctx.save();
+    ctx.globalCompositeOperation = isErasing ? 'destination-out' : 'source-over';
+    ctx.strokeStyle = MASK_COLOR;
+    ctx.lineWidth = radius * 2;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(point.x, point.y);
+    ctx.stroke();
+    ctx.restore();
+
+    strokeRef.current = point;
+  };
+
+  const handlePointerDown = (event) => {
+    canvasRef.current.setPointerCapture?.(event.pointerId);
+    strokeRef.current = null;
+    paintTo(toMaskPoint(event));
+  };
+
+  const handlePointerMove = (event) => {
+    if (strokeRef.current) paintTo(toMaskPoint(event));
+  };
+
+  const handlePointerUp = () => {
+    if (!strokeRef.current) return;
+    strokeRef.current = null;
+    onChange(encodeMask(canvasRef.current));
+  };
+
+  return (
+    <div className="mask-painter">
+      <div className="mask-painter-stage">
+        <img src={src} alt="Mask source" draggable={false} />
+        <canvas
+          ref={canvasRef}
+          width={maskSize.width}
+          height={maskSize.height}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        />
+      </div>
+      <div className="slider-control">
+        <label>Brush size ({brushSize})</label>
+        <KeyboardSlider min={1} max={50} value={brushSize} onChange={setBrushSize} />
+      </div>
+      <div className="button-group">
+        <button className={!isErasing ? 'selected' : ''} onClick={() => setIsErasing(false)}>Paint</button>
+        <button className={isErasing ? 'selected' : ''} onClick={() => setIsErasing(true)}>Erase</button>
+        <button onClick={() => onChange(null)} disabled={!value}>Clear</button>
+      </div>
+    </div>
+  );
+};
+
+export default MaskPainter;
@@ -0,0 +1,87 @@
+import React from 'react';
+
+const renderParamInput = (value, onChange) => {
+  if (typeof value === 'boolean') {
+    return <input type="checkbox" checked={value} onChange={e => onChange(e.target.checked)} />;
+  }
+  if (typeof value === 'number') {
+    return (
+      <input
+        type="number"
+        value={value}
+        onChange={e => onChange(e.target.value === '' ? 0 : Number(e.target.value))}
+      />
+    );
+  }
+  if (value !== null && typeof value === 'object') {
+    // Nested params (e.g. masks) are shown but not edited field by field
+    return <code className="param-json">{JSON.stringify(value)}</code>;
+  }
+  return <input type="text" value={value ?? ''} onChange={e => onChange(e.target.value)} />;
+};
+
+// Editable view of an operation list: reorder, remove and tweak params.
+// `errors[index]` lists the validation errors of each operation.
+const OperationListEditor = ({ operations, onChange, errors = [] }) => {
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= operations.length) return;
+    const next = [...operations];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const remove = (index) => {
+    onChange(operations.filter((_, i) => i !== index));
+  };
+
+  const setParam = (index, key, value) => {
+    onChange(operations.map((operation, i) => (
+      i === index ? { ...operation, params: { ...operation.params, [key]: value } } : operation
+    )));
+  };
+
+  if (!operations.length) {
+    return <p className="operation-list-empty">No operations</p>;
+  }
+
+  return (
+    <ol className="operation-list">
+      {operations.map((operation, index) => (
+        <li key={index} className="operation-item">
+          <div className="operation-header">
+            <strong>{operation.type}</strong>
+            <div className="button-group">
+              <button onClick={() => move(index, -1)} disabled={index === 0} title="Move up">↑</button>
+              <button
+                onClick={() => move(index, 1)}
+                disabled={index === operations.length - 1}
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button onClick={() => remove(index)} title="Remove">✕</button>
+            </div>
+          </div>
+          <div className="operation-params">
+            {Object.entries(operation.params || {}).map(([key, value]) => (
+              <label key={key}>
+                <span>{key}</span>
+                {renderParamInput(value, newValue => setParam(index, key, newValue))}
+              </label>
+            ))}
+          </div>
+          {errors[index]?.length > 0 && (
+            <ul className="operation-errors">
+              {errors[index].map(({ path, message }) => (
+                <li key={`${path}: ${message}`}>{path}: {message}</li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default OperationListEditor;
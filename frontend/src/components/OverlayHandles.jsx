@@ -0,0 +1,160 @@
+import React, { useRef } from 'react';
+import { clamp } from '../utils/imageOperations';
+
+const MIN_RECT_SIZE = 0.01;
+
+// Handles for placing the selected overlay item, drawn as SVG over the image
+// in image pixels. Item positions are fractions of the image size (see
+// utils/overlays.js); text and logos can only be dragged once their
+// position is 'custom'.
+const OverlayHandles = ({ item, width, height, onChange }) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const handleSize = Math.max(width, height) / 90;
+  const strokeWidth = Math.max(width, height) / 400;
+
+  // Pointer position as fractions of the image size, kept on the image
+  const toItemPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return { x: clamp(x / width, 0, 1), y: clamp(y / height, 0, 1) };
+  };
+
+  const startDrag = handle => (event) => {
+    // Keep the preview from panning
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    dragRef.current = { handle, origin: toItemPoint(event), start: item };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toItemPoint(event);
+    const { start } = drag;
+
+    switch (drag.handle) {
+      case 'center':
+        onChange({ ...start, x: point.x, y: point.y });
+        break;
+      case 'start':
+        onChange({ ...start, x1: point.x, y1: point.y });
+        break;
+      case 'end':
+        onChange({ ...start, x2: point.x, y2: point.y });
+        break;
+      case 'line': {
+        // Move both ends by the same amount without pushing either off the image
+        const dx = clamp(point.x - drag.origin.x, -Math.min(start.x1, start.x2), 1 - Math.max(start.x1, start.x2));
+        const dy = clamp(point.y - drag.origin.y, -Math.min(start.y1, start.y2), 1 - Math.max(start.y1, start.y2));
+        onChange({ ...start, x1: start.x1 + dx, y1: start.y1 + dy, x2: start.x2 + dx, y2: start.y2 + dy });
+        break;
+      }
+      case 'move':
+        onChange({
+          ...start,
+          x: clamp(start.x + point.x - drag.origin.x, 0, 1 - start.width),
+          y: clamp(start.y + point.y - drag.origin.y, 0, 1 - start.height),
+        });
+        break;
+      case 'corner':
+        onChange({
+          ...start,
+          width: Math.max(MIN_RECT_SIZE, point.x - start.x),
+          height: Math.max(MIN_RECT_SIZE, point.y - start.y),
+        });
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const renderHandle = (name, x, y) => (
+    <circle
+      className={`overlay-handle ${name}`}
+      cx={x}
+      cy={y}
+      r={handleSize}
+      fill="#fff"
+      stroke="#3b82f6"
+      strokeWidth={strokeWidth}
+      pointerEvents="all"
+      onPointerDown={startDrag(name)}
+    />
+  );
+
+  const renderArrow = () => {
+    const x1 = item.x1 * width;
+    const y1 = item.y1 * height;
+    const x2 = item.x2 * width;
+    const y2 = item.y2 * height;
+    return (
+      <>
+        <line
+          className="overlay-line"
+          x1={x1}
+          y1={y1}
+          x2={x2}
+          y2={y2}
+          stroke="#3b82f6"
+          strokeOpacity={0.5}
+          strokeWidth={strokeWidth * 6}
+          pointerEvents="stroke"
+          onPointerDown={startDrag('line')}
+        />
+        {renderHandle('start', x1, y1)}
+        {renderHandle('end', x2, y2)}
+      </>
+    );
+  };
+
+  const renderRect = () => (
+    <>
+      <rect
+        className="overlay-rect"
+        x={item.x * width}
+        y={item.y * height}
+        width={item.width * width}
+        height={item.height * height}
+        fill="transparent"
+        stroke="#3b82f6"
+        strokeWidth={strokeWidth}
+        strokeDasharray={`${strokeWidth * 4} ${strokeWidth * 3}`}
+        pointerEvents="all"
+        onPointerDown={startDrag('move')}
+      />
+      {renderHandle('corner', (item.x + item.width) * width, (item.y + item.height) * height)}
+    </>
+  );
+
+  const renderContent = () => {
+    if (item.kind === 'arrow') return renderArrow();
+    if (item.kind === 'rect') return renderRect();
+    if (item.position === 'custom') return renderHandle('center', (item.x ?? 0.5) * width, (item.y ?? 0.5) * height);
+    return null;
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      className="overlay-handles"
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      pointerEvents="none"
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      {renderContent()}
+    </svg>
+  );
+};
+
+export default OverlayHandles;
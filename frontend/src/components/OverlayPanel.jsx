@@ -0,0 +1,292 @@
+import React, { useRef, useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { Button, ToggleSwitch } from './components/ui';
+
+import {
+  OVERLAY_FONTS,
+  OVERLAY_KINDS,
+  OVERLAY_POSITIONS,
+  createOverlayItem,
+  describeOverlayItem,
+  readLogoFile
+} from '../utils/overlays';
+import useOverlayTemplates from '../hooks/useOverlayTemplates';
+import KeyboardSlider from './KeyboardSlider';
+
+const FONT_LABELS = {
+  sans: 'Sans Serif',
+  serif: 'Serif',
+  mono: 'Monospace',
+  display: 'Display',
+  script: 'Script',
+};
+
+const positionLabel = position => (
+  position === 'custom' ? 'Custom (drag on preview)' : position.replace('-', ' ').replace(/^./, c => c.toUpperCase())
+);
+
+// Text, arrow, rectangle and logo annotations drawn over the finished image.
+// Items are drawn top to bottom; the selected one is edited here and placed
+// with handles on the preview (see OverlayHandles). Item lists can be saved
+// as templates, e.g. a watermark to reuse on every image.
+const OverlayPanel = ({ items, onChange, selectedIndex, onSelect }) => {
+  const logoInputRef = useRef(null);
+  const [templateName, setTemplateName] = useState('');
+  const { templates, saveTemplate, deleteTemplate } = useOverlayTemplates();
+  const selected = items[selectedIndex] || null;
+
+  const addItem = (item) => {
+    onChange([...items, item]);
+    onSelect(items.length);
+  };
+
+  const handleLogoFile = async (event) => {
+    const file = event.target.files[0];
+    // Allow picking the same file again
+    event.target.value = '';
+    if (!file) return;
+    try {
+      addItem({ ...createOverlayItem('logo'), src: await readLogoFile(file) });
+    } catch (error) {
+      toast.error(`Failed to load logo: ${error.message}`);
+    }
+  };
+
+  const removeItem = (index) => {
+    onChange(items.filter((_, i) => i !== index));
+    if (selectedIndex === index) onSelect(null);
+    else if (selectedIndex > index) onSelect(selectedIndex - 1);
+  };
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= items.length) return;
+    const next = [...items];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+    if (selectedIndex === index) onSelect(target);
+    else if (selectedIndex === target) onSelect(index);
+  };
+
+  const updateSelected = (changes) => {
+    onChange(items.map((item, i) => (i === selectedIndex ? { ...item, ...changes } : item)));
+  };
+
+  const setPosition = (position) => {
+    // Start a custom position in the middle so the handle is easy to find
+    updateSelected(position === 'custom'
+      ? { position, x: selected.x ?? 0.5, y: selected.y ?? 0.5 }
+      : { position });
+  };
+
+  const handleSaveTemplate = () => {
+    const name = templateName.trim();
+    if (!name) {
+      toast.error('Please provide a name for your template');
+      return;
+    }
+    saveTemplate(name, items);
+    setTemplateName('');
+    toast.success(`Saved template "${name}"`);
+  };
+
+  const handleDeleteTemplate = (name) => {
+    if (window.confirm(`Delete template "${name}"?`)) deleteTemplate(name);
+  };
+
+  // Slider for a param stored as a fraction but shown as a percentage
+  const renderPercentSlider = (label, key, min, max, step = 0.5) => (
+    <div className="slider-control">
+      <label>{label} ({+(selected[key] * 100).toFixed(1)}%)</label>
+      <KeyboardSlider
+        min={min}
+        max={max}
+        step={step}
+        value={+(selected[key] * 100).toFixed(1)}
+        onChange={val => updateSelected({ [key]: val / 100 })}
+      />
+    </div>
+  );
+
+  const renderSlider = (label, key, min, max) => (
+    <div className="slider-control">
+      <label>{label} ({selected[key] ?? 0})</label>
+      <KeyboardSlider
+        min={min}
+        max={max}
+        value={selected[key] ?? 0}
+        onChange={val => updateSelected({ [key]: val })}
+      />
+    </div>
+  );
+
+  const renderColor = (label, key) => (
+    <label className="overlay-color">
+      {label}
+      <input type="color" value={selected[key]} onChange={e => updateSelected({ [key]: e.target.value })} />
+    </label>
+  );
+
+  const renderPlacement = () => (
+    <>
+      <label className="overlay-position">
+        Position
+        <select value={selected.position} onChange={e => setPosition(e.target.value)}>
+          {OVERLAY_POSITIONS.map(position => (
+            <option key={position} value={position}>{positionLabel(position)}</option>
+          ))}
+        </select>
+      </label>
+      {selected.position !== 'custom' && !selected.tile && renderPercentSlider('Margin', 'margin', 0, 20)}
+      {renderSlider('Rotation', 'rotation', -180, 180)}
+      <ToggleSwitch
+        checked={!!selected.tile}
+        onChange={tile => updateSelected({ tile })}
+        label="Tile across the image"
+      />
+      {selected.tile && renderPercentSlider('Tile spacing', 'tileSpacing', 0, 50)}
+    </>
+  );
+
+  const renderTextEditor = () => (
+    <>
+      <textarea
+        className="overlay-text"
+        rows={2}
+        value={selected.text}
+        onChange={e => updateSelected({ text: e.target.value })}
+      />
+      <label className="overlay-font">
+        Font
+        <select value={selected.font} onChange={e => updateSelected({ font: e.target.value })}>
+          {Object.keys(OVERLAY_FONTS).map(font => <option key={font} value={font}>{FONT_LABELS[font]}</option>)}
+        </select>
+      </label>
+      <div className="button-group">
+        <button className={selected.bold ? 'selected' : ''} onClick={() => updateSelected({ bold: !selected.bold })}>
+          Bold
+        </button>
+        <button className={selected.italic ? 'selected' : ''} onClick={() => updateSelected({ italic: !selected.italic })}>
+          Italic
+        </button>
+      </div>
+      {renderPercentSlider('Size', 'size', 1, 30)}
+      {renderColor('Color', 'color')}
+      {renderSlider('Outline', 'strokeWidth', 0, 50)}
+      {selected.strokeWidth > 0 && renderColor('Outline color', 'strokeColor')}
+      {renderSlider('Shadow', 'shadowBlur', 0, 100)}
+      {selected.shadowBlur > 0 && renderColor('Shadow color', 'shadowColor')}
+      {renderPlacement()}
+    </>
+  );
+
+  const renderArrowEditor = () => (
+    <>
+      <p className="overlay-hint">Drag the ends of the arrow on the preview</p>
+      {renderColor('Color', 'color')}
+      {renderPercentSlider('Thickness', 'width', 0.5, 10)}
+    </>
+  );
+
+  const renderRectEditor = () => (
+    <>
+      <p className="overlay-hint">Drag the rectangle or its corner on the preview</p>
+      {renderColor('Color', 'color')}
+      <ToggleSwitch
+        checked={!!selected.fill}
+        onChange={fill => updateSelected({ fill })}
+        label="Filled"
+      />
+      {!selected.fill && renderPercentSlider('Line width', 'strokeWidth', 0.5, 10)}
+    </>
+  );
+
+  const renderLogoEditor = () => (
+    <>
+      <img className="overlay-logo-preview" src={selected.src} alt="Logo" />
+      {renderPercentSlider('Width', 'width', 1, 100, 1)}
+      {renderPlacement()}
+    </>
+  );
+
+  const renderItemEditor = {
+    text: renderTextEditor,
+    arrow: renderArrowEditor,
+    rect: renderRectEditor,
+    logo: renderLogoEditor,
+  };
+
+  return (
+    <div className="overlay-controls">
+      <div className="button-group">
+        {Object.entries(OVERLAY_KINDS).map(([kind, label]) => (
+          <button
+            key={kind}
+            onClick={() => (kind === 'logo' ? logoInputRef.current.click() : addItem(createOverlayItem(kind)))}
+          >
+            + {label}
+          </button>
+        ))}
+        <input ref={logoInputRef} type="file" accept="image/*" hidden onChange={handleLogoFile} />
+      </div>
+
+      {!items.length && <p className="overlay-empty">No annotations yet</p>}
+
+      <ol className="overlay-list">
+        {items.map((item, index) => (
+          <li
+            key={index}
+            className={`overlay-item ${index === selectedIndex ? 'selected' : ''}`}
+            onClick={() => onSelect(index === selectedIndex ? null : index)}
+          >
+            <span>{describeOverlayItem(item)}</span>
+            <div className="button-group" onClick={e => e.stopPropagation()}>
+              <button onClick={() => move(index, -1)} disabled={index === 0} title="Move up">↑</button>
+              <button onClick={() => move(index, 1)} disabled={index === items.length - 1} title="Move down">↓</button>
+              <button onClick={() => removeItem(index)} title="Remove">✕</button>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {selected && (
+        <div className="overlay-editor">
+          {renderItemEditor[selected.kind]()}
+          {renderSlider('Opacity', 'opacity', 0, 100)}
+          <Button variant="secondary" onClick={() => onSelect(null)}>Done</Button>
+        </div>
+      )}
+
+      <div className="overlay-templates">
+        <h4>Templates</h4>
+        {templates.map(template => (
+          <div key={template.name} className="overlay-template">
+            <span>{template.name}</span>
+            <div className="button-group">
+              <button
+                onClick={() => onChange([...items, ...template.items])}
+                title="Add the template's items to this image"
+              >
+                Apply
+              </button>
+              <button onClick={() => handleDeleteTemplate(template.name)} title="Delete">✕</button>
+            </div>
+          </div>
+        ))}
+        <div className="overlay-template-save">
+          <input
+            type="text"
+            placeholder="Template name"
+            value={templateName}
+            onChange={e => setTemplateName(e.target.value)}
+          />
+          <Button variant="secondary" onClick={handleSaveTemplate} disabled={!items.length}>
+            Save as Template
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OverlayPanel;
@@ -0,0 +1,65 @@
+import React from 'react';
+import usePixelSampler from '../hooks/usePixelSampler';
+
+// 0-255 RGB -> hue in degrees, saturation and lightness in percent
+const rgbToHsl = (r, g, b) => {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+  if (!delta) return { h: 0, s: 0, l: Math.round(lightness * 100) };
+
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  let hue;
+  if (max === red) hue = ((green - blue) / delta) % 6;
+  else if (max === green) hue = (blue - red) / delta + 2;
+  else hue = (red - green) / delta + 4;
+
+  return {
+    h: Math.round((hue * 60 + 360) % 360),
+    s: Math.round(saturation * 100),
+    l: Math.round(lightness * 100),
+  };
+};
+
+// `width`/`height` are the full image size; `src` may be a downscaled preview
+const PixelReadout = ({ label, src, width, height, point }) => {
+  const sample = usePixelSampler(src);
+  const pixel = point && sample(point.x, point.y);
+
+  if (!pixel) {
+    return (
+      <div className="pixel-readout empty">
+        <span className="pixel-label">{label}</span>
+        <span>–</span>
+      </div>
+    );
+  }
+
+  const { h, s, l } = rgbToHsl(pixel.r, pixel.g, pixel.b);
+  return (
+    <div className="pixel-readout">
+      <span className="pixel-label">{label}</span>
+      <span
+        className="pixel-swatch"
+        style={{ backgroundColor: `rgba(${pixel.r}, ${pixel.g}, ${pixel.b}, ${pixel.a / 255})` }}
+      />
+      <span className="pixel-position">{Math.floor(point.x * width)}, {Math.floor(point.y * height)}</span>
+      <span>RGB {pixel.r} {pixel.g} {pixel.b}</span>
+      <span>HSL {h}° {s}% {l}%</span>
+    </div>
+  );
+};
+
+// RGB/HSL values under the cursor for each image being compared. `point` is
+// in fractions of the image size (see utils/viewport).
+const PixelInspector = ({ images, point }) => (
+  <div className="pixel-inspector">
+    {images.map(({ key, ...image }) => (
+      <PixelReadout key={key} {...image} point={point} />
+    ))}
+  </div>
+);
+
+export default PixelInspector;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { findRegion } from '../utils/detections';
+
+// Clickable redaction candidates drawn over the image in image pixels.
+// Selected regions are filled; clicking a region toggles it.
+const RedactionOverlay = ({ candidates, selected, onToggle, width, height, hoveredIndex, onHover }) => {
+  const strokeWidth = Math.max(width, height) / 300;
+
+  return (
+    <svg
+      className="redaction-overlay"
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      pointerEvents="none"
+    >
+      {candidates.map((region, index) => {
+        const isSelected = findRegion(selected, region) !== -1;
+        return (
+          <rect
+            key={index}
+            className={`redaction-region ${isSelected ? 'selected' : ''}`}
+            x={region.x}
+            y={region.y}
+            width={region.width}
+            height={region.height}
+            fill={isSelected ? 'rgba(239, 68, 68, 0.25)' : 'transparent'}
+            stroke={isSelected ? '#ef4444' : '#fff'}
+            strokeDasharray={isSelected ? undefined : `${strokeWidth * 4} ${strokeWidth * 2}`}
+            strokeWidth={index === hoveredIndex ? strokeWidth * 1.8 : strokeWidth}
+            pointerEvents="all"
+            onPointerEnter={() => onHover(index)}
+            onPointerLeave={() => onHover(null)}
+            onClick={() => onToggle(region)}
+          />
+        );
+      })}
+    </svg>
+  );
+};
+
+export default RedactionOverlay;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { Button, Spinner, ToggleSwitch } from './components/ui';
+
+import { findRegion } from '../utils/detections';
+import KeyboardSlider from './KeyboardSlider';
+
+const REDACTION_MODES = [
+  { value: 'blur', label: 'Blur' },
+  { value: 'pixelate', label: 'Pixelate' },
+  { value: 'box', label: 'Solid box' },
+];
+
+// Face / license plate redaction controls. `candidates` are the detected
+// regions; `selected` are the ones currently in the redact operation.
+const RedactionPanel = ({
+  candidates,
+  selected,
+  onSelectedChange,
+  options,
+  onOptionsChange,
+  includePlates,
+  onIncludePlatesChange,
+  onDetect,
+  isDetecting,
+  canDetect,
+  hoveredIndex,
+  onHover
+}) => {
+  const toggleRegion = (region) => {
+    const index = findRegion(selected, region);
+    onSelectedChange(index === -1 ? [...selected, region] : selected.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="redaction-panel">
+      <ToggleSwitch checked={includePlates} onChange={onIncludePlatesChange} label="Include license plates" />
+      <Button onClick={onDetect} disabled={!canDetect || isDetecting}>
+        {isDetecting ? <Spinner size="sm" /> : 'Detect Faces'}
+      </Button>
+
+      {candidates && (
+        <>
+          <ul className="detection-list" onMouseLeave={() => onHover(null)}>
+            {candidates.map((region, index) => (
+              <li
+                key={index}
+                className={`detection-item ${hoveredIndex === index ? 'highlighted' : ''}`}
+                onMouseEnter={() => onHover(index)}
+              >
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={findRegion(selected, region) !== -1}
+                    onChange={() => toggleRegion(region)}
+                  />
+                  {region.kind === 'plate' ? 'License plate' : 'Face'} {index + 1}
+                </label>
+                {Number.isFinite(region.confidence) && <small>{Math.round(region.confidence * 100)}%</small>}
+              </li>
+            ))}
+          </ul>
+          <div className="button-group">
+            <button onClick={() => onSelectedChange(candidates)} disabled={!candidates.length}>Select all</button>
+            <button onClick={() => onSelectedChange([])} disabled={!selected.length}>Select none</button>
+          </div>
+          <small>{selected.length} of {candidates.length} regions selected; click a region on the image to toggle it.</small>
+        </>
+      )}
+
+      <div className="redaction-modes button-group">
+        {REDACTION_MODES.map(mode => (
+          <button
+            key={mode.value}
+            className={options.mode === mode.value ? 'selected' : ''}
+            onClick={() => onOptionsChange({ ...options, mode: mode.value })}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      {options.mode === 'box' ? (
+        <label>
+          Box color
+          <input type="color" value={options.color} onChange={e => onOptionsChange({ ...options, color: e.target.value })} />
+        </label>
+      ) : (
+        <div className="slider-control">
+          <label>Strength ({options.strength})</label>
+          <KeyboardSlider
+            min={1}
+            max={100}
+            value={options.strength}
+            onChange={val => onOptionsChange({ ...options, strength: val })}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RedactionPanel;
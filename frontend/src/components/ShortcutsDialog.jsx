@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from './components/ui';
+import { eventToCombo, formatCombo } from '../utils/shortcuts';
+
+// Cheat sheet of every command and its shortcuts. "Change" records the next
+// key combo pressed for a command; Backspace removes its shortcuts and
+// Escape cancels.
+const ShortcutsDialog = ({ commands, bindings, onChange, onReset, onClose }) => {
+  const [recordingId, setRecordingId] = useState(null);
+
+  useEffect(() => {
+    // Capture phase, so recording a combo doesn't also run its command
+    const handleKeyDown = (event) => {
+      if (!recordingId) {
+        if (event.key === 'Escape') onClose();
+        return;
+      }
+
+      const combo = eventToCombo(event);
+      if (!combo) return;
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (combo === 'backspace' || combo === 'delete') onChange(recordingId, []);
+      else if (combo !== 'escape') onChange(recordingId, [combo]);
+      setRecordingId(null);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [recordingId, onChange, onClose]);
+
+  const groups = [...new Set(commands.map(command => command.group))];
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal shortcuts-dialog" onClick={e => e.stopPropagation()}>
+        <h3>Keyboard Shortcuts</h3>
+
+        {groups.map(group => (
+          <div key={group} className="shortcut-group">
+            <h4>{group}</h4>
+            {commands.filter(command => command.group === group).map(command => (
+              <div key={command.id} className="shortcut-row">
+                <span className="shortcut-label">{command.label}</span>
+                <span className="shortcut-keys">
+                  {recordingId === command.id ? (
+                    <em>Press a key combination…</em>
+                  ) : (bindings[command.id] || []).length ? (
+                    bindings[command.id].map(combo => <kbd key={combo}>{formatCombo(combo)}</kbd>)
+                  ) : (
+                    <small>None</small>
+                  )}
+                </span>
+                <button
+                  className="shortcut-change"
+                  onClick={() => setRecordingId(recordingId === command.id ? null : command.id)}
+                >
+                  {recordingId === command.id ? 'Cancel' : 'Change'}
+                </button>
+              </div>
+            ))}
+          </div>
+        ))}
+
+        <div className="action-buttons">
+          <Button variant="secondary" onClick={onReset}>Reset to Defaults</Button>
+          <Button onClick={onClose}>Done</Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutsDialog;
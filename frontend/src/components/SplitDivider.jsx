@@ -0,0 +1,48 @@
+import React from 'react';
+import { clamp } from '../utils/imageOperations';
+
+// Draggable divider for the split view. `position` is a percentage of the
+// parent's width; arrow keys nudge it by 1% (10% with Shift).
+const SplitDivider = ({ position, onChange }) => {
+  const moveTo = (event) => {
+    const rect = event.currentTarget.parentElement.getBoundingClientRect();
+    onChange(clamp(((event.clientX - rect.left) / rect.width) * 100, 0, 100));
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    moveTo(event);
+  };
+
+  const handlePointerMove = (event) => {
+    if (event.currentTarget.hasPointerCapture?.(event.pointerId)) moveTo(event);
+  };
+
+  const handleKeyDown = (event) => {
+    const step = event.shiftKey ? 10 : 1;
+    if (event.key === 'ArrowLeft') onChange(clamp(position - step, 0, 100));
+    else if (event.key === 'ArrowRight') onChange(clamp(position + step, 0, 100));
+    else return;
+    event.preventDefault();
+  };
+
+  return (
+    <div
+      className="divider"
+      style={{ left: `${position}%` }}
+      role="separator"
+      aria-orientation="vertical"
+      aria-valuenow={Math.round(position)}
+      aria-valuemin={0}
+      aria-valuemax={100}
+      tabIndex={0}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onKeyDown={handleKeyDown}
+    >
+      <span className="divider-handle" />
+    </div>
+  );
+};
+
+export default SplitDivider;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { useQueries } from '@tanstack/react-query';
+import { ToggleSwitch, Spinner } from './components/ui';
+
+import { stylePreviewQuery } from '../hooks/useStylePreview';
+import { STYLE_TRANSFER_STYLES, DEFAULT_STYLE_STRENGTH } from '../utils/styleTransfer';
+import MaskPainter from './MaskPainter';
+import KeyboardSlider from './KeyboardSlider';
+
+const THUMBNAIL_SIZE = 160;
+
+// Style tiles previewing each style on the current image. `value` is the
+// styleTransfer params (`{ style, strength, mask }`) or null for none.
+const StyleTransferPanel = ({ image, value, onChange }) => {
+  const [isMasking, setIsMasking] = useState(!!value?.mask);
+  const thumbnails = useQueries({
+    queries: STYLE_TRANSFER_STYLES.map(style => stylePreviewQuery(image?.id, style, THUMBNAIL_SIZE)),
+  });
+
+  const selectStyle = (style) => {
+    if (value?.style === style) {
+      onChange(null);
+    } else {
+      onChange({ ...value, style, strength: value?.strength ?? DEFAULT_STYLE_STRENGTH });
+    }
+  };
+
+  const setMask = (mask) => {
+    const params = { ...value, mask };
+    if (!mask) delete params.mask;
+    onChange(params);
+  };
+
+  return (
+    <div className="style-transfer">
+      <div className="style-preview-grid">
+        {STYLE_TRANSFER_STYLES.map((style, index) => (
+          <button
+            key={style}
+            className={`style-preview-item ${value?.style === style ? 'selected' : ''}`}
+            onClick={() => selectStyle(style)}
+            disabled={!image?.id}
+          >
+            <div
+              className="style-preview-image"
+              style={thumbnails[index].data ? { backgroundImage: `url(${thumbnails[index].data})` } : undefined}
+            >
+              {thumbnails[index].isFetching && <Spinner size="sm" />}
+            </div>
+            <span>{style}</span>
+          </button>
+        ))}
+      </div>
+
+      {value && (
+        <>
+          <div className="slider-control">
+            <label>Strength ({value.strength}%)</label>
+            <KeyboardSlider
+              min={0}
+              max={100}
+              value={value.strength}
+              onChange={strength => onChange({ ...value, strength })}
+            />
+          </div>
+
+          <ToggleSwitch
+            checked={isMasking || !!value.mask}
+            onChange={checked => {
+              setIsMasking(checked);
+              if (!checked) setMask(null);
+            }}
+            label="Only in painted area"
+          />
+          {(isMasking || value.mask) && (
+            <MaskPainter
+              src={image.src}
+              width={image.width}
+              height={image.height}
+              value={value.mask || null}
+              onChange={setMask}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StyleTransferPanel;
@@ -0,0 +1,149 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { Button, Spinner } from './components/ui';
+
+import { listWorkflows, getWorkflow, updateWorkflow, deleteWorkflow } from '../services/imageProcessingApi';
+import { RequestQueuedError } from '../services/apiClient';
+import { downloadWorkflow, validateOperation } from '../utils/workflowSchema';
+import OperationListEditor from './OperationListEditor';
+
+// Lists saved workflows and lets the user load, apply, rename, edit and
+// delete them. Loading and applying are handed back to the editor.
+const WorkflowLibrary = ({ onLoad, onApply, canApply }) => {
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(null); // { id, name, operations }
+
+  const { data: workflows, isLoading } = useQuery({
+    queryKey: ['workflows'],
+    queryFn: listWorkflows
+  });
+
+  const updateWorkflowMutation = useMutation({
+    mutationFn: updateWorkflow,
+    onSuccess: () => {
+      toast.success('Workflow updated');
+      setEditing(null);
+      queryClient.invalidateQueries(['workflows']);
+    },
+    onError: (error) => {
+      if (error instanceof RequestQueuedError) {
+        toast(error.message);
+        setEditing(null);
+        return;
+      }
+      toast.error(`Failed to update workflow: ${error.message}`);
+    }
+  });
+
+  const deleteWorkflowMutation = useMutation({
+    mutationFn: deleteWorkflow,
+    onSuccess: () => {
+      toast.success('Workflow deleted');
+      queryClient.invalidateQueries(['workflows']);
+    },
+    onError: (error) => {
+      toast.error(`Failed to delete workflow: ${error.message}`);
+    }
+  });
+
+  // The list may only carry summaries, so fetch the full workflow first
+  const fetchWorkflow = useCallback(id => queryClient.fetchQuery({
+    queryKey: ['workflows', id],
+    queryFn: () => getWorkflow(id)
+  }), [queryClient]);
+
+  const withWorkflow = useCallback(callback => async (id) => {
+    try {
+      callback(await fetchWorkflow(id));
+    } catch (error) {
+      toast.error(`Failed to load workflow: ${error.message}`);
+    }
+  }, [fetchWorkflow]);
+
+  const handleEdit = withWorkflow(workflow => setEditing({
+    id: workflow.id,
+    name: workflow.name,
+    operations: workflow.operations || []
+  }));
+
+  const handleDelete = (workflow) => {
+    if (window.confirm(`Delete workflow "${workflow.name}"?`)) {
+      deleteWorkflowMutation.mutate(workflow.id);
+    }
+  };
+
+  // Edited params are checked like imported workflows; invalid ones block saving
+  const operationErrors = useMemo(() => (editing?.operations || []).map(
+    operation => validateOperation(operation, operation?.type || 'operation')
+  ), [editing]);
+  const hasOperationErrors = operationErrors.some(errors => errors.length);
+
+  const handleSaveEdit = () => {
+    if (!editing.name.trim()) {
+      toast.error('Please provide a name for your workflow');
+      return;
+    }
+    if (hasOperationErrors) {
+      toast.error('Fix the invalid operations before saving');
+      return;
+    }
+    updateWorkflowMutation.mutate(editing);
+  };
+
+  if (isLoading) {
+    return <Spinner size="sm" />;
+  }
+
+  return (
+    <div className="workflow-library">
+      <h4>Workflow Library</h4>
+
+      {!workflows?.length && <p>No saved workflows yet</p>}
+
+      <ul className="workflow-list">
+        {workflows?.map(workflow => (
+          <li key={workflow.id} className="workflow-item">
+            {editing?.id === workflow.id ? (
+              <div className="workflow-editor">
+                <input
+                  type="text"
+                  value={editing.name}
+                  onChange={e => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                />
+                <OperationListEditor
+                  operations={editing.operations}
+                  onChange={operations => setEditing(prev => ({ ...prev, operations }))}
+                  errors={operationErrors}
+                />
+                <div className="button-group">
+                  <Button onClick={handleSaveEdit} disabled={hasOperationErrors || updateWorkflowMutation.isLoading}>
+                    Save
+                  </Button>
+                  <Button variant="secondary" onClick={() => setEditing(null)}>
+                    Cancel
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              <>
+                <span className="workflow-name">{workflow.name}</span>
+                <div className="button-group">
+                  <button onClick={() => withWorkflow(onApply)(workflow.id)} disabled={!canApply}>
+                    Apply
+                  </button>
+                  <button onClick={() => withWorkflow(onLoad)(workflow.id)}>Load</button>
+                  <button onClick={() => handleEdit(workflow.id)}>Edit</button>
+                  <button onClick={() => withWorkflow(downloadWorkflow)(workflow.id)}>Export</button>
+                  <button onClick={() => handleDelete(workflow)}>Delete</button>
+                </div>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default WorkflowLibrary;
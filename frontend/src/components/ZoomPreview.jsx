@@ -0,0 +1,195 @@
+import React, { useRef, useState, useEffect } from 'react';
+import PixelInspector from './PixelInspector';
+import {
+  FIT_VIEW,
+  getViewTransform,
+  getZoom,
+  panBy,
+  paneToImage,
+  stepZoom,
+  zoomTo
+} from '../utils/viewport';
+
+// Pointer travel before a press turns into a pan, so clicks on overlays
+// (e.g. redaction regions) still register
+const PAN_THRESHOLD = 3;
+
+const noop = () => {};
+
+// One pane of the preview: `children` are laid out at the image's natural
+// size and transformed to the shared view. Wheel zooms around the cursor,
+// dragging pans, double-click toggles fit / 100%.
+const ZoomViewport = ({ view, image, onViewChange, onResize, onHover, panDisabled, children }) => {
+  const paneRef = useRef(null);
+  const dragRef = useRef(null);
+  const [pane, setPane] = useState({ width: 0, height: 0 });
+
+  useEffect(() => {
+    const element = paneRef.current;
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setPane({ width, height });
+      onResize({ width, height });
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [onResize]);
+
+  // React's wheel listener is passive, so page scrolling can't be stopped there
+  useEffect(() => {
+    const element = paneRef.current;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const rect = element.getBoundingClientRect();
+      const anchor = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+      const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+      onViewChange(prev => zoomTo(prev, getZoom(prev, pane, image) * Math.exp(-delta * 0.002), pane, image, anchor));
+    };
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, [pane, image, onViewChange]);
+
+  const toPanePoint = (event) => {
+    const rect = paneRef.current.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  const handlePointerDown = (event) => {
+    // Middle button always pans; primary only when overlays aren't being edited
+    if (event.button === 1 || (event.button === 0 && !panDisabled)) {
+      dragRef.current = { x: event.clientX, y: event.clientY, isPanning: false };
+    }
+  };
+
+  const handlePointerMove = (event) => {
+    onHover(paneToImage(view, toPanePoint(event), pane, image));
+
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = event.clientX - drag.x;
+    const dy = event.clientY - drag.y;
+    if (!drag.isPanning) {
+      if (Math.hypot(dx, dy) < PAN_THRESHOLD) return;
+      drag.isPanning = true;
+      paneRef.current.setPointerCapture?.(event.pointerId);
+    }
+    drag.x = event.clientX;
+    drag.y = event.clientY;
+    onViewChange(prev => panBy(prev, dx, dy, pane, image));
+  };
+
+  const endPan = () => {
+    dragRef.current = null;
+  };
+
+  const handleDoubleClick = (event) => {
+    const anchor = toPanePoint(event);
+    onViewChange(prev => (prev.zoom === null ? zoomTo(prev, 1, pane, image, anchor) : FIT_VIEW));
+  };
+
+  const zoom = getZoom(view, pane, image);
+
+  return (
+    <div
+      ref={paneRef}
+      className="zoom-viewport"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={endPan}
+      onPointerCancel={endPan}
+      onPointerLeave={() => onHover(null)}
+      onDoubleClick={handleDoubleClick}
+    >
+      {pane.width > 0 && (
+        <div
+          className="zoom-content"
+          style={{
+            width: image.width,
+            height: image.height,
+            transform: getViewTransform(view, pane, image),
+            transformOrigin: '0 0',
+            // Show individual pixels when zoomed in instead of smoothing them
+            imageRendering: zoom > 1 ? 'pixelated' : 'auto'
+          }}
+        >
+          {children}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Preview panes sharing one zoom/pan, with zoom controls and an optional
+// pixel inspector. Each pane is { key, label, src, width, height, className,
+// style, content }; `content` is rendered at the image's natural size.
+// `children` are drawn over the panes (dividers, buttons). The zoom readout
+// follows the last pane.
+const ZoomPreview = ({ panes, className, style, showLabels = false, panDisabled = false, children }) => {
+  const [view, setView] = useState(FIT_VIEW);
+  const [paneSize, setPaneSize] = useState({ width: 0, height: 0 });
+  const [hoverPoint, setHoverPoint] = useState(null);
+  const [isInspecting, setIsInspecting] = useState(false);
+
+  const primary = panes[panes.length - 1];
+  const zoom = getZoom(view, paneSize, primary);
+
+  const stepBy = direction => setView(prev => (
+    zoomTo(prev, stepZoom(getZoom(prev, paneSize, primary), direction), paneSize, primary)
+  ));
+
+  return (
+    <div className="zoom-preview">
+      <div className="zoom-toolbar button-group">
+        <button onClick={() => stepBy(-1)} title="Zoom out">−</button>
+        <span className="zoom-level">{Math.round(zoom * 100)}%</span>
+        <button onClick={() => stepBy(1)} title="Zoom in">+</button>
+        <button
+          className={view.zoom === null ? 'active' : ''}
+          onClick={() => setView(FIT_VIEW)}
+        >
+          Fit
+        </button>
+        <button
+          className={view.zoom === 1 ? 'active' : ''}
+          onClick={() => setView(prev => zoomTo(prev, 1, paneSize, primary))}
+        >
+          1:1
+        </button>
+        <button
+          className={isInspecting ? 'active' : ''}
+          onClick={() => setIsInspecting(!isInspecting)}
+        >
+          Inspect Pixels
+        </button>
+      </div>
+
+      <div className={className} style={style}>
+        {panes.map((pane, index) => (
+          <div key={pane.key} className={pane.className} style={pane.style}>
+            <ZoomViewport
+              view={view}
+              image={pane}
+              onViewChange={setView}
+              onResize={index === panes.length - 1 ? setPaneSize : noop}
+              onHover={isInspecting ? setHoverPoint : noop}
+              panDisabled={panDisabled}
+            >
+              {pane.content}
+            </ZoomViewport>
+            {showLabels && <span className="preview-label">{pane.label}</span>}
+          </div>
+        ))}
+        {children}
+      </div>
+
+      {isInspecting && (
+        <PixelInspector
+          point={hoverPoint}
+          images={panes.map(({ key, label, src, width, height }) => ({ key, label, src, width, height }))}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ZoomPreview;
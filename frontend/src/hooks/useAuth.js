@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { getAuthState, subscribeAuth, cancelSignIn } from '../services/authStore';
+import { refreshAuth } from '../services/apiClient';
+import { login, logout } from '../services/authApi';
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN = 60 * 1000;
+// setTimeout overflows past ~24.8 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// The signed-in user and sign-in actions. `needsSignIn` is set when the
+// session lapsed and requests are waiting for the user to sign in again.
+// The access token is refreshed silently shortly before it expires.
+const useAuth = () => {
+  const [{ auth, needsSignIn }, setState] = useState(getAuthState);
+
+  useEffect(() => subscribeAuth(() => setState(getAuthState())), []);
+
+  const expiresAt = auth?.expiresAt;
+  useEffect(() => {
+    if (!expiresAt) return undefined;
+    const delay = Math.min(MAX_TIMER_DELAY, Math.max(0, expiresAt - Date.now() - REFRESH_MARGIN));
+    const timer = setTimeout(() => {
+      // A failed refresh is retried by the next request that gets a 401
+      refreshAuth().catch(() => {});
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [expiresAt]);
+
+  return {
+    user: auth?.user || null,
+    isSignedIn: !!auth,
+    needsSignIn,
+    signIn: login,
+    signOut: logout,
+    cancelSignIn,
+  };
+};
+
+export default useAuth;
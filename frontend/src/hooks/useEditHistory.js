@@ -0,0 +1,148 @@
+import { useReducer, useCallback, useMemo } from 'react';
+
+// Edit history is kept as a tree so that applying changes after stepping back
+// starts a new branch instead of discarding the steps that came after it.
+// Each step stores the image version it produced and the settings used.
+const initialState = {
+  steps: {},
+  order: [],
+  currentId: null,
+  // parent id -> child id that redo should walk to
+  redoTargets: {},
+};
+
+let nextStepId = 1;
+
+const pointRedoTargetsAt = (steps, redoTargets, id) => {
+  const targets = { ...redoTargets };
+  let child = steps[id];
+  while (child?.parentId) {
+    targets[child.parentId] = child.id;
+    child = steps[child.parentId];
+  }
+  return targets;
+};
+
+const historyReducer = (state, action) => {
+  switch (action.type) {
+    case 'start': {
+      const step = { id: nextStepId++, parentId: null, timestamp: Date.now(), ...action.step };
+      return {
+        steps: { [step.id]: step },
+        order: [step.id],
+        currentId: step.id,
+        redoTargets: {},
+      };
+    }
+    case 'push': {
+      if (!state.currentId) return state;
+      const step = { id: nextStepId++, parentId: state.currentId, timestamp: Date.now(), ...action.step };
+      return {
+        steps: { ...state.steps, [step.id]: step },
+        order: [...state.order, step.id],
+        currentId: step.id,
+        redoTargets: { ...state.redoTargets, [state.currentId]: step.id },
+      };
+    }
+    case 'updateCurrent': {
+      const current = state.steps[state.currentId];
+      if (!current) return state;
+      return {
+        ...state,
+        steps: {
+          ...state.steps,
+          [current.id]: {
+            ...current,
+            ...(typeof action.changes === 'function' ? action.changes(current) : action.changes),
+          },
+        },
+      };
+    }
+    case 'restore': {
+      // Keep new ids clear of the restored ones
+      nextStepId = Math.max(nextStepId, ...action.state.order.map(id => id + 1));
+      return action.state;
+    }
+    case 'goTo': {
+      if (!state.steps[action.id]) return state;
+      return {
+        ...state,
+        currentId: action.id,
+        redoTargets: pointRedoTargetsAt(state.steps, state.redoTargets, action.id),
+      };
+    }
+    default:
+      return state;
+  }
+};
+
+const useEditHistory = () => {
+  const [state, dispatch] = useReducer(historyReducer, initialState);
+
+  const start = useCallback(step => dispatch({ type: 'start', step }), []);
+  const push = useCallback(step => dispatch({ type: 'push', step }), []);
+  const updateCurrent = useCallback(changes => dispatch({ type: 'updateCurrent', changes }), []);
+  // Replace the whole history with a saved `snapshot`
+  const restore = useCallback(snapshot => dispatch({ type: 'restore', state: snapshot }), []);
+
+  // Navigation returns the step moved to (or null) so callers can restore
+  // the editor from it without waiting for a re-render
+  const goTo = useCallback((id) => {
+    const step = state.steps[id];
+    if (!step) return null;
+    dispatch({ type: 'goTo', id });
+    return step;
+  }, [state.steps]);
+
+  const undo = useCallback(() => {
+    const parentId = state.steps[state.currentId]?.parentId;
+    return parentId ? goTo(parentId) : null;
+  }, [state.steps, state.currentId, goTo]);
+
+  const redo = useCallback(() => {
+    const childId = state.redoTargets[state.currentId];
+    return childId ? goTo(childId) : null;
+  }, [state.redoTargets, state.currentId, goTo]);
+
+  // Steps on the path from the original image to the current step
+  const activePath = useMemo(() => {
+    const path = new Set();
+    let step = state.steps[state.currentId];
+    while (step) {
+      path.add(step.id);
+      step = state.steps[step.parentId];
+    }
+    return path;
+  }, [state.steps, state.currentId]);
+
+  const steps = useMemo(() => state.order.map(id => {
+    const step = state.steps[id];
+    let depth = 0;
+    for (let parent = state.steps[step.parentId]; parent; parent = state.steps[parent.parentId]) depth++;
+    return { ...step, depth, isActive: activePath.has(id), isCurrent: id === state.currentId };
+  }), [state.order, state.steps, state.currentId, activePath]);
+
+  const current = state.steps[state.currentId] || null;
+  const rootId = state.order[0] || null;
+
+  return {
+    steps,
+    current,
+    rootId,
+    canUndo: !!current?.parentId,
+    canRedo: !!state.redoTargets[state.currentId],
+    // Applying from here will fork a new branch rather than extend the tip
+    isBranchPoint: state.order.some(id => state.steps[id].parentId === state.currentId),
+    // Raw state for persisting; pass it back to `restore`
+    snapshot: state,
+    start,
+    push,
+    updateCurrent,
+    restore,
+    goTo,
+    undo,
+    redo,
+  };
+};
+
+export default useEditHistory;
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { computeHistogram } from '../utils/tone';
+import { loadImage } from '../utils/imageLoader';
+
+// Images are sampled at this size; plenty for a histogram and cheap to redo
+const HISTOGRAM_SAMPLE_SIZE = 256;
+
+// Histogram of the image at `src`, recomputed whenever src changes (e.g. on
+// every live preview render). Returns null until the first image decodes.
+const useHistogram = (src) => {
+  const [histogram, setHistogram] = useState(null);
+
+  useEffect(() => {
+    if (!src) {
+      setHistogram(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    loadImage(src).then(img => {
+      if (cancelled) return;
+      const scale = Math.min(1, HISTOGRAM_SAMPLE_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      setHistogram(computeHistogram(ctx.getImageData(0, 0, canvas.width, canvas.height)));
+    }, () => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  return histogram;
+};
+
+export default useHistogram;
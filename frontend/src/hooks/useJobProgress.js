@@ -0,0 +1,25 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getJobSocket } from '../services/jobSocket';
+
+// Live status of a server job over the shared job socket. Pass a different
+// `socket` (see createJobSocket) to point at a mock server.
+const useJobProgress = (jobId, socket = getJobSocket()) => {
+  const [job, setJob] = useState(null);
+  const [connectionState, setConnectionState] = useState(socket.getConnectionState());
+
+  useEffect(() => socket.onConnectionChange(setConnectionState), [socket]);
+
+  useEffect(() => {
+    setJob(jobId ? { jobId, status: 'queued', progress: null, message: null } : null);
+    if (!jobId) return undefined;
+    return socket.subscribe(jobId, setJob);
+  }, [jobId, socket]);
+
+  const cancel = useCallback(() => {
+    if (jobId) socket.cancel(jobId);
+  }, [jobId, socket]);
+
+  return { job, cancel, connectionState };
+};
+
+export default useJobProgress;
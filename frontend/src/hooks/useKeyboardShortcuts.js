@@ -0,0 +1,28 @@
+import { useEffect } from 'react';
+import { eventToCombo, findCommandForCombo, isTypingTarget } from '../utils/shortcuts';
+
+// Run commands ({ id, run, disabled, repeatable, allowInInputs }) from their
+// bound key combos. While typing in a field only `allowInInputs` commands
+// run, and holding a key down only repeats `repeatable` ones.
+const useKeyboardShortcuts = (commands, bindings, enabled = true) => {
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleKeyDown = (event) => {
+      const combo = eventToCombo(event);
+      const id = combo && findCommandForCombo(bindings, combo);
+      const command = id && commands.find(item => item.id === id);
+      if (!command || (isTypingTarget(event.target) && !command.allowInInputs)) return;
+
+      // Bound combos never fall through to the browser (e.g. Ctrl+S saving the page)
+      event.preventDefault();
+      if (command.disabled || (event.repeat && !command.repeatable)) return;
+      command.run();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [commands, bindings, enabled]);
+};
+
+export default useKeyboardShortcuts;
@@ -0,0 +1,32 @@
+import { useState, useCallback } from 'react';
+
+const STORAGE_KEY = 'imageEditor.labelSet';
+
+const readLabelSet = () => {
+  try {
+    const labels = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(labels) ? labels : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// Class labels available when correcting detections, kept in localStorage so
+// a labeling session can reuse the same set across images
+const useLabelSet = () => {
+  const [labels, setLabelsState] = useState(readLabelSet);
+
+  const setLabels = useCallback((nextLabels) => {
+    const cleaned = [...new Set(nextLabels.map(label => label.trim()).filter(Boolean))];
+    setLabelsState(cleaned);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(cleaned));
+    } catch (e) {
+      // Storage can be unavailable (private mode); keep the in-memory set
+    }
+  }, []);
+
+  return [labels, setLabels];
+};
+
+export default useLabelSet;
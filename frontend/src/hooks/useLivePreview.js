@@ -0,0 +1,81 @@
+import { useState, useEffect, useRef } from 'react';
+import { renderOperations } from '../utils/imageOperations';
+import { loadImage } from '../utils/imageLoader';
+
+export const PREVIEW_MAX_SIZE = 1280;
+
+// Renders `operations` on top of `src` in the browser and returns an object URL
+// for the result. Renders are coalesced to one per animation frame so dragging
+// a slider stays smooth. Returns null while disabled or before the first render.
+// `resourceUrls` maps resource names to image URLs some operations draw from
+// (see renderOperations).
+const useLivePreview = (src, operations, enabled = true, resourceUrls = null) => {
+  const [previewSrc, setPreviewSrc] = useState(null);
+  const [sourceImage, setSourceImage] = useState(null);
+  const [resources, setResources] = useState({});
+  const frameRef = useRef(null);
+  const resourceKey = JSON.stringify(resourceUrls || {});
+
+  // Decode the source image once per src
+  useEffect(() => {
+    setSourceImage(null);
+    if (!src) return undefined;
+
+    let cancelled = false;
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => {
+      if (!cancelled) setSourceImage(img);
+    };
+    img.src = src;
+
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  // Decode resources; missing or broken ones are left out
+  useEffect(() => {
+    let cancelled = false;
+    const entries = Object.entries(JSON.parse(resourceKey));
+    Promise.all(entries.map(([name, url]) => loadImage(url).then(img => [name, img], () => null)))
+      .then(loaded => {
+        if (!cancelled) setResources(Object.fromEntries(loaded.filter(Boolean)));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [resourceKey]);
+
+  useEffect(() => {
+    if (!enabled || !sourceImage) {
+      setPreviewSrc(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    cancelAnimationFrame(frameRef.current);
+    frameRef.current = requestAnimationFrame(() => {
+      const canvas = renderOperations(sourceImage, operations, { maxSize: PREVIEW_MAX_SIZE, resources });
+      canvas.toBlob(blob => {
+        if (cancelled || !blob) return;
+        setPreviewSrc(URL.createObjectURL(blob));
+      });
+    });
+
+    return () => {
+      cancelled = true;
+      cancelAnimationFrame(frameRef.current);
+    };
+  }, [sourceImage, operations, enabled, resources]);
+
+  // Release the previous object URL whenever a new one replaces it
+  useEffect(() => () => {
+    if (previewSrc) URL.revokeObjectURL(previewSrc);
+  }, [previewSrc]);
+
+  return previewSrc;
+};
+
+export default useLivePreview;
@@ -0,0 +1,44 @@
+import { useState, useCallback } from 'react';
+
+const STORAGE_KEY = 'imageEditor.overlayTemplates';
+
+const readTemplates = () => {
+  try {
+    const templates = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(templates) ? templates : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// Saved overlay item lists (`[{ name, items }]`), e.g. a watermark to brand
+// every image the same way, kept in localStorage across sessions
+const useOverlayTemplates = () => {
+  const [templates, setTemplatesState] = useState(readTemplates);
+
+  const setTemplates = useCallback((update) => {
+    setTemplatesState((current) => {
+      const next = update(current);
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      } catch (e) {
+        // Storage can be unavailable (private mode) or full of logos; keep
+        // the in-memory templates
+      }
+      return next;
+    });
+  }, []);
+
+  // Saving under an existing name replaces that template
+  const saveTemplate = useCallback((name, items) => {
+    setTemplates(current => [...current.filter(template => template.name !== name), { name, items }]);
+  }, [setTemplates]);
+
+  const deleteTemplate = useCallback((name) => {
+    setTemplates(current => current.filter(template => template.name !== name));
+  }, [setTemplates]);
+
+  return { templates, saveTemplate, deleteTemplate };
+};
+
+export default useOverlayTemplates;
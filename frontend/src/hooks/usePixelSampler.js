@@ -0,0 +1,43 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadImage } from '../utils/imageLoader';
+
+// Reads single pixels of the image at `src`. Returns `sample(x, y)`, taking
+// fractions of the image size and giving { r, g, b, a }, or null while the
+// image decodes or when it can't be read (a cross-origin image without CORS).
+const usePixelSampler = (src) => {
+  const [context, setContext] = useState(null);
+
+  useEffect(() => {
+    setContext(null);
+    if (!src) return undefined;
+
+    let cancelled = false;
+    loadImage(src).then(img => {
+      if (cancelled) return;
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(img, 0, 0);
+      setContext(ctx);
+    }, () => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  return useCallback((fx, fy) => {
+    if (!context || fx < 0 || fx >= 1 || fy < 0 || fy >= 1) return null;
+    const x = Math.floor(fx * context.canvas.width);
+    const y = Math.floor(fy * context.canvas.height);
+    try {
+      const [r, g, b, a] = context.getImageData(x, y, 1, 1).data;
+      return { r, g, b, a };
+    } catch (error) {
+      return null;
+    }
+  }, [context]);
+};
+
+export default usePixelSampler;
@@ -0,0 +1,62 @@
+import { useState, useEffect, useRef } from 'react';
+import { getQueuedRequestsFor, subscribeQueue } from '../services/requestQueue';
+import { getUserId, subscribeAuth } from '../services/authStore';
+import { flushQueuedRequests } from '../services/apiClient';
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+const getOwnQueuedRequests = () => getQueuedRequestsFor(getUserId());
+
+// Connection state and the signed-in user's saves waiting to be sent.
+// Queued saves are sent on mount, whenever the browser comes back online
+// and when a different user signs in; `onFlushed` gets the
+// `{ sent, failed }` result of each attempt that sent anything.
+const useRequestQueue = (onFlushed) => {
+  const [queued, setQueued] = useState(getOwnQueuedRequests);
+  const [online, setOnline] = useState(isOnline);
+  const onFlushedRef = useRef(onFlushed);
+  onFlushedRef.current = onFlushed;
+
+  useEffect(() => {
+    const update = () => setQueued(getOwnQueuedRequests());
+    const unsubscribeQueue = subscribeQueue(update);
+    const unsubscribeAuth = subscribeAuth(update);
+    return () => {
+      unsubscribeQueue();
+      unsubscribeAuth();
+    };
+  }, []);
+
+  useEffect(() => {
+    const flush = async () => {
+      if (!getOwnQueuedRequests().length) return;
+      const result = await flushQueuedRequests();
+      if (result.sent.length || result.failed.length) onFlushedRef.current?.(result);
+    };
+    const handleOnline = () => {
+      setOnline(true);
+      flush();
+    };
+    const handleOffline = () => setOnline(false);
+    let userId = getUserId();
+    const handleAuthChange = () => {
+      if (getUserId() === userId) return;
+      userId = getUserId();
+      flush();
+    };
+
+    flush();
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const unsubscribeAuth = subscribeAuth(handleAuthChange);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      unsubscribeAuth();
+    };
+  }, []);
+
+  return { queued, online };
+};
+
+export default useRequestQueue;
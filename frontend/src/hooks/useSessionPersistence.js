@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react';
+import { saveSession } from '../utils/sessionStore';
+
+// Wait for edits to settle before writing the session
+const SAVE_DELAY = 1000;
+
+// Save `session` to IndexedDB shortly after it changes. Nothing is saved
+// while `enabled` is false (e.g. while the user decides whether to resume
+// the previous session, which saving would overwrite).
+const useSessionPersistence = (session, enabled) => {
+  const blobCacheRef = useRef(new Map());
+
+  useEffect(() => {
+    if (!enabled || !session) return undefined;
+
+    const timer = setTimeout(() => {
+      saveSession(session, blobCacheRef.current).catch(() => {
+        // Storage can be unavailable (private mode, quota); editing still works
+      });
+    }, SAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [session, enabled]);
+};
+
+export default useSessionPersistence;
@@ -0,0 +1,53 @@
+import { useState, useCallback, useMemo } from 'react';
+import { resolveShortcuts } from '../utils/shortcuts';
+
+const STORAGE_KEY = 'imageEditor.shortcuts';
+
+// Only the user's changes are stored, so new default shortcuts still show up
+const readCustomShortcuts = () => {
+  try {
+    const custom = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return custom && typeof custom === 'object' && !Array.isArray(custom) ? custom : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const writeCustomShortcuts = (custom) => {
+  try {
+    if (Object.keys(custom).length) localStorage.setItem(STORAGE_KEY, JSON.stringify(custom));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // Storage can be unavailable (private mode); keep the in-memory bindings
+  }
+};
+
+// Keyboard shortcut bindings (command id -> combos), customizable and kept in
+// localStorage. Binding a combo takes it away from any other command.
+const useShortcutBindings = () => {
+  const [custom, setCustom] = useState(readCustomShortcuts);
+  const bindings = useMemo(() => resolveShortcuts(custom), [custom]);
+
+  const setBinding = useCallback((id, combos) => {
+    setCustom(prev => {
+      const current = resolveShortcuts(prev);
+      const next = { ...prev, [id]: combos };
+      Object.keys(current).forEach(otherId => {
+        if (otherId !== id && current[otherId].some(combo => combos.includes(combo))) {
+          next[otherId] = current[otherId].filter(combo => !combos.includes(combo));
+        }
+      });
+      writeCustomShortcuts(next);
+      return next;
+    });
+  }, []);
+
+  const resetBindings = useCallback(() => {
+    writeCustomShortcuts({});
+    setCustom({});
+  }, []);
+
+  return { bindings, setBinding, resetBindings };
+};
+
+export default useShortcutBindings;
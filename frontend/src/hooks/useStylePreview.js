@@ -0,0 +1,22 @@
+import { useQuery } from '@tanstack/react-query';
+import { renderStylePreview } from '../services/imageProcessingApi';
+
+// Query options for a stylized preview of an image; the result is a data URL.
+// Shared with `useQueries` so thumbnails and the live preview hit one cache.
+export const stylePreviewQuery = (imageId, style, maxSize) => ({
+  queryKey: ['stylePreview', imageId, style, maxSize],
+  queryFn: async () => {
+    const data = await renderStylePreview({ imageId, style, maxSize });
+    return `data:image/jpeg;base64,${data.image}`;
+  },
+  enabled: !!imageId && !!style,
+  // A given image never changes, so neither does its stylized version
+  staleTime: Infinity,
+});
+
+const useStylePreview = (imageId, style, maxSize) => {
+  const { data } = useQuery(stylePreviewQuery(imageId, style, maxSize));
+  return data || null;
+};
+
+export default useStylePreview;
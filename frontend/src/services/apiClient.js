@@ -0,0 +1,266 @@
+import { getAccessToken, getAuth, getUserId, requireSignIn, storeTokens, waitForSignIn } from './authStore';
+import { enqueueRequest, getQueuedRequestsFor, removeQueuedRequest } from './requestQueue';
+import { isMockBackendEnabled, mockFetch } from './mockBackend';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+// Transient failures are retried this many times, backing off exponentially
+const DEFAULT_RETRIES = 3;
+const MIN_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 10000;
+const RETRY_STATUSES = [408, 429, 502, 503, 504];
+// Methods that never change anything, so need no idempotency key
+const SAFE_METHODS = ['GET', 'HEAD'];
+
+// Error thrown for non-2xx responses; `status` is the HTTP status code
+export class ApiError extends Error {
+  constructor(message, status, data) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+const readErrorMessage = async (response) => {
+  try {
+    const data = await response.json();
+    return { message: data.detail || data.message, data };
+  } catch (e) {
+    return {};
+  }
+};
+
+// Thrown instead of a network error when a request with `queueOffline` was
+// queued to be sent once the connection is back
+export class RequestQueuedError extends Error {
+  constructor(label) {
+    super(`You're offline; ${label} will be sent when the connection is back`);
+    this.name = 'RequestQueuedError';
+    this.label = label;
+  }
+}
+
+export const createIdempotencyKey = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `req-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// fetch rejects with a TypeError when the request never got a response
+const isNetworkError = error => error instanceof TypeError;
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+// Exponential backoff with jitter, or the server's Retry-After (seconds)
+const getRetryDelay = (attempt, response) => {
+  const retryAfter = Number(response?.headers.get('Retry-After'));
+  if (retryAfter > 0) return Math.min(MAX_RETRY_DELAY, retryAfter * 1000);
+  return Math.min(MAX_RETRY_DELAY, MIN_RETRY_DELAY * 2 ** attempt) * (0.5 + Math.random() / 2);
+};
+
+const toApiError = async (response) => {
+  const { message, data } = await readErrorMessage(response);
+  return new ApiError(message || `Request failed with status ${response.status}`, response.status, data);
+};
+
+const parseHeaders = raw => new Headers(raw.trim().split(/[\r\n]+/).filter(Boolean).map((line) => {
+  const index = line.indexOf(':');
+  return [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+}));
+
+// fetch can't report upload progress, so requests with `onUploadProgress`
+// go through XMLHttpRequest and are turned back into a Response
+const sendWithProgress = (url, { method, headers, body, signal }, onUploadProgress) => (
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) onUploadProgress(event.loaded, event.total);
+    };
+    xhr.onload = () => resolve(new Response(xhr.status === 204 ? null : xhr.responseText, {
+      status: xhr.status,
+      headers: parseHeaders(xhr.getAllResponseHeaders()),
+    }));
+    xhr.onerror = () => reject(new TypeError('Network request failed'));
+    xhr.onabort = () => reject(signal?.reason || new DOMException('The upload was aborted', 'AbortError'));
+    signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+    xhr.send(body ?? null);
+  })
+);
+
+const send = (path, { method = 'GET', body, headers = {}, signal, auth = true, onUploadProgress }) => {
+  const isJson = body !== undefined && !(body instanceof FormData) && !(body instanceof Blob);
+  const token = auth ? getAccessToken() : null;
+
+  const init = {
+    method,
+    headers: {
+      ...(isJson && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: isJson ? JSON.stringify(body) : body,
+    signal,
+  };
+  if (isMockBackendEnabled()) return mockFetch(path, init);
+  return onUploadProgress ? sendWithProgress(`${API_URL}${path}`, init, onUploadProgress) : fetch(`${API_URL}${path}`, init);
+};
+
+// `send` with transient failures (no response, 408, 429, 5xx gateway
+// errors) retried up to `retries` times. Offline requests fail at once.
+const sendWithRetry = async (path, options) => {
+  const { retries = DEFAULT_RETRIES, signal } = options;
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    try {
+      response = await send(path, options);
+      if (!RETRY_STATUSES.includes(response.status)) return response;
+    } catch (error) {
+      if (!isNetworkError(error) || isOffline()) throw error;
+    }
+    if (attempt >= retries) {
+      if (response) return response;
+      throw new TypeError('Network request failed');
+    }
+    await wait(getRetryDelay(attempt, response), signal);
+  }
+};
+
+let refreshPromise = null;
+
+// Swap the refresh token for a new access token. Concurrent callers share
+// one request; rejects with a 401 ApiError when there is nothing to refresh.
+export const refreshAuth = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = getAuth()?.refreshToken;
+      if (!refreshToken) throw new ApiError('Not signed in', 401);
+
+      const response = await sendWithRetry('/auth/refresh', {
+        method: 'POST',
+        body: { refreshToken },
+        headers: { 'Idempotency-Key': createIdempotencyKey() },
+        auth: false,
+      });
+      if (!response.ok) throw await toApiError(response);
+      storeTokens(await response.json());
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+const sendAuthenticated = async (path, options) => {
+  let response = await sendWithRetry(path, options);
+
+  if (response.status === 401 && options.auth !== false) {
+    try {
+      await refreshAuth();
+    } catch (error) {
+      if (error.status !== 401) throw error;
+      if (options.promptSignIn === false) throw await toApiError(response);
+      requireSignIn();
+      try {
+        await waitForSignIn(options.signal);
+      } catch (e) {
+        if (options.signal?.aborted) throw e;
+        throw await toApiError(response);
+      }
+    }
+    response = await sendWithRetry(path, options);
+  }
+
+  if (!response.ok) throw await toApiError(response);
+
+  return response.status === 204 || options.method === 'HEAD' ? null : response.json();
+};
+
+// JSON request helper for the backend API. Plain objects are sent as JSON,
+// FormData and Blobs (e.g. upload chunks) are passed through untouched.
+//
+// Requests carry the signed-in user's access token unless `auth` is false.
+// On a 401 the token is refreshed and the request retried; if that fails
+// the user is asked to sign in again and the request waits for it, so a
+// lapsed session doesn't cost unsaved work. With `promptSignIn: false` the
+// request fails with the 401 instead.
+//
+// `onUploadProgress(loadedBytes, totalBytes)` reports how much of the body
+// has been sent.
+//
+// Transient failures are retried with backoff (`retries`, default 3).
+// Everything but GET and HEAD carries an Idempotency-Key header, the same
+// for every attempt, so the server can tell a retry from a new request.
+// Saves with a `queueOffline` label that can't reach the server are queued
+// (see services/requestQueue.js) and reject with RequestQueuedError.
+export const apiRequest = async (path, options = {}) => {
+  const { method = 'GET', body, queueOffline } = options;
+  const idempotencyKey = options.idempotencyKey || (SAFE_METHODS.includes(method) ? null : createIdempotencyKey());
+  const request = idempotencyKey
+    ? { ...options, headers: { 'Idempotency-Key': idempotencyKey, ...options.headers } }
+    : options;
+
+  try {
+    return await sendAuthenticated(path, request);
+  } catch (error) {
+    if (!queueOffline || !isNetworkError(error)) throw error;
+    enqueueRequest({ path, method, body, idempotencyKey, label: queueOffline, userId: getUserId() });
+    throw new RequestQueuedError(queueOffline);
+  }
+};
+
+let flushPromise = null;
+
+// Send the signed-in user's requests queued while offline, oldest first.
+// Stops at the first one that still can't reach the server, when the
+// session has lapsed or when another user signs in; requests the server
+// rejects are dropped. Resolves to `{ sent, failed: [{ entry, error }] }`.
+export const flushQueuedRequests = () => {
+  if (!flushPromise) {
+    flushPromise = (async () => {
+      const sent = [];
+      const failed = [];
+      const userId = getUserId();
+      for (const entry of getQueuedRequestsFor(userId)) {
+        if (getUserId() !== userId) break;
+        try {
+          // Nobody is waiting on these, so a lapsed session must not block
+          // on the sign-in dialog; they are sent after the next sign-in
+          await apiRequest(entry.path, {
+            method: entry.method,
+            body: entry.body,
+            idempotencyKey: entry.idempotencyKey,
+            promptSignIn: false,
+          });
+          sent.push(entry);
+        } catch (error) {
+          if (isNetworkError(error) || error.status === 401) break;
+          failed.push({ entry, error });
+        }
+        removeQueuedRequest(entry.id);
+      }
+      return { sent, failed };
+    })().finally(() => {
+      flushPromise = null;
+    });
+  }
+  return flushPromise;
+};
@@ -0,0 +1,34 @@
+import { apiRequest } from './apiClient';
+import { clearAuth, getAuth, storeTokens } from './authStore';
+
+// Sign-in against the backend's JWT auth:
+//
+//   POST /auth/login    { username, password } -> { accessToken, refreshToken, expiresIn, user }
+//   POST /auth/refresh  { refreshToken }       -> { accessToken, refreshToken, expiresIn }
+//   POST /auth/logout   { refreshToken }       -> 204
+//   GET  /auth/me       -> { id, username }
+//
+// Refreshing is handled by apiClient; see services/authStore.js for how the
+// tokens are kept.
+
+// Resolves to the signed-in user; rejects with the server's message for
+// wrong credentials
+export const login = async ({ username, password }) => {
+  const data = await apiRequest('/auth/login', {
+    method: 'POST',
+    body: { username, password },
+    auth: false,
+  });
+  storeTokens(data);
+  return data.user;
+};
+
+// Signing out locally can't fail; revoking the refresh token is best effort
+export const logout = async () => {
+  const refreshToken = getAuth()?.refreshToken;
+  clearAuth();
+  if (!refreshToken) return;
+  await apiRequest('/auth/logout', { method: 'POST', body: { refreshToken }, auth: false }).catch(() => {});
+};
+
+export const getCurrentUser = () => apiRequest('/auth/me');
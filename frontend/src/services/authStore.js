@@ -0,0 +1,121 @@
+// Credentials for the signed-in user, shared by every API call:
+//
+//   { accessToken, refreshToken, expiresAt, user: { id, username } }
+//
+// `expiresAt` is when the access token expires (ms since epoch). Tokens are
+// kept in localStorage so a reload stays signed in, and other tabs pick up
+// sign-ins and sign-outs through the storage event.
+//
+// When a request can't be authenticated any more the store asks for a new
+// sign-in (`needsSignIn`) instead of dropping the user; requests wait for it
+// in `waitForSignIn` so whatever the editor was doing carries on afterwards.
+
+const STORAGE_KEY = 'imageEditor.auth';
+
+const readAuth = () => {
+  try {
+    const auth = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return auth?.accessToken ? auth : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+let auth = readAuth();
+let needsSignIn = false;
+const listeners = new Set();
+const signInWaiters = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+const writeAuth = (next) => {
+  auth = next;
+  try {
+    if (next) localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // Storage can be unavailable (private mode); stay signed in for this tab
+  }
+};
+
+const settleWaiters = (error) => {
+  signInWaiters.forEach(({ resolve, reject }) => (error ? reject(error) : resolve()));
+  signInWaiters.clear();
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    auth = readAuth();
+    if (auth && needsSignIn) {
+      needsSignIn = false;
+      settleWaiters();
+    }
+    notify();
+  });
+}
+
+export const getAuth = () => auth;
+
+export const getAccessToken = () => auth?.accessToken || null;
+
+// Id of the signed-in user, null when signed out
+export const getUserId = () => auth?.user?.id ?? null;
+
+export const getAuthState = () => ({ auth, needsSignIn });
+
+// `listener()` is called whenever the credentials or `needsSignIn` change
+export const subscribeAuth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Store the tokens from a /auth/login or /auth/refresh response:
+// `{ accessToken, refreshToken, expiresIn, user }` with `expiresIn` in
+// seconds. A refresh may leave out the refresh token and user.
+export const storeTokens = ({ accessToken, refreshToken, expiresIn, user }) => {
+  writeAuth({
+    accessToken,
+    refreshToken: refreshToken || auth?.refreshToken || null,
+    expiresAt: Date.now() + expiresIn * 1000,
+    user: user || auth?.user || null,
+  });
+  needsSignIn = false;
+  settleWaiters();
+  notify();
+};
+
+export const clearAuth = () => {
+  writeAuth(null);
+  needsSignIn = false;
+  settleWaiters(new Error('Signed out'));
+  notify();
+};
+
+// The server rejected our credentials and they can't be refreshed
+export const requireSignIn = () => {
+  if (needsSignIn) return;
+  needsSignIn = true;
+  notify();
+};
+
+// Resolves once the user has signed in again; rejects if they give up or
+// `signal` aborts the request that is waiting
+export const waitForSignIn = signal => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const waiter = { resolve, reject };
+  signInWaiters.add(waiter);
+  signal?.addEventListener('abort', () => {
+    signInWaiters.delete(waiter);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+export const cancelSignIn = () => {
+  needsSignIn = false;
+  settleWaiters(new Error('Sign-in cancelled'));
+  notify();
+};
@@ -0,0 +1,120 @@
+import { apiRequest } from './apiClient';
+
+// Image processing API: the editor's backend calls for images, processing,
+// style previews, history and saved workflows. Requests go through
+// apiClient as the signed-in user; history and workflows are scoped to that
+// user by the backend.
+//
+// These are the routes the frontend expects; keep them in step with the
+// backend's OpenAPI docs (/api/docs). services/mockBackend.js answers the
+// same routes except style previews and exports.
+//
+//   POST /images                     multipart `image` -> { imageId, width, height }
+//   GET  /images/:id                 -> { url } or { image, mimeType } (base64)
+//   HEAD /images/:id                 -> 2xx when the image exists, 404 otherwise
+//   POST /images/:id/process         { operations, jobId } -> { imageId, processedImage, mimeType }
+//   POST /images/:id/detections      { jobId } -> { detections }
+//   PUT  /images/:id/annotations     { annotations }
+//   POST /images/:id/sensitive-regions  { kinds, jobId } -> { regions }
+//   POST /images/:id/style-preview   { style, maxSize } -> { image } (base64 JPEG)
+//   POST /images/:id/export          { ...options, estimateOnly } -> { image, mimeType, size }
+//   GET  /history                    -> [{ id, operationName, thumbnailUrl, timestamp }]
+//   GET  /workflows                  -> [workflow]
+//   POST /workflows                  workflow -> workflow with `id`
+//   GET  /workflows/:id              -> workflow
+//   PUT  /workflows/:id              workflow -> workflow
+//   DELETE /workflows/:id
+
+// `onUploadProgress(loadedBytes, totalBytes)` reports the multipart body sent
+export const uploadImage = (formData, { signal, onUploadProgress } = {}) => apiRequest('/images', {
+  method: 'POST',
+  body: formData,
+  signal,
+  onUploadProgress,
+});
+
+export const getImageById = imageId => apiRequest(`/images/${imageId}`);
+
+// Whether the image is still stored, without downloading it
+export const imageExists = async (imageId, { signal } = {}) => {
+  try {
+    await apiRequest(`/images/${imageId}`, { method: 'HEAD', signal });
+    return true;
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+};
+
+// Run an operation list on an image. The result is stored as a new image,
+// whose id comes back as `imageId` with the base64 `processedImage`.
+// `jobId` subscribes to progress, see services/jobSocket.js.
+export const applyFilter = ({ imageId, operations, jobId }) => apiRequest(`/images/${imageId}/process`, {
+  method: 'POST',
+  body: { operations, jobId },
+});
+
+// Render a downscaled copy of an image in one style, for thumbnails and the
+// live preview. The full resolution result comes from a `styleTransfer`
+// operation via applyFilter.
+export const renderStylePreview = ({ imageId, style, maxSize }) => apiRequest(`/images/${imageId}/style-preview`, {
+  method: 'POST',
+  body: { style, maxSize },
+});
+
+// Server-side export for what the browser can't encode (e.g. AVIF) or when
+// metadata has to be kept from the original upload. Resolves to
+// `{ image, mimeType, size }` with base64 data; with `estimateOnly` only
+// `size` (in bytes) is returned.
+export const exportImage = ({ imageId, options, estimateOnly = false }) => apiRequest(
+  `/images/${imageId}/export`,
+  {
+    method: 'POST',
+    body: { ...options, estimateOnly },
+  }
+);
+
+export const detectObjects = ({ imageId, jobId }) => apiRequest(`/images/${imageId}/detections`, {
+  method: 'POST',
+  body: { jobId },
+});
+
+// Find faces (and optionally license plates) to redact. Resolves to
+// `{ regions: [{ x, y, width, height, kind, confidence }] }` in image pixels,
+// where kind is 'face' or 'plate'.
+export const detectSensitiveRegions = ({ imageId, includePlates = false, jobId }) => apiRequest(
+  `/images/${imageId}/sensitive-regions`,
+  {
+    method: 'POST',
+    body: { kinds: includePlates ? ['face', 'plate'] : ['face'], jobId },
+  }
+);
+
+// Save corrected detections for an image as labeled annotations
+export const saveAnnotations = ({ imageId, annotations }) => apiRequest(`/images/${imageId}/annotations`, {
+  method: 'PUT',
+  body: { annotations },
+  queueOffline: 'annotations',
+});
+
+export const getProcessingHistory = () => apiRequest('/history');
+
+// Saved custom workflows. Saves made while offline are queued and sent
+// later (see `queueOffline` in apiClient).
+export const saveCustomWorkflow = workflow => apiRequest('/workflows', {
+  method: 'POST',
+  body: workflow,
+  queueOffline: `workflow "${workflow.name}"`,
+});
+
+export const listWorkflows = () => apiRequest('/workflows');
+
+export const getWorkflow = id => apiRequest(`/workflows/${id}`);
+
+export const updateWorkflow = ({ id, ...workflow }) => apiRequest(`/workflows/${id}`, {
+  method: 'PUT',
+  body: workflow,
+  queueOffline: `changes to workflow "${workflow.name}"`,
+});
+
+export const deleteWorkflow = id => apiRequest(`/workflows/${id}`, { method: 'DELETE' });
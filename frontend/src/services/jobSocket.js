@@ -0,0 +1,181 @@
+import { getAccessToken } from './authStore';
+import { MockJobWebSocket, isMockBackendEnabled } from './mockBackend';
+
+// WebSocket client for job progress events.
+//
+// The client generates a job id, sends it with the HTTP request that starts
+// the work (e.g. `applyFilter({ ..., jobId })`) and subscribes to it here.
+// Messages are JSON:
+//
+//   client -> server  { type: 'subscribe' | 'unsubscribe' | 'cancel', jobId }
+//   server -> client  { type: 'job', jobId, status, progress, message }
+//
+// where status is 'queued' | 'running' | 'finished' | 'failed' | 'cancelled'
+// and progress is 0-100. Subscriptions are replayed after a reconnect.
+// Browsers can't set headers on a WebSocket, so the access token goes in
+// the `token` query parameter.
+
+const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:8000/ws';
+
+export const FINAL_JOB_STATUSES = ['finished', 'failed', 'cancelled'];
+
+export const createJobId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// `WebSocketImpl` and `getToken` can be swapped out to point tests at a mock server
+export const createJobSocket = ({
+  url = WS_URL,
+  WebSocketImpl = typeof WebSocket !== 'undefined' ? WebSocket : null,
+  getToken = getAccessToken,
+  minReconnectDelay = 500,
+  maxReconnectDelay = 30000,
+} = {}) => {
+  let socket = null;
+  let reconnectTimer = null;
+  let attempt = 0;
+  let connectionState = 'idle'; // 'idle', 'connecting', 'open', 'reconnecting'
+  const jobListeners = new Map();
+  const lastEvents = new Map();
+  const connectionListeners = new Set();
+  const pendingMessages = [];
+
+  const setConnectionState = (state) => {
+    connectionState = state;
+    connectionListeners.forEach(listener => listener(state));
+  };
+
+  const send = (message) => {
+    if (socket?.readyState === 1) {
+      socket.send(JSON.stringify(message));
+    } else if (message.type === 'cancel') {
+      // Subscriptions are replayed on open; cancels must not be lost
+      pendingMessages.push(message);
+    }
+  };
+
+  const handleMessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (e) {
+      return;
+    }
+    if (message?.type !== 'job' || !message.jobId) return;
+
+    const jobEvent = {
+      jobId: message.jobId,
+      status: message.status,
+      progress: Number.isFinite(message.progress) ? message.progress : null,
+      message: message.message || null,
+    };
+    lastEvents.set(jobEvent.jobId, jobEvent);
+    jobListeners.get(jobEvent.jobId)?.forEach(listener => listener(jobEvent));
+  };
+
+  const scheduleReconnect = () => {
+    // Exponential backoff with jitter so clients don't reconnect in lockstep
+    const delay = Math.min(maxReconnectDelay, minReconnectDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+    attempt += 1;
+    setConnectionState('reconnecting');
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  function connect() {
+    clearTimeout(reconnectTimer);
+    if (socket || !WebSocketImpl || !jobListeners.size) return;
+
+    setConnectionState(attempt ? 'reconnecting' : 'connecting');
+    // Read the token on every connect so reconnects use a refreshed one
+    const token = getToken();
+    socket = new WebSocketImpl(token ? `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}` : url);
+
+    socket.onopen = () => {
+      attempt = 0;
+      setConnectionState('open');
+      jobListeners.forEach((_, jobId) => send({ type: 'subscribe', jobId }));
+      pendingMessages.splice(0).forEach(send);
+    };
+    socket.onmessage = handleMessage;
+    socket.onclose = () => {
+      socket = null;
+      if (jobListeners.size) {
+        scheduleReconnect();
+      } else {
+        setConnectionState('idle');
+      }
+    };
+    // Errors are always followed by a close event, which handles reconnecting
+    socket.onerror = () => {};
+  }
+
+  const disconnect = () => {
+    clearTimeout(reconnectTimer);
+    attempt = 0;
+    if (socket) {
+      const closing = socket;
+      socket = null;
+      closing.onclose = null;
+      closing.close();
+    }
+    setConnectionState('idle');
+  };
+
+  // Listen for events of one job; returns an unsubscribe function
+  const subscribe = (jobId, listener) => {
+    if (!jobListeners.has(jobId)) {
+      jobListeners.set(jobId, new Set());
+      send({ type: 'subscribe', jobId });
+    }
+    jobListeners.get(jobId).add(listener);
+    connect();
+
+    if (lastEvents.has(jobId)) listener(lastEvents.get(jobId));
+
+    return () => {
+      const listeners = jobListeners.get(jobId);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (!listeners.size) {
+        jobListeners.delete(jobId);
+        lastEvents.delete(jobId);
+        send({ type: 'unsubscribe', jobId });
+      }
+      if (!jobListeners.size) disconnect();
+    };
+  };
+
+  const cancel = (jobId) => {
+    send({ type: 'cancel', jobId });
+  };
+
+  const onConnectionChange = (listener) => {
+    connectionListeners.add(listener);
+    return () => connectionListeners.delete(listener);
+  };
+
+  return {
+    subscribe,
+    cancel,
+    onConnectionChange,
+    getConnectionState: () => connectionState,
+    close: () => {
+      jobListeners.clear();
+      lastEvents.clear();
+      disconnect();
+    },
+  };
+};
+
+let sharedJobSocket = null;
+
+// Socket shared by the whole app, created on first use. With the mock
+// backend (see services/mockBackend.js) job events come from the browser.
+export const getJobSocket = () => {
+  if (!sharedJobSocket) {
+    sharedJobSocket = createJobSocket(isMockBackendEnabled() ? { WebSocketImpl: MockJobWebSocket } : {});
+  }
+  return sharedJobSocket;
+};
@@ -0,0 +1,203 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import WebSocket from 'ws';
+import { createJobSocket } from './jobSocket';
+import { attachJobSocket } from '../../mock/jobServer';
+
+// Resolve once `check()` is truthy, polling every few milliseconds
+const waitFor = (check, timeout = 2000) => new Promise((resolve, reject) => {
+  const started = Date.now();
+  const poll = () => {
+    const value = check();
+    if (value) resolve(value);
+    else if (Date.now() - started > timeout) reject(new Error('Timed out waiting for condition'));
+    else setTimeout(poll, 5);
+  };
+  poll();
+});
+
+describe('createJobSocket against the mock job server', () => {
+  let server;
+  let mock;
+  let url;
+  let jobSocket;
+
+  const connect = (options = {}) => {
+    jobSocket = createJobSocket({
+      url,
+      WebSocketImpl: WebSocket,
+      getToken: () => 'token-1',
+      minReconnectDelay: 10,
+      maxReconnectDelay: 40,
+      ...options,
+    });
+    return jobSocket;
+  };
+
+  beforeEach(async () => {
+    server = http.createServer();
+    mock = attachJobSocket(server, { stepInterval: 15, steps: 5 });
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `ws://localhost:${server.address().port}/ws`;
+  });
+
+  afterEach(async () => {
+    jobSocket?.close();
+    mock.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('reports progress until the job finishes', async () => {
+    const events = [];
+    connect().subscribe('job-1', event => events.push(event));
+
+    await waitFor(() => events.some(event => event.status === 'finished'));
+
+    expect(events[0]).toMatchObject({ jobId: 'job-1', status: 'queued', progress: 0 });
+    expect(events[events.length - 1]).toMatchObject({ status: 'finished', progress: 100, message: 'Done' });
+    const progress = events.map(event => event.progress);
+    expect(progress).toEqual([...progress].sort((a, b) => a - b));
+    expect(jobSocket.getConnectionState()).toBe('open');
+  });
+
+  it('sends the access token with the connection', async () => {
+    connect().subscribe('job-1', () => {});
+
+    await waitFor(() => mock.connections.length);
+    expect(mock.connections[0].token).toBe('token-1');
+  });
+
+  it('cancels a running job', async () => {
+    const events = [];
+    connect().subscribe('job-1', (event) => {
+      events.push(event);
+      if (event.status === 'running' && event.progress === 20) jobSocket.cancel('job-1');
+    });
+
+    await waitFor(() => events.some(event => event.status === 'cancelled'));
+
+    expect(mock.jobs.get('job-1').status).toBe('cancelled');
+    expect(events[events.length - 1]).toMatchObject({ status: 'cancelled', progress: 20 });
+  });
+
+  it('sends a cancel made before the socket opens once it does', async () => {
+    connect().subscribe('job-1', () => {});
+    jobSocket.cancel('job-1');
+
+    await waitFor(() => mock.jobs.get('job-1')?.status === 'cancelled');
+  });
+
+  it('reconnects with a fresh token and resubscribes after the connection drops', async () => {
+    let token = 'token-1';
+    const events = [];
+    const states = [];
+    connect({ getToken: () => token });
+    jobSocket.onConnectionChange(state => states.push(state));
+    jobSocket.subscribe('job-1', event => events.push(event));
+
+    await waitFor(() => events.some(event => event.status === 'running'));
+    token = 'token-2';
+    mock.dropConnections();
+
+    await waitFor(() => events.some(event => event.status === 'finished'));
+    expect(states).toEqual(expect.arrayContaining(['reconnecting', 'open']));
+    expect(mock.connections.map(connection => connection.token)).toEqual(['token-1', 'token-2']);
+    expect(mock.connections[1].subscriptions.has('job-1')).toBe(true);
+  });
+
+  it('keeps retrying while the server refuses connections', async () => {
+    mock.refuseConnections();
+    connect();
+    jobSocket.subscribe('job-1', () => {});
+
+    // Counted by the server, so this only passes once three attempts were refused
+    await waitFor(() => mock.refused >= 3);
+    expect(mock.connections).toHaveLength(0);
+    expect(jobSocket.getConnectionState()).not.toBe('open');
+
+    mock.refuseConnections(false);
+    await waitFor(() => jobSocket.getConnectionState() === 'open');
+    expect(mock.connections).toHaveLength(1);
+  });
+
+  it('closes the connection once nothing is subscribed', async () => {
+    const unsubscribe = connect().subscribe('job-1', () => {});
+    await waitFor(() => jobSocket.getConnectionState() === 'open');
+
+    unsubscribe();
+
+    expect(jobSocket.getConnectionState()).toBe('idle');
+  });
+});
+
+describe('createJobSocket reconnect backoff', () => {
+  // Records each connection attempt and fails it straight away
+  class FailingWebSocket {
+    static attempts = [];
+
+    static closes = [];
+
+    constructor(url) {
+      this.url = url;
+      this.readyState = 0;
+      FailingWebSocket.attempts.push(Date.now());
+      setTimeout(() => {
+        FailingWebSocket.closes.push(Date.now());
+        this.onclose?.();
+      }, 0);
+    }
+
+    close() {}
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    // No jitter: every delay is the full backoff
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    FailingWebSocket.attempts = [];
+    FailingWebSocket.closes = [];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('doubles the delay between attempts up to the maximum', () => {
+    const jobSocket = createJobSocket({
+      url: 'ws://mock/ws',
+      WebSocketImpl: FailingWebSocket,
+      getToken: () => null,
+      minReconnectDelay: 100,
+      maxReconnectDelay: 1000,
+    });
+    jobSocket.subscribe('job-1', () => {});
+
+    jest.advanceTimersByTime(5000);
+
+    const { attempts, closes } = FailingWebSocket;
+    const delays = attempts.slice(1).map((time, i) => time - closes[i]);
+    expect(delays.slice(0, 6)).toEqual([100, 200, 400, 800, 1000, 1000]);
+    jobSocket.close();
+  });
+
+  it('stops reconnecting when closed', () => {
+    const jobSocket = createJobSocket({
+      url: 'ws://mock/ws',
+      WebSocketImpl: FailingWebSocket,
+      getToken: () => null,
+      minReconnectDelay: 100,
+    });
+    jobSocket.subscribe('job-1', () => {});
+    jest.advanceTimersByTime(150);
+    jobSocket.close();
+    const attempts = FailingWebSocket.attempts.length;
+
+    jest.advanceTimersByTime(5000);
+
+    expect(FailingWebSocket.attempts).toHaveLength(attempts);
+    expect(jobSocket.getConnectionState()).toBe('idle');
+  });
+});
@@ -0,0 +1,369 @@
+import { describeOperations, renderOperations } from '../utils/imageOperations';
+import { loadImage } from '../utils/imageLoader';
+
+// In-browser stand-in for the backend, for developing and end-to-end
+// testing the UI with nothing else running. When enabled, apiClient hands
+// requests to `mockFetch` instead of the network and the job socket talks
+// to MockJobWebSocket:
+//
+//   REACT_APP_MOCK_API=true npm start
+//
+// or, in any build, localStorage.setItem('imageEditor.mockApi', 'true') and
+// reload.
+//
+// It covers sign-in (any username, any non-empty password), uploads (single
+// and chunked), fetching images, processing (operations run in the browser
+// with renderOperations; style transfer and logo overlays are skipped),
+// object detection and face detection (fixed fake boxes), annotations,
+// history and workflows, with job progress events. Data lives in memory
+// and is gone after a reload. Idempotency keys are honored like the real
+// server. To exercise error handling, `imageEditor.mockApi.failureRate`
+// (0-1) fails that share of requests with a 503, and requests fail like
+// network errors while the browser is offline.
+
+const ENABLED_KEY = 'imageEditor.mockApi';
+const FAILURE_RATE_KEY = 'imageEditor.mockApi.failureRate';
+const LATENCY = 150;
+const UPLOAD_CHUNK_SIZE = 1024 * 1024;
+const THUMBNAIL_SIZE = 96;
+const TOKEN_LIFETIME = 3600;
+
+// Boxes as fractions of the image: [x, y, width, height]
+const FAKE_DETECTIONS = [
+  { class: 'person', confidence: 0.92, box: [0.15, 0.2, 0.3, 0.65] },
+  { class: 'dog', confidence: 0.78, box: [0.55, 0.5, 0.3, 0.35] },
+  { class: 'bicycle', confidence: 0.41, box: [0.05, 0.7, 0.25, 0.25] },
+];
+const FAKE_FACE = [0.22, 0.22, 0.12, 0.14];
+
+const readSetting = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+};
+
+export const isMockBackendEnabled = () => (
+  process.env.REACT_APP_MOCK_API === 'true' || readSetting(ENABLED_KEY) === 'true'
+);
+
+class MockHttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const images = new Map(); // id -> { blob, width, height }
+const uploads = new Map(); // id -> { size, mimeType, chunks, receivedBytes }
+const histories = new Map(); // username -> entries, newest first
+const workflows = new Map(); // username -> workflows
+const idempotentResponses = new Map(); // Idempotency-Key -> { status, data }
+const jobSockets = new Set();
+const cancelledJobs = new Set();
+let nextId = 1;
+
+const createId = prefix => `${prefix}-${nextId++}`;
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+const jsonResponse = (status, data) => (
+  data === undefined
+    ? new Response(null, { status })
+    : new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } })
+);
+
+const blobToBase64 = blob => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result.split(',')[1]);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const decodeBlob = async (blob) => {
+  const url = URL.createObjectURL(blob);
+  try {
+    return await loadImage(url);
+  } catch (e) {
+    throw new MockHttpError(415, 'The mock backend can only decode images the browser can show');
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const storeImage = async (blob) => {
+  const img = await decodeBlob(blob);
+  const id = createId('image');
+  images.set(id, { blob, width: img.naturalWidth, height: img.naturalHeight });
+  return { imageId: id, width: img.naturalWidth, height: img.naturalHeight };
+};
+
+const getImage = (id) => {
+  if (!images.has(id)) throw new MockHttpError(404, 'Image not found');
+  return images.get(id);
+};
+
+const listFor = (store, username) => {
+  if (!store.has(username)) store.set(username, []);
+  return store.get(username);
+};
+
+// Job progress, see services/jobSocket.js
+const reportJob = (jobId, status, progress = null, message = null) => {
+  if (!jobId) return;
+  jobSockets.forEach(socket => socket.receive({ type: 'job', jobId, status, progress, message }));
+};
+
+// Run `work(step)` as a job; `step(progress)` reports progress and stops
+// the job if it was cancelled
+const runJob = async (jobId, work) => {
+  const step = async (progress) => {
+    await delay(LATENCY);
+    if (cancelledJobs.delete(jobId)) {
+      reportJob(jobId, 'cancelled');
+      throw new MockHttpError(409, 'Job cancelled');
+    }
+    reportJob(jobId, 'running', progress);
+  };
+
+  reportJob(jobId, 'queued');
+  try {
+    const result = await work(step);
+    reportJob(jobId, 'finished', 100);
+    return result;
+  } catch (error) {
+    if (error.status !== 409) reportJob(jobId, 'failed', null, error.message);
+    throw error;
+  }
+};
+
+const scaleBox = ([x, y, width, height], image) => ({
+  x: Math.round(x * image.width),
+  y: Math.round(y * image.height),
+  width: Math.round(width * image.width),
+  height: Math.round(height * image.height),
+});
+
+const issueTokens = username => ({
+  accessToken: `mock.${encodeURIComponent(username)}.${createId('access')}`,
+  refreshToken: `mock.${encodeURIComponent(username)}.${createId('refresh')}`,
+  expiresIn: TOKEN_LIFETIME,
+  user: { id: username, username },
+});
+
+// Tokens carry the username; requests without one act as a guest so the
+// editor works without signing in
+const getUsername = (headers) => {
+  const token = (headers.Authorization || '').replace(/^Bearer /, '');
+  return token.startsWith('mock.') ? decodeURIComponent(token.split('.')[1]) : null;
+};
+
+// [method, path pattern, handler({ params, body, headers, username })]
+const ROUTES = [
+  ['POST', /^\/auth\/login$/, ({ body }) => {
+    if (!body.username || !body.password) throw new MockHttpError(401, 'Incorrect username or password');
+    return issueTokens(body.username);
+  }],
+  ['POST', /^\/auth\/refresh$/, ({ body }) => {
+    if (!String(body.refreshToken).startsWith('mock.')) throw new MockHttpError(401, 'Invalid refresh token');
+    // A refresh only hands out new tokens
+    const tokens = issueTokens(decodeURIComponent(body.refreshToken.split('.')[1]));
+    delete tokens.user;
+    return tokens;
+  }],
+  ['POST', /^\/auth\/logout$/, () => undefined],
+  ['GET', /^\/auth\/me$/, ({ username }) => {
+    if (!username) throw new MockHttpError(401, 'Not authenticated');
+    return { id: username, username };
+  }],
+
+  ['POST', /^\/images$/, ({ body }) => storeImage(body.get('image'))],
+  ['GET', /^\/images\/([^/]+)$/, async ({ params: [id] }) => {
+    const image = getImage(id);
+    return { image: await blobToBase64(image.blob), mimeType: image.blob.type || 'image/jpeg' };
+  }],
+  ['HEAD', /^\/images\/([^/]+)$/, ({ params: [id] }) => {
+    getImage(id);
+    return undefined;
+  }],
+  ['POST', /^\/images\/([^/]+)\/process$/, ({ params: [id], body: { operations = [], jobId }, username }) => (
+    runJob(jobId, async (step) => {
+      const source = await decodeBlob(getImage(id).blob);
+      await step(20);
+      const canvas = renderOperations(source, operations);
+      await step(70);
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+      const { imageId } = await storeImage(blob);
+      listFor(histories, username || 'guest').unshift({
+        id: createId('history'),
+        imageId,
+        operationName: describeOperations(operations),
+        thumbnailUrl: renderOperations(source, operations, { maxSize: THUMBNAIL_SIZE }).toDataURL('image/jpeg', 0.7),
+        timestamp: new Date().toISOString(),
+      });
+      return { imageId, processedImage: await blobToBase64(blob), mimeType: 'image/jpeg' };
+    })
+  )],
+  ['POST', /^\/images\/([^/]+)\/detections$/, ({ params: [id], body: { jobId } }) => (
+    runJob(jobId, async (step) => {
+      const image = getImage(id);
+      await step(50);
+      return {
+        detections: FAKE_DETECTIONS.map(detection => ({
+          ...scaleBox(detection.box, image),
+          class: detection.class,
+          confidence: detection.confidence,
+        })),
+      };
+    })
+  )],
+  ['POST', /^\/images\/([^/]+)\/sensitive-regions$/, ({ params: [id], body: { jobId } }) => (
+    runJob(jobId, async (step) => {
+      const image = getImage(id);
+      await step(50);
+      return { regions: [{ ...scaleBox(FAKE_FACE, image), kind: 'face', confidence: 0.95 }] };
+    })
+  )],
+  ['PUT', /^\/images\/([^/]+)\/annotations$/, ({ params: [id] }) => {
+    getImage(id);
+    return undefined;
+  }],
+
+  ['POST', /^\/uploads$/, ({ body }) => {
+    const uploadId = createId('upload');
+    uploads.set(uploadId, { size: body.size, mimeType: body.mimeType, chunks: [], receivedBytes: 0 });
+    return { uploadId, chunkSize: UPLOAD_CHUNK_SIZE, receivedBytes: 0 };
+  }],
+  ['GET', /^\/uploads\/([^/]+)$/, ({ params: [id] }) => {
+    if (!uploads.has(id)) throw new MockHttpError(404, 'Upload not found');
+    return { uploadId: id, chunkSize: UPLOAD_CHUNK_SIZE, receivedBytes: uploads.get(id).receivedBytes };
+  }],
+  ['PATCH', /^\/uploads\/([^/]+)$/, ({ params: [id], body, headers }) => {
+    const upload = uploads.get(id);
+    if (!upload) throw new MockHttpError(404, 'Upload not found');
+    const start = Number((headers['Content-Range'] || '').match(/^bytes (\d+)-/)?.[1]);
+    // Chunks that don't continue where the upload stopped are ignored; the
+    // client resumes from `receivedBytes`
+    if (start === upload.receivedBytes) {
+      upload.chunks.push(body);
+      upload.receivedBytes += body.size;
+    }
+    return { receivedBytes: upload.receivedBytes };
+  }],
+  ['POST', /^\/uploads\/([^/]+)\/complete$/, async ({ params: [id] }) => {
+    const upload = uploads.get(id);
+    if (!upload) throw new MockHttpError(404, 'Upload not found');
+    if (upload.receivedBytes < upload.size) throw new MockHttpError(409, 'Upload is incomplete');
+    const result = await storeImage(new Blob(upload.chunks, { type: upload.mimeType }));
+    uploads.delete(id);
+    return result;
+  }],
+
+  ['GET', /^\/history$/, ({ username }) => listFor(histories, username || 'guest')],
+
+  ['GET', /^\/workflows$/, ({ username }) => listFor(workflows, username || 'guest')],
+  ['POST', /^\/workflows$/, ({ body, username }) => {
+    const workflow = { ...body, id: createId('workflow') };
+    listFor(workflows, username || 'guest').push(workflow);
+    return workflow;
+  }],
+  ['GET', /^\/workflows\/([^/]+)$/, ({ params: [id], username }) => {
+    const workflow = listFor(workflows, username || 'guest').find(item => item.id === id);
+    if (!workflow) throw new MockHttpError(404, 'Workflow not found');
+    return workflow;
+  }],
+  ['PUT', /^\/workflows\/([^/]+)$/, ({ params: [id], body, username }) => {
+    const list = listFor(workflows, username || 'guest');
+    const index = list.findIndex(item => item.id === id);
+    if (index === -1) throw new MockHttpError(404, 'Workflow not found');
+    list[index] = { ...body, id };
+    return list[index];
+  }],
+  ['DELETE', /^\/workflows\/([^/]+)$/, ({ params: [id], username }) => {
+    const list = listFor(workflows, username || 'guest');
+    const index = list.findIndex(item => item.id === id);
+    if (index === -1) throw new MockHttpError(404, 'Workflow not found');
+    list.splice(index, 1);
+    return undefined;
+  }],
+];
+
+// Answer an API request (path relative to the API root, fetch init) with a
+// Response, like fetch would
+export const mockFetch = async (path, { method = 'GET', headers = {}, body, signal } = {}) => {
+  await delay(LATENCY, signal);
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) throw new TypeError('Failed to fetch');
+  if (Math.random() < (Number(readSetting(FAILURE_RATE_KEY)) || 0)) {
+    return jsonResponse(503, { detail: 'Simulated failure' });
+  }
+
+  const key = headers['Idempotency-Key'];
+  if (key && idempotentResponses.has(key)) {
+    const { status, data } = idempotentResponses.get(key);
+    return jsonResponse(status, data);
+  }
+
+  const { pathname } = new URL(path, 'http://mock');
+  let status = 404;
+  let data = { detail: `${method} ${pathname} is not available in the mock backend` };
+  for (const [routeMethod, pattern, handler] of ROUTES) {
+    const match = method === routeMethod && pathname.match(pattern);
+    if (!match) continue;
+    try {
+      data = await handler({
+        params: match.slice(1),
+        body: typeof body === 'string' ? JSON.parse(body) : body,
+        headers,
+        username: getUsername(headers),
+      });
+      status = data === undefined ? 204 : 200;
+    } catch (error) {
+      status = error.status || 500;
+      data = { detail: error.message };
+    }
+    break;
+  }
+
+  if (key) idempotentResponses.set(key, { status, data });
+  return jsonResponse(status, data);
+};
+
+// WebSocket look-alike for createJobSocket, fed by the mock's jobs
+export class MockJobWebSocket {
+  constructor() {
+    this.readyState = 0;
+    this.jobIds = new Set();
+    setTimeout(() => {
+      if (this.readyState !== 0) return;
+      this.readyState = 1;
+      jobSockets.add(this);
+      this.onopen?.();
+    }, 0);
+  }
+
+  send(text) {
+    const { type, jobId } = JSON.parse(text);
+    if (type === 'subscribe') this.jobIds.add(jobId);
+    else if (type === 'unsubscribe') this.jobIds.delete(jobId);
+    else if (type === 'cancel') cancelledJobs.add(jobId);
+  }
+
+  close() {
+    this.readyState = 3;
+    jobSockets.delete(this);
+    this.onclose?.();
+  }
+
+  receive(message) {
+    if (this.readyState === 1 && this.jobIds.has(message.jobId)) {
+      this.onmessage?.({ data: JSON.stringify(message) });
+    }
+  }
+}
@@ -0,0 +1,65 @@
+// Saves made while offline, kept in localStorage until they can be sent:
+//
+//   [{ id, path, method, body, idempotencyKey, label, userId, queuedAt }]
+//
+// Entries are replayed in order by flushQueuedRequests (see apiClient) with
+// their original idempotency key, so a save that did reach the server
+// before the connection dropped isn't applied twice. Only JSON bodies can
+// be queued.
+//
+// `userId` is who was signed in when the save was made (null if nobody).
+// Entries are only sent as that user; another user's stay queued until
+// they sign in on this browser again.
+
+const STORAGE_KEY = 'imageEditor.requestQueue';
+
+const readQueue = () => {
+  try {
+    const queue = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(queue) ? queue : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+let queue = readQueue();
+const listeners = new Set();
+
+const writeQueue = (next) => {
+  queue = next;
+  try {
+    if (next.length) localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // Storage can be unavailable (private mode); the queue lasts until reload
+  }
+  listeners.forEach(listener => listener(queue));
+};
+
+// Entries saved by `userId` (null for saves made signed out)
+export const getQueuedRequestsFor = userId => queue.filter(entry => (entry.userId ?? null) === userId);
+
+// `listener(queue)` is called whenever an entry is added or removed
+export const subscribeQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const enqueueRequest = ({ path, method, body, idempotencyKey, label, userId = null }) => {
+  const entry = {
+    id: idempotencyKey,
+    path,
+    method,
+    body,
+    idempotencyKey,
+    label,
+    userId,
+    queuedAt: Date.now(),
+  };
+  writeQueue([...queue, entry]);
+  return entry;
+};
+
+export const removeQueuedRequest = (id) => {
+  writeQueue(queue.filter(entry => entry.id !== id));
+};
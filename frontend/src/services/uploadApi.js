@@ -0,0 +1,160 @@
+import { apiRequest } from './apiClient';
+import { getAuth } from './authStore';
+import { imageExists, uploadImage } from './imageProcessingApi';
+import { CHUNKED_UPLOAD_THRESHOLD, isBrowserDecodable } from '../utils/imageFormats';
+
+// Resumable uploads. A session is created for the file, chunks are PATCHed
+// with a Content-Range header and the session is completed once the server
+// has every byte:
+//
+//   POST  /uploads                  { fileName, size, mimeType } -> { uploadId, chunkSize, receivedBytes }
+//   GET   /uploads/:id              -> { uploadId, chunkSize, receivedBytes }
+//   PATCH /uploads/:id              chunk bytes -> { receivedBytes }
+//   POST  /uploads/:id/complete     -> { imageId, width, height, preview }
+//
+// `preview` is a base64 JPEG the server decodes for formats browsers can't
+// show (TIFF, HEIC, RAW). Session ids are kept in localStorage per file so an
+// interrupted upload resumes where it stopped, even after a reload.
+//
+// Images the browser can show are also remembered by content hash, per
+// user, so dropping the same file again reuses the stored image instead of
+// uploading it twice.
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+const STORAGE_PREFIX = 'imageEditor.upload.';
+const UPLOADED_IMAGES_KEY = 'imageEditor.uploadedImages';
+const MAX_UPLOADED_IMAGES = 50;
+// Hashing reads the whole file into memory
+const MAX_HASHED_SIZE = 100 * 1024 * 1024;
+
+const getStorageKey = file => `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+const openSession = async (file, signal) => {
+  const key = getStorageKey(file);
+  const savedId = localStorage.getItem(key);
+  if (savedId) {
+    const session = await apiRequest(`/uploads/${savedId}`, { signal }).catch(() => null);
+    if (session) return session;
+    localStorage.removeItem(key);
+  }
+
+  const session = await apiRequest('/uploads', {
+    method: 'POST',
+    body: { fileName: file.name, size: file.size, mimeType: file.type || 'application/octet-stream' },
+    signal,
+  });
+  localStorage.setItem(key, session.uploadId);
+  return session;
+};
+
+// Transient failures are retried by apiRequest; the Content-Range makes a
+// resent chunk harmless
+const sendChunk = (uploadId, file, start, end, { signal, onProgress }) => apiRequest(`/uploads/${uploadId}`, {
+  method: 'PATCH',
+  body: file.slice(start, end),
+  headers: {
+    'Content-Type': 'application/octet-stream',
+    'Content-Range': `bytes ${start}-${end - 1}/${file.size}`,
+  },
+  signal,
+  onUploadProgress: loaded => onProgress(start + loaded, file.size),
+});
+
+// `onProgress(sentBytes, totalBytes)` is called as each chunk goes out
+export const uploadInChunks = async (file, { onProgress = () => {}, signal } = {}) => {
+  const session = await openSession(file, signal);
+  const chunkSize = session.chunkSize || DEFAULT_CHUNK_SIZE;
+  let offset = session.receivedBytes || 0;
+  onProgress(offset, file.size);
+
+  while (offset < file.size) {
+    const end = Math.min(file.size, offset + chunkSize);
+    const result = await sendChunk(session.uploadId, file, offset, end, { signal, onProgress });
+    // Trust the server's count so a partially stored chunk is resent
+    offset = Number.isFinite(result?.receivedBytes) ? result.receivedBytes : end;
+    onProgress(offset, file.size);
+  }
+
+  const data = await apiRequest(`/uploads/${session.uploadId}/complete`, { method: 'POST', signal });
+  localStorage.removeItem(getStorageKey(file));
+  return data;
+};
+
+// SHA-256 of the file as hex, or null when it is too large to hash or the
+// page isn't a secure context
+const hashFile = async (file) => {
+  if (file.size > MAX_HASHED_SIZE || typeof crypto === 'undefined' || !crypto.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// { [userId:hash]: { imageId, width, height } }, oldest first
+const readUploadedImages = () => {
+  try {
+    return JSON.parse(localStorage.getItem(UPLOADED_IMAGES_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const writeUploadedImages = (images) => {
+  try {
+    const entries = Object.entries(images).slice(-MAX_UPLOADED_IMAGES);
+    localStorage.setItem(UPLOADED_IMAGES_KEY, JSON.stringify(Object.fromEntries(entries)));
+  } catch (e) {
+    // Storage can be unavailable (private mode); files are just uploaded again
+  }
+};
+
+// The image uploaded earlier under `key`, if the server still has it
+const findUploadedImage = async (key, signal) => {
+  const images = readUploadedImages();
+  if (!images[key]) return null;
+  if (await imageExists(images[key].imageId, { signal })) return images[key];
+  delete images[key];
+  writeUploadedImages(images);
+  return null;
+};
+
+// Upload an image file the way its size and format need: small web images
+// in one request, large or non-web files in resumable chunks. A web image
+// uploaded before resolves to the stored copy with `reused: true`.
+//
+// `onProgress(sentBytes, totalBytes)` reports bytes sent and `signal`
+// cancels the upload.
+export const uploadImageFile = async (file, options = {}) => {
+  const { onProgress = () => {}, signal } = options;
+  if (!isBrowserDecodable(file)) return uploadInChunks(file, options);
+
+  const hash = await hashFile(file);
+  signal?.throwIfAborted();
+  const key = hash && `${getAuth()?.user?.id || 'guest'}:${hash}`;
+  const uploaded = key && await findUploadedImage(key, signal);
+  if (uploaded) {
+    onProgress(file.size, file.size);
+    return { ...uploaded, reused: true };
+  }
+
+  let data;
+  if (file.size > CHUNKED_UPLOAD_THRESHOLD) {
+    data = await uploadInChunks(file, options);
+  } else {
+    const formData = new FormData();
+    formData.append('image', file);
+    onProgress(0, file.size);
+    data = await uploadImage(formData, {
+      signal,
+      // The multipart body is a little larger than the file
+      onUploadProgress: (loaded, total) => onProgress(Math.round((loaded / total) * file.size), file.size),
+    });
+    onProgress(file.size, file.size);
+  }
+
+  if (key) {
+    // Re-adding the key moves it to the end, past older entries that get dropped
+    const images = readUploadedImages();
+    delete images[key];
+    writeUploadedImages({ ...images, [key]: { imageId: data.imageId, width: data.width, height: data.height } });
+  }
+  return data;
+};
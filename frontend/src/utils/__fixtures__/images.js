@@ -0,0 +1,56 @@
+// Small synthetic images for testing image analysis. Each is an
+// ImageData-like `{ data, width, height }` built from a per-pixel function,
+// so the fixtures are exact and identical on every run.
+
+const SIZE = 32;
+
+const createImage = (pixel, width = SIZE, height = SIZE) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = pixel(x, y, width, height);
+      const i = (y * width + x) * 4;
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+};
+
+// Horizontal gray ramp from `from` to `to`
+const ramp = (from, to) => (x, y, width) => {
+  const value = from + ((to - from) * x) / (width - 1);
+  return [value, value, value];
+};
+
+// A colorful ramp: hue varies with x, brightness with y
+const colorful = (x, y, width, height) => {
+  const t = x / (width - 1);
+  const v = 60 + (160 * y) / (height - 1);
+  return [v * (1 - t) + 30 * t, v * 0.6 + 40, 30 * (1 - t) + v * t];
+};
+
+export const FIXTURE_IMAGES = {
+  // Full 0-255 gray ramp: already well exposed and neutral
+  neutralRamp: createImage(ramp(0, 255)),
+  // Gray ramp squeezed into the shadows
+  underexposed: createImage(ramp(5, 80)),
+  // Gray ramp squeezed into the highlights, with little contrast
+  washedOut: createImage(ramp(170, 230)),
+  // Colorful image with everything pushed toward orange
+  warmCast: createImage((x, y, width, height) => {
+    const [r, g, b] = colorful(x, y, width, height);
+    return [r + 60, g + 10, b - 30];
+  }),
+  // Colorful image with everything pushed toward blue
+  coolCast: createImage((x, y, width, height) => {
+    const [r, g, b] = colorful(x, y, width, height);
+    return [r - 30, g + 10, b + 60];
+  }),
+  // Checkerboard of 1px squares: as sharp as an image gets
+  checkerboard: createImage((x, y) => ((x + y) % 2 ? [40, 40, 40] : [215, 215, 215])),
+  // One flat color: no edges, no spread
+  flat: createImage(() => [120, 120, 120]),
+};
@@ -0,0 +1,69 @@
+// Serializers for detections in common labeling formats. `image` is
+// `{ fileName, width, height }`; detections use image pixel coordinates.
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+export const toCocoJson = (detections, image, classes) => {
+  const categoryIds = new Map(classes.map((name, index) => [name, index + 1]));
+
+  return JSON.stringify({
+    info: {
+      description: 'Exported from Image Processing DevOps Pipeline',
+      date_created: new Date().toISOString(),
+    },
+    images: [{ id: 1, file_name: image.fileName, width: image.width, height: image.height }],
+    categories: classes.map((name, index) => ({ id: index + 1, name, supercategory: 'object' })),
+    annotations: detections.map((detection, index) => ({
+      id: index + 1,
+      image_id: 1,
+      category_id: categoryIds.get(detection.class),
+      bbox: [round(detection.x), round(detection.y), round(detection.width), round(detection.height)],
+      area: round(detection.width * detection.height),
+      iscrowd: 0,
+      score: detection.confidence,
+    })),
+  }, null, 2);
+};
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+export const toPascalVocXml = (detections, image) => {
+  const objects = detections.map(detection => `  <object>
+    <name>${escapeXml(detection.class)}</name>
+    <pose>Unspecified</pose>
+    <truncated>0</truncated>
+    <difficult>0</difficult>
+    <bndbox>
+      <xmin>${Math.round(detection.x)}</xmin>
+      <ymin>${Math.round(detection.y)}</ymin>
+      <xmax>${Math.round(detection.x + detection.width)}</xmax>
+      <ymax>${Math.round(detection.y + detection.height)}</ymax>
+    </bndbox>
+  </object>`);
+
+  return `<annotation>
+  <filename>${escapeXml(image.fileName)}</filename>
+  <size>
+    <width>${image.width}</width>
+    <height>${image.height}</height>
+    <depth>3</depth>
+  </size>
+${objects.join('\n')}
+</annotation>
+`;
+};
+
+// YOLO label lines: `class_index cx cy w h`, all normalized to 0-1. Class
+// indices refer to the order of `classes` (written as classes.txt).
+export const toYoloTxt = (detections, image, classes) => detections.map(detection => [
+  classes.indexOf(detection.class),
+  ((detection.x + detection.width / 2) / image.width).toFixed(6),
+  ((detection.y + detection.height / 2) / image.height).toFixed(6),
+  (detection.width / image.width).toFixed(6),
+  (detection.height / image.height).toFixed(6),
+].join(' ')).join('\n');
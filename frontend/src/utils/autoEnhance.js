@@ -0,0 +1,110 @@
+import { clamp } from './imageOperations';
+
+// Smart Enhance: a deterministic auto-adjust. `analyzeImage` measures an
+// ImageData-like `{ data, width, height }` and `suggestEnhancement` turns
+// the measurements into Adjust slider values (and optionally a filter).
+// Both are pure so they can be checked against fixture images.
+
+// Targets for a "well exposed" photo, in 0-255 luminance
+const TARGET_MEAN = 118;
+const TARGET_SPREAD = 215;
+const TARGET_SATURATION = 0.3;
+// Only correct part of the way so suggestions stay natural
+const DAMPING = 0.6;
+// Red/blue imbalance (relative to mean luminance) treated as a color cast
+const CAST_THRESHOLD = 0.12;
+
+const luminance = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+// Value below which `fraction` of the histogram lies
+const percentile = (histogram, total, fraction) => {
+  const target = total * fraction;
+  let count = 0;
+  for (let value = 0; value < histogram.length; value++) {
+    count += histogram[value];
+    if (count >= target) return value;
+  }
+  return histogram.length - 1;
+};
+
+export const analyzeImage = ({ data, width, height }) => {
+  const histogram = new Array(256).fill(0);
+  const luma = new Float32Array(width * height);
+  let sumR = 0;
+  let sumG = 0;
+  let sumB = 0;
+  let sumSaturation = 0;
+
+  for (let p = 0; p < width * height; p++) {
+    const r = data[p * 4];
+    const g = data[p * 4 + 1];
+    const b = data[p * 4 + 2];
+    const y = luminance(r, g, b);
+    const max = Math.max(r, g, b);
+
+    luma[p] = y;
+    histogram[Math.round(y)] += 1;
+    sumR += r;
+    sumG += g;
+    sumB += b;
+    sumSaturation += max ? (max - Math.min(r, g, b)) / max : 0;
+  }
+
+  // Mean absolute Laplacian of luminance: low values mean a soft image
+  let edgeSum = 0;
+  let edgeCount = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      edgeSum += Math.abs(4 * luma[i] - luma[i - 1] - luma[i + 1] - luma[i - width] - luma[i + width]);
+      edgeCount += 1;
+    }
+  }
+
+  const total = width * height;
+  return {
+    histogram,
+    meanLuminance: luma.reduce((sum, y) => sum + y, 0) / total,
+    low: percentile(histogram, total, 0.02),
+    high: percentile(histogram, total, 0.98),
+    channelMeans: { r: sumR / total, g: sumG / total, b: sumB / total },
+    meanSaturation: sumSaturation / total,
+    edgeStrength: edgeCount ? edgeSum / edgeCount : 0,
+  };
+};
+
+// Slider values are in the editor's -100..100 range. `filter` is a preset
+// name when a white balance correction is suggested, otherwise null.
+export const suggestEnhancement = (stats) => {
+  const mean = Math.max(1, stats.meanLuminance);
+  const spread = Math.max(1, stats.high - stats.low);
+  const { r, b } = stats.channelMeans;
+
+  const brightness = clamp((TARGET_MEAN / mean - 1) * 100 * DAMPING, -40, 40);
+  const contrast = clamp((TARGET_SPREAD / spread - 1) * 100 * DAMPING, -20, 40);
+  // Leave near-monochrome images alone rather than inventing color
+  const saturation = stats.meanSaturation < 0.03
+    ? 0
+    : clamp((TARGET_SATURATION / stats.meanSaturation - 1) * 100 * DAMPING * 0.5, -30, 35);
+
+  let sharpness = 0;
+  if (stats.edgeStrength < 3) sharpness = 30;
+  else if (stats.edgeStrength < 6) sharpness = 15;
+
+  const cast = (r - b) / mean;
+  let filter = null;
+  if (stats.meanSaturation >= 0.03) {
+    if (cast > CAST_THRESHOLD) filter = 'Cool';
+    else if (cast < -CAST_THRESHOLD) filter = 'Warm';
+  }
+
+  return {
+    brightness: Math.round(brightness),
+    contrast: Math.round(contrast),
+    saturation: Math.round(saturation),
+    sharpness,
+    filter,
+  };
+};
+
+export const autoEnhance = imageData => suggestEnhancement(analyzeImage(imageData));
@@ -0,0 +1,102 @@
+import { analyzeImage, autoEnhance, suggestEnhancement } from './autoEnhance';
+import { FIXTURE_IMAGES } from './__fixtures__/images';
+
+const {
+  neutralRamp,
+  underexposed,
+  washedOut,
+  warmCast,
+  coolCast,
+  checkerboard,
+  flat,
+} = FIXTURE_IMAGES;
+
+describe('analyzeImage', () => {
+  it('builds a luminance histogram covering every pixel', () => {
+    const { histogram } = analyzeImage(neutralRamp);
+    expect(histogram).toHaveLength(256);
+    expect(histogram.reduce((sum, count) => sum + count, 0)).toBe(32 * 32);
+    expect(histogram[0]).toBe(32);
+    expect(histogram[255]).toBe(32);
+  });
+
+  it('measures mean luminance and the 2nd/98th percentiles', () => {
+    expect(analyzeImage(neutralRamp)).toMatchObject({ meanLuminance: 127.5, low: 0, high: 255 });
+    expect(analyzeImage(underexposed)).toMatchObject({ meanLuminance: 42.5, low: 5, high: 80 });
+    expect(analyzeImage(washedOut)).toMatchObject({ meanLuminance: 200, low: 170, high: 230 });
+    expect(analyzeImage(flat)).toMatchObject({ meanLuminance: 120, low: 120, high: 120 });
+  });
+
+  it('measures channel means for white balance', () => {
+    const warm = analyzeImage(warmCast).channelMeans;
+    const cool = analyzeImage(coolCast).channelMeans;
+    expect(warm.r).toBeGreaterThan(warm.b);
+    expect(cool.b).toBeGreaterThan(cool.r);
+    expect(warm.r).toBeCloseTo(cool.b, 6);
+    expect(analyzeImage(neutralRamp).channelMeans).toEqual({ r: 127.5, g: 127.5, b: 127.5 });
+  });
+
+  it('reports no saturation for gray images', () => {
+    expect(analyzeImage(neutralRamp).meanSaturation).toBe(0);
+    expect(analyzeImage(warmCast).meanSaturation).toBeGreaterThan(0.5);
+  });
+
+  it('measures edge strength', () => {
+    expect(analyzeImage(flat).edgeStrength).toBe(0);
+    expect(analyzeImage(checkerboard).edgeStrength).toBe(700);
+    expect(analyzeImage(neutralRamp).edgeStrength).toBeLessThan(1);
+  });
+
+  it('returns the same result for the same image', () => {
+    expect(analyzeImage(warmCast)).toEqual(analyzeImage(warmCast));
+  });
+});
+
+describe('suggestEnhancement', () => {
+  it.each([
+    ['neutralRamp', neutralRamp, { brightness: -4, contrast: -9, saturation: 0, sharpness: 30, filter: null }],
+    ['underexposed', underexposed, { brightness: 40, contrast: 40, saturation: 0, sharpness: 30, filter: null }],
+    ['washedOut', washedOut, { brightness: -25, contrast: 40, saturation: 0, sharpness: 30, filter: null }],
+    ['warmCast', warmCast, { brightness: -6, contrast: 40, saturation: -16, sharpness: 30, filter: 'Cool' }],
+    ['coolCast', coolCast, { brightness: 0, contrast: 40, saturation: -16, sharpness: 30, filter: 'Warm' }],
+    ['checkerboard', checkerboard, { brightness: -4, contrast: 14, saturation: 0, sharpness: 0, filter: null }],
+  ])('suggests fixed parameters for %s', (name, image, expected) => {
+    expect(autoEnhance(image)).toEqual(expected);
+  });
+
+  it('brightens dark images and darkens bright ones', () => {
+    expect(autoEnhance(underexposed).brightness).toBeGreaterThan(0);
+    expect(autoEnhance(washedOut).brightness).toBeLessThan(0);
+  });
+
+  it('corrects a color cast toward neutral with the opposite filter', () => {
+    expect(autoEnhance(warmCast).filter).toBe('Cool');
+    expect(autoEnhance(coolCast).filter).toBe('Warm');
+    expect(autoEnhance(neutralRamp).filter).toBeNull();
+  });
+
+  it('leaves the color of gray images alone', () => {
+    const stats = { ...analyzeImage(neutralRamp), channelMeans: { r: 160, g: 127.5, b: 100 } };
+    expect(suggestEnhancement(stats)).toMatchObject({ saturation: 0, filter: null });
+  });
+
+  it('keeps every slider within its limits', () => {
+    const extreme = suggestEnhancement({
+      meanLuminance: 0,
+      low: 0,
+      high: 0,
+      channelMeans: { r: 0, g: 0, b: 0 },
+      meanSaturation: 0.01,
+      edgeStrength: 0,
+    });
+    expect(extreme.brightness).toBe(40);
+    expect(extreme.contrast).toBe(40);
+    expect(extreme.saturation).toBe(0);
+  });
+
+  it('only sharpens soft images', () => {
+    expect(autoEnhance(checkerboard).sharpness).toBe(0);
+    expect(suggestEnhancement({ ...analyzeImage(checkerboard), edgeStrength: 4 }).sharpness).toBe(15);
+    expect(suggestEnhancement({ ...analyzeImage(checkerboard), edgeStrength: 2 }).sharpness).toBe(30);
+  });
+});
@@ -0,0 +1,30 @@
+// Helpers for object detection results. Detections are
+// `{ x, y, width, height, class, confidence }` in image pixels.
+
+export const getDetectionClasses = detections => (
+  [...new Set((detections || []).map(detection => detection.class))].sort()
+);
+
+// Detections passing the confidence threshold and class filter. Each keeps
+// its index in the original list so selection survives filtering.
+export const filterDetections = (detections, { minConfidence = 0, hiddenClasses = [] } = {}) => (
+  (detections || [])
+    .map((detection, index) => ({ ...detection, index }))
+    .filter(detection => detection.confidence >= minConfidence && !hiddenClasses.includes(detection.class))
+);
+
+// Stable color per class label so the same class looks the same everywhere
+export const getClassColor = (label, alpha = 1) => {
+  let hash = 0;
+  for (let i = 0; i < String(label).length; i++) {
+    hash = (hash * 31 + String(label).charCodeAt(i)) % 360;
+  }
+  return `hsla(${hash}, 90%, 55%, ${alpha})`;
+};
+
+// Index of the region in `regions` covering the same rectangle, or -1
+export const findRegion = (regions, { x, y, width, height }) => (
+  (regions || []).findIndex(region => (
+    region.x === x && region.y === y && region.width === width && region.height === height
+  ))
+);
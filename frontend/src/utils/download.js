@@ -0,0 +1,31 @@
+// Decode a base64 string (optionally a full data URL) to bytes
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64.replace(/^data:[^,]*,/, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// File name without its extension, e.g. 'photo.final.jpg' -> 'photo.final'
+export const getBaseName = name => (name || 'image').replace(/\.[^.]+$/, '');
+
+// Human readable file size, e.g. 1536 -> '1.5 KB'
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+};
+
+// Trigger a browser download for a Blob
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
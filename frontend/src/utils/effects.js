@@ -0,0 +1,263 @@
+// Effects tab operations. Each effect is its own operation type; the
+// definitions below drive the Effects panel controls, the workflow schema and
+// the preview renderer. Pixel sizes (radius, length, grain size) are in
+// full-size image pixels and scaled for downscaled previews.
+
+export const EFFECT_DEFINITIONS = {
+  gaussianBlur: {
+    label: 'Gaussian Blur',
+    controls: [
+      { key: 'radius', label: 'Radius', min: 1, max: 100, defaultValue: 8 },
+    ],
+  },
+  motionBlur: {
+    label: 'Motion Blur',
+    controls: [
+      { key: 'length', label: 'Length', min: 1, max: 200, defaultValue: 30 },
+      { key: 'angle', label: 'Angle', min: -180, max: 180, defaultValue: 0 },
+    ],
+  },
+  vignette: {
+    label: 'Vignette',
+    controls: [
+      // Negative amounts lighten the edges instead of darkening them
+      { key: 'amount', label: 'Amount', min: -100, max: 100, defaultValue: 50 },
+      { key: 'midpoint', label: 'Midpoint', min: 0, max: 100, defaultValue: 50 },
+      { key: 'feather', label: 'Feather', min: 0, max: 100, defaultValue: 50 },
+    ],
+  },
+  grain: {
+    label: 'Film Grain',
+    controls: [
+      { key: 'amount', label: 'Amount', min: 0, max: 100, defaultValue: 25 },
+      { key: 'size', label: 'Size', min: 1, max: 10, defaultValue: 1 },
+      // Same seed, same grain, so previews and re-renders don't flicker
+      { key: 'seed', label: 'Seed', min: 0, max: 9999, defaultValue: 1 },
+    ],
+  },
+  tiltShift: {
+    label: 'Tilt-Shift',
+    controls: [
+      { key: 'position', label: 'Focus position', min: 0, max: 100, defaultValue: 50 },
+      { key: 'width', label: 'Focus width', min: 0, max: 100, defaultValue: 20 },
+      { key: 'feather', label: 'Feather', min: 1, max: 100, defaultValue: 25 },
+      { key: 'radius', label: 'Blur radius', min: 1, max: 60, defaultValue: 12 },
+    ],
+  },
+  unsharpMask: {
+    label: 'Unsharp Mask',
+    controls: [
+      { key: 'amount', label: 'Amount', min: 0, max: 300, defaultValue: 80 },
+      { key: 'radius', label: 'Radius', min: 1, max: 50, defaultValue: 2 },
+      { key: 'threshold', label: 'Threshold', min: 0, max: 255, defaultValue: 2 },
+    ],
+  },
+};
+
+export const EFFECT_TYPES = Object.keys(EFFECT_DEFINITIONS);
+
+const getDefaultParams = type => Object.fromEntries(
+  EFFECT_DEFINITIONS[type].controls.map(({ key, defaultValue }) => [key, defaultValue])
+);
+
+let nextEffectId = 1;
+
+// An effect in the editor settings. `id` tells effects of the same type
+// apart in the panel and is dropped from the operation list.
+export const createEffect = (type, params = getDefaultParams(type)) => ({
+  id: `effect-${nextEffectId++}`,
+  type,
+  params,
+});
+
+// Params with defaults filled in for anything missing
+const withDefaults = (type, params) => ({ ...getDefaultParams(type), ...params });
+
+// One horizontal then vertical box blur pass over RGB
+const boxBlurPass = (source, target, width, height, radius) => {
+  const size = radius * 2 + 1;
+  const temp = new Float32Array(source.length);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let c = 0; c < 3; c++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += source[(row + Math.min(width - 1, Math.max(0, k))) * 4 + c];
+      }
+      for (let x = 0; x < width; x++) {
+        temp[(row + x) * 4 + c] = sum / size;
+        const add = Math.min(width - 1, x + radius + 1);
+        const remove = Math.max(0, x - radius);
+        sum += source[(row + add) * 4 + c] - source[(row + remove) * 4 + c];
+      }
+    }
+  }
+
+  for (let x = 0; x < width; x++) {
+    for (let c = 0; c < 3; c++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += temp[(Math.min(height - 1, Math.max(0, k)) * width + x) * 4 + c];
+      }
+      for (let y = 0; y < height; y++) {
+        target[(y * width + x) * 4 + c] = sum / size;
+        const add = Math.min(height - 1, y + radius + 1);
+        const remove = Math.max(0, y - radius);
+        sum += temp[(add * width + x) * 4 + c] - temp[(remove * width + x) * 4 + c];
+      }
+    }
+  }
+};
+
+// Three box blur passes approximate a Gaussian with the given radius.
+// Returns a blurred copy; alpha is copied unchanged.
+export const gaussianBlurPixels = (data, width, height, radius) => {
+  const result = new Uint8ClampedArray(data);
+  const passRadius = Math.max(1, Math.round(radius / 3));
+  if (radius < 0.5) return result;
+
+  let source = new Float32Array(data);
+  const target = new Float32Array(data);
+  for (let pass = 0; pass < 3; pass++) {
+    boxBlurPass(source, target, width, height, passRadius);
+    source = Float32Array.from(target);
+  }
+  for (let i = 0; i < result.length; i += 4) {
+    result[i] = source[i];
+    result[i + 1] = source[i + 1];
+    result[i + 2] = source[i + 2];
+  }
+  return result;
+};
+
+// Deterministic PRNG (mulberry32)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const smoothstep = (edge0, edge1, x) => {
+  if (edge1 <= edge0) return x < edge0 ? 0 : 1;
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+// Pixel handlers, `(imageData, params, { scale }) => void`
+export const EFFECT_RENDERERS = {
+  gaussianBlur: (imageData, params, { scale }) => {
+    const { radius } = withDefaults('gaussianBlur', params);
+    imageData.data.set(gaussianBlurPixels(imageData.data, imageData.width, imageData.height, radius * scale));
+  },
+
+  motionBlur: (imageData, params, { scale }) => {
+    const { length, angle } = withDefaults('motionBlur', params);
+    const { data, width, height } = imageData;
+    const source = new Uint8ClampedArray(data);
+    const samples = Math.min(64, Math.max(1, Math.round(length * scale)));
+    const dx = Math.cos((angle * Math.PI) / 180);
+    const dy = Math.sin((angle * Math.PI) / 180);
+    const offsets = Array.from({ length: samples }, (_, s) => s - (samples - 1) / 2)
+      .map(t => [Math.round(t * dx), Math.round(t * dy)]);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        offsets.forEach(([ox, oy]) => {
+          const sx = Math.min(width - 1, Math.max(0, x + ox));
+          const sy = Math.min(height - 1, Math.max(0, y + oy));
+          const j = (sy * width + sx) * 4;
+          r += source[j];
+          g += source[j + 1];
+          b += source[j + 2];
+        });
+        const i = (y * width + x) * 4;
+        data[i] = r / samples;
+        data[i + 1] = g / samples;
+        data[i + 2] = b / samples;
+      }
+    }
+  },
+
+  vignette: (imageData, params) => {
+    const { amount, midpoint, feather } = withDefaults('vignette', params);
+    const { data, width, height } = imageData;
+    const inner = (midpoint / 100) * (1 - feather / 200);
+    const outer = inner + (feather / 100) * (1 - inner) + 0.01;
+
+    for (let y = 0; y < height; y++) {
+      const ny = (y + 0.5) / height * 2 - 1;
+      for (let x = 0; x < width; x++) {
+        const nx = (x + 0.5) / width * 2 - 1;
+        // Elliptical distance: 0 at the center, 1 at the middle of each edge
+        const falloff = smoothstep(inner, outer, Math.sqrt(nx * nx + ny * ny));
+        const weight = (falloff * amount) / 100;
+        const i = (y * width + x) * 4;
+        for (let c = 0; c < 3; c++) {
+          data[i + c] = weight >= 0 ? data[i + c] * (1 - weight) : data[i + c] + (255 - data[i + c]) * -weight;
+        }
+      }
+    }
+  },
+
+  grain: (imageData, params, { scale }) => {
+    const { amount, size, seed } = withDefaults('grain', params);
+    const { data, width, height } = imageData;
+    const cell = Math.max(1, Math.round(size * scale));
+    const columns = Math.ceil(width / cell);
+    const random = createRandom(seed);
+    const noise = Float32Array.from({ length: columns * Math.ceil(height / cell) }, () => random() - 0.5);
+    const strength = amount * 1.2;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const n = noise[Math.floor(y / cell) * columns + Math.floor(x / cell)] * strength;
+        const i = (y * width + x) * 4;
+        data[i] += n;
+        data[i + 1] += n;
+        data[i + 2] += n;
+      }
+    }
+  },
+
+  tiltShift: (imageData, params, { scale }) => {
+    const { position, width: focusWidth, feather, radius } = withDefaults('tiltShift', params);
+    const { data, width, height } = imageData;
+    const blurred = gaussianBlurPixels(data, width, height, radius * scale);
+    const center = (position / 100) * height;
+    const halfBand = ((focusWidth / 100) * height) / 2;
+    const fade = Math.max(1, (feather / 100) * height);
+
+    for (let y = 0; y < height; y++) {
+      const weight = smoothstep(halfBand, halfBand + fade, Math.abs(y + 0.5 - center));
+      if (!weight) continue;
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        for (let c = 0; c < 3; c++) {
+          data[i + c] += (blurred[i + c] - data[i + c]) * weight;
+        }
+      }
+    }
+  },
+
+  unsharpMask: (imageData, params, { scale }) => {
+    const { amount, radius, threshold } = withDefaults('unsharpMask', params);
+    const { data, width, height } = imageData;
+    const blurred = gaussianBlurPixels(data, width, height, Math.max(1, radius * scale));
+
+    for (let i = 0; i < data.length; i += 4) {
+      for (let c = 0; c < 3; c++) {
+        const diff = data[i + c] - blurred[i + c];
+        if (Math.abs(diff) >= threshold) data[i + c] += (diff * amount) / 100;
+      }
+    }
+  },
+};
@@ -0,0 +1,58 @@
+// Minimal JPEG EXIF handling for exports: canvas encoding drops metadata,
+// so "keep EXIF" copies the original file's APP1 Exif segment into the new
+// JPEG. Browsers already apply the Orientation tag when decoding, so the
+// copy has its orientation reset to 1 to avoid rotating the image twice.
+
+const SOI = 0xffd8;
+const APP1 = 0xffe1;
+const SOS = 0xffda;
+const ORIENTATION_TAG = 0x0112;
+
+// APP1 "Exif\0\0" segment (marker included) of a JPEG, or null
+export const extractExifSegment = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 4 || view.getUint16(0) !== SOI) return null;
+
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    const marker = view.getUint16(offset);
+    if (marker === SOS || (marker & 0xff00) !== 0xff00) return null;
+    const length = view.getUint16(offset + 2);
+    if (marker === APP1 && String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'Exif') {
+      return bytes.slice(offset, offset + 2 + length);
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+// Set the IFD0 Orientation tag of an APP1 segment to 1, in place
+export const resetOrientation = (segment) => {
+  const view = new DataView(segment.buffer, segment.byteOffset, segment.byteLength);
+  const tiff = 10; // marker (2) + length (2) + "Exif\0\0" (6)
+  if (segment.length < tiff + 8) return segment;
+
+  const littleEndian = view.getUint16(tiff) === 0x4949;
+  const ifdOffset = tiff + view.getUint32(tiff + 4, littleEndian);
+  if (ifdOffset + 2 > segment.length) return segment;
+
+  const entries = view.getUint16(ifdOffset, littleEndian);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > segment.length) break;
+    if (view.getUint16(entry, littleEndian) === ORIENTATION_TAG) {
+      view.setUint16(entry + 8, 1, littleEndian);
+      break;
+    }
+  }
+  return segment;
+};
+
+// Insert an APP1 segment right after the SOI marker of a JPEG
+export const insertExifSegment = (jpegBytes, segment) => {
+  const result = new Uint8Array(jpegBytes.length + segment.length);
+  result.set(jpegBytes.subarray(0, 2), 0);
+  result.set(segment, 2);
+  result.set(jpegBytes.subarray(2), 2 + segment.length);
+  return result;
+};
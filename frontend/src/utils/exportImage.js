@@ -0,0 +1,118 @@
+import { extractExifSegment, insertExifSegment, resetOrientation } from './exif';
+import { loadImage } from './imageLoader';
+
+export const EXPORT_FORMATS = {
+  jpeg: { label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', lossy: true },
+  png: { label: 'PNG', mimeType: 'image/png', extension: 'png', lossy: false },
+  webp: { label: 'WebP', mimeType: 'image/webp', extension: 'webp', lossy: true },
+  avif: { label: 'AVIF', mimeType: 'image/avif', extension: 'avif', lossy: true },
+};
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  format: 'jpeg',
+  quality: 90,
+  // 'original', 'maxEdge', 'percent' or 'exact'
+  resizeMode: 'original',
+  maxEdge: 2048,
+  percent: 50,
+  width: null,
+  height: null,
+  colorSpace: 'srgb', // 'srgb', 'display-p3'
+  keepMetadata: false,
+  fileNamePattern: '{name}-edited',
+};
+
+// Output size for the resize options. For 'exact', a missing width or
+// height follows the aspect ratio.
+export const getExportSize = ({ width, height }, options) => {
+  switch (options.resizeMode) {
+    case 'maxEdge': {
+      const scale = Math.min(1, options.maxEdge / Math.max(width, height));
+      return { width: Math.round(width * scale), height: Math.round(height * scale) };
+    }
+    case 'percent':
+      return {
+        width: Math.max(1, Math.round((width * options.percent) / 100)),
+        height: Math.max(1, Math.round((height * options.percent) / 100)),
+      };
+    case 'exact': {
+      const exactWidth = options.width || (options.height ? Math.round((options.height * width) / height) : width);
+      const exactHeight = options.height || Math.round((exactWidth * height) / width);
+      return { width: Math.max(1, exactWidth), height: Math.max(1, exactHeight) };
+    }
+    default:
+      return { width, height };
+  }
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+// Expand a naming pattern. Tokens: {name} {width} {height} {format} {date} {time}
+export const formatFileName = (pattern, { name, width, height, format, date = new Date() }) => {
+  const tokens = {
+    name,
+    width,
+    height,
+    format,
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`,
+  };
+  const base = (pattern || '{name}')
+    .replace(/\{(\w+)\}/g, (match, token) => (token in tokens ? tokens[token] : match))
+    .replace(/[\\/:*?"<>|]+/g, '-')
+    .trim();
+  return `${base || name}.${EXPORT_FORMATS[format].extension}`;
+};
+
+const canvasToBlob = (canvas, mimeType, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))),
+    mimeType,
+    quality
+  );
+});
+
+// Whether the browser can encode a format; unsupported types silently fall
+// back to PNG, which is how this is detected
+const encoderSupport = {};
+export const canEncodeInBrowser = async (format) => {
+  if (!(format in encoderSupport)) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    const { mimeType } = EXPORT_FORMATS[format];
+    encoderSupport[format] = await canvasToBlob(canvas, mimeType).then(blob => blob.type === mimeType, () => false);
+  }
+  return encoderSupport[format];
+};
+
+// Encode `src` with the export options in the browser. `originalFile` is
+// where EXIF is copied from when keeping metadata (JPEG output only).
+export const renderExport = async (src, options, originalFile = null) => {
+  const img = await loadImage(src);
+  const size = getExportSize({ width: img.naturalWidth, height: img.naturalHeight }, options);
+  const format = EXPORT_FORMATS[options.format];
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  const ctx = canvas.getContext('2d', { colorSpace: options.colorSpace });
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, size.width, size.height);
+
+  const blob = await canvasToBlob(canvas, format.mimeType, format.lossy ? options.quality / 100 : undefined);
+
+  if (options.keepMetadata && options.format === 'jpeg' && originalFile) {
+    const segment = extractExifSegment(new Uint8Array(await originalFile.arrayBuffer()));
+    if (segment) {
+      const bytes = insertExifSegment(new Uint8Array(await blob.arrayBuffer()), resetOrientation(segment));
+      return new Blob([bytes], { type: format.mimeType });
+    }
+  }
+  return blob;
+};
+
+// Export options the browser can't honor and the server has to handle
+export const needsServerExport = async options => (
+  !(await canEncodeInBrowser(options.format)) || (options.keepMetadata && options.format !== 'jpeg')
+);
@@ -0,0 +1,112 @@
+// Filter presets expressed as CSS filter functions. The same steps drive the
+// CSS thumbnails in the filter grid and the pixel renderer used for the live
+// preview, so both always agree on what a preset looks like.
+export const FILTER_PRESETS = {
+  Grayscale: [['grayscale', 1]],
+  Sepia: [['sepia', 1]],
+  Vintage: [['sepia', 0.4], ['brightness', 0.9], ['contrast', 0.95]],
+  Dramatic: [['contrast', 1.4], ['brightness', 0.9], ['saturate', 1.3]],
+  Vivid: [['saturate', 1.8], ['brightness', 1.05], ['contrast', 1.1]],
+  Cool: [['saturate', 0.9], ['hue-rotate', 30], ['brightness', 1.05]],
+  Warm: [['saturate', 1.1], ['hue-rotate', -15], ['brightness', 1.05]],
+  Film: [['contrast', 1.1], ['brightness', 0.95], ['saturate', 0.85]],
+  'B&W Portrait': [['grayscale', 1], ['contrast', 1.2], ['brightness', 1.05]],
+};
+
+export const FILTER_NAMES = ['None', ...Object.keys(FILTER_PRESETS)];
+
+const formatStep = ([fn, amount]) => (
+  fn === 'hue-rotate' ? `hue-rotate(${amount}deg)` : `${fn}(${Math.round(amount * 100)}%)`
+);
+
+// CSS filter string for a preset, e.g. for thumbnails
+export const getFilterStyle = (filterName) => {
+  const steps = FILTER_PRESETS[filterName];
+  return steps ? steps.map(formatStep).join(' ') : 'none';
+};
+
+// Color matrices follow the Filter Effects spec so the pixel output matches
+// what the browser renders for the equivalent CSS filter. Each matrix is
+// 3 rows of [r, g, b, offset] with the offset in 0-255 space.
+const IDENTITY = [
+  [1, 0, 0, 0],
+  [0, 1, 0, 0],
+  [0, 0, 1, 0],
+];
+
+const saturateMatrix = (s) => [
+  [0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s, 0],
+  [0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s, 0],
+  [0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s, 0],
+];
+
+const hueRotateMatrix = (degrees) => {
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return [
+    [0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928, 0],
+    [0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.14, 0.072 - cos * 0.072 - sin * 0.283, 0],
+    [0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072, 0],
+  ];
+};
+
+const grayscaleMatrix = (amount) => {
+  const a = 1 - Math.min(1, amount);
+  return [
+    [0.2126 + 0.7874 * a, 0.7152 - 0.7152 * a, 0.0722 - 0.0722 * a, 0],
+    [0.2126 - 0.2126 * a, 0.7152 + 0.2848 * a, 0.0722 - 0.0722 * a, 0],
+    [0.2126 - 0.2126 * a, 0.7152 - 0.7152 * a, 0.0722 + 0.9278 * a, 0],
+  ];
+};
+
+const sepiaMatrix = (amount) => {
+  const a = 1 - Math.min(1, amount);
+  return [
+    [0.393 + 0.607 * a, 0.769 - 0.769 * a, 0.189 - 0.189 * a, 0],
+    [0.349 - 0.349 * a, 0.686 + 0.314 * a, 0.168 - 0.168 * a, 0],
+    [0.272 - 0.272 * a, 0.534 - 0.534 * a, 0.131 + 0.869 * a, 0],
+  ];
+};
+
+const brightnessMatrix = (b) => [
+  [b, 0, 0, 0],
+  [0, b, 0, 0],
+  [0, 0, b, 0],
+];
+
+const contrastMatrix = (c) => {
+  const offset = 127.5 * (1 - c);
+  return [
+    [c, 0, 0, offset],
+    [0, c, 0, offset],
+    [0, 0, c, offset],
+  ];
+};
+
+const STEP_MATRICES = {
+  grayscale: grayscaleMatrix,
+  sepia: sepiaMatrix,
+  saturate: saturateMatrix,
+  'hue-rotate': hueRotateMatrix,
+  brightness: brightnessMatrix,
+  contrast: contrastMatrix,
+};
+
+// Returns the matrix equivalent to applying `first` and then `second`
+export const multiplyColorMatrices = (second, first) => second.map(row => [
+  row[0] * first[0][0] + row[1] * first[1][0] + row[2] * first[2][0],
+  row[0] * first[0][1] + row[1] * first[1][1] + row[2] * first[2][1],
+  row[0] * first[0][2] + row[1] * first[1][2] + row[2] * first[2][2],
+  row[0] * first[0][3] + row[1] * first[1][3] + row[2] * first[2][3] + row[3],
+]);
+
+// Collapse a list of filter steps into a single color matrix
+export const stepsToColorMatrix = (steps) => steps.reduce(
+  (matrix, [fn, amount]) => multiplyColorMatrices(STEP_MATRICES[fn](amount), matrix),
+  IDENTITY
+);
+
+export const getFilterMatrix = (filterName) => (
+  FILTER_PRESETS[filterName] ? stepsToColorMatrix(FILTER_PRESETS[filterName]) : null
+);
@@ -0,0 +1,71 @@
+import { formatBytes } from './download';
+
+// Largest file accepted for upload; anything over CHUNKED_UPLOAD_THRESHOLD
+// is sent in resumable chunks
+export const MAX_UPLOAD_SIZE = 500 * 1024 * 1024;
+export const CHUNKED_UPLOAD_THRESHOLD = 10 * 1024 * 1024;
+
+// Largest image the editor opens: the longest canvas side every browser
+// supports, and a pixel count previews can still be rendered at
+export const MAX_IMAGE_DIMENSION = 16384;
+export const MAX_IMAGE_PIXELS = 100 * 1000 * 1000;
+
+export const RAW_EXTENSIONS = ['.dng', '.cr2', '.cr3', '.nef', '.arw', '.raf', '.orf', '.rw2', '.pef', '.srw'];
+
+// Formats every current browser can decode and show directly
+const BROWSER_IMAGE_TYPES = {
+  'image/jpeg': ['.jpeg', '.jpg'],
+  'image/png': ['.png'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+};
+
+// Dropzone `accept` map. RAW files often arrive without a mime type, so
+// they are matched by extension.
+export const ACCEPTED_IMAGE_TYPES = {
+  ...BROWSER_IMAGE_TYPES,
+  'image/tiff': ['.tif', '.tiff'],
+  'image/heic': ['.heic'],
+  'image/heif': ['.heif'],
+  'image/x-raw': RAW_EXTENSIONS,
+};
+
+const getExtension = name => (name.match(/\.[^.]+$/)?.[0] || '').toLowerCase();
+
+// Whether the browser can show the file itself; anything else is decoded
+// on the server, which sends back a preview
+export const isBrowserDecodable = file => (
+  file.type in BROWSER_IMAGE_TYPES
+  || Object.values(BROWSER_IMAGE_TYPES).some(extensions => extensions.includes(getExtension(file.name)))
+);
+
+// Explain why react-dropzone refused a file
+export const describeRejection = ({ file, errors }) => {
+  const [error] = errors;
+  switch (error?.code) {
+    case 'file-too-large':
+      return `${file.name} is ${formatBytes(file.size)}; files can be at most ${formatBytes(MAX_UPLOAD_SIZE)}`;
+    case 'file-invalid-type':
+      return `${file.name} is not a supported format. Use JPEG, PNG, GIF, WebP, TIFF, HEIC or camera RAW `
+        + `(${RAW_EXTENSIONS.join(', ')})`;
+    case 'too-many-files':
+      return 'Drop one image at a time';
+    default:
+      return `${file.name} was rejected: ${error?.message || 'unknown reason'}`;
+  }
+};
+
+// Why an image of this size can't be edited, or null when it can
+export const describeDimensionProblem = (name, width, height) => {
+  if (!width || !height) {
+    return `${name} has no image data`;
+  }
+  if (Math.max(width, height) > MAX_IMAGE_DIMENSION) {
+    return `${name} is ${width} × ${height}; images can be at most ${MAX_IMAGE_DIMENSION} pixels on a side`;
+  }
+  if (width * height > MAX_IMAGE_PIXELS) {
+    const megapixels = Math.round((width * height) / 1e6);
+    return `${name} is ${megapixels} megapixels; images can be at most ${MAX_IMAGE_PIXELS / 1e6} megapixels`;
+  }
+  return null;
+};
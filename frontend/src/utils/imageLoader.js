@@ -0,0 +1,7 @@
+// Decode an image from a URL; resolves with the loaded HTMLImageElement
+export const loadImage = src => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Could not decode image'));
+  img.src = src;
+});
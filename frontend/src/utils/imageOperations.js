@@ -0,0 +1,476 @@
+import { getFilterMatrix, stepsToColorMatrix } from './filters';
+import { maskToCanvas } from './masks';
+import { EFFECT_DEFINITIONS, EFFECT_RENDERERS, createEffect } from './effects';
+import { applyCurves, applyLevels } from './tone';
+import { isEmptyLocalAdjustment, renderMaskWeights } from './localAdjustments';
+import { renderOverlay } from './overlays';
+
+export const DEFAULT_PROCESSING_SETTINGS = {
+  brightness: 0,
+  contrast: 0,
+  saturation: 0,
+  sharpness: 0,
+  levels: null,
+  curves: null,
+  selectedFilter: null,
+  cropDimensions: null,
+  // Masked adjust/filter layers in the order they run, see utils/localAdjustments.js
+  localAdjustments: [],
+  // Effects tab operations in the order they run, e.g. [{ type: 'vignette', params }]
+  effects: [],
+  styleTransfer: null,
+  redaction: null,
+  // Text, shape and logo annotations drawn last, see utils/overlays.js
+  overlays: [],
+};
+
+// Build the operation list sent to the backend from the editor settings
+export const buildOperations = (settings) => {
+  const operations = [
+    {
+      type: 'adjust',
+      params: {
+        brightness: settings.brightness,
+        contrast: settings.contrast,
+        saturation: settings.saturation,
+        sharpness: settings.sharpness
+      }
+    }
+  ];
+
+  if (settings.levels) {
+    operations.push({
+      type: 'levels',
+      params: settings.levels
+    });
+  }
+
+  if (settings.curves) {
+    operations.push({
+      type: 'curves',
+      params: settings.curves
+    });
+  }
+
+  if (settings.selectedFilter) {
+    operations.push({
+      type: 'filter',
+      params: {
+        name: settings.selectedFilter
+      }
+    });
+  }
+
+  (settings.localAdjustments || [])
+    .filter(layer => !isEmptyLocalAdjustment(layer))
+    .forEach(layer => {
+      operations.push({
+        type: 'localAdjust',
+        params: layer
+      });
+    });
+
+  operations.push(...(settings.effects || []).map(({ type, params }) => ({ type, params })));
+
+  if (settings.styleTransfer) {
+    operations.push({
+      type: 'styleTransfer',
+      params: settings.styleTransfer
+    });
+  }
+
+  // Redaction regions are in uncropped image pixels, so they go before crop
+  if (settings.redaction?.regions.length) {
+    operations.push({
+      type: 'redact',
+      params: settings.redaction
+    });
+  }
+
+  if (settings.cropDimensions) {
+    operations.push({
+      type: 'crop',
+      params: settings.cropDimensions
+    });
+  }
+
+  // Overlay sizes are relative to the final image, so they go after crop
+  if (settings.overlays?.length) {
+    operations.push({
+      type: 'overlay',
+      params: { items: settings.overlays }
+    });
+  }
+
+  return operations;
+};
+
+export const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// '16:9' -> 1.777..., anything unparseable (including 'custom') -> null
+export const parseAspectRatio = (aspectRatio) => {
+  const [ratioW, ratioH] = String(aspectRatio || '').split(':').map(Number);
+  return ratioW > 0 && ratioH > 0 ? ratioW / ratioH : null;
+};
+
+// Resolve crop params to a pixel rectangle in source image coordinates.
+// Aspect-ratio-only crops are centered and as large as possible.
+export const resolveCropRect = (params, width, height) => {
+  if (!params) return null;
+
+  if ([params.x, params.y, params.width, params.height].every(Number.isFinite)) {
+    const x = clamp(Math.round(params.x), 0, width - 1);
+    const y = clamp(Math.round(params.y), 0, height - 1);
+    return {
+      x,
+      y,
+      width: clamp(Math.round(params.width), 1, width - x),
+      height: clamp(Math.round(params.height), 1, height - y),
+    };
+  }
+
+  const ratio = parseAspectRatio(params.aspectRatio);
+  if (!ratio) return null;
+
+  const cropWidth = Math.round(Math.min(width, height * ratio));
+  const cropHeight = Math.round(Math.min(height, width / ratio));
+  return {
+    x: Math.round((width - cropWidth) / 2),
+    y: Math.round((height - cropHeight) / 2),
+    width: cropWidth,
+    height: cropHeight,
+  };
+};
+
+// Size of the image after the quarter-turn rotation in crop params
+export const getTransformedSize = (width, height, params = {}) => (
+  (params.rotate || 0) % 180 ? { width: height, height: width } : { width, height }
+);
+
+const hasGeometry = (params = {}) => !!(params.rotate || params.angle || params.flipHorizontal || params.flipVertical);
+
+// Draw `source` with the crop params' flip, 90° rotation and free straighten
+// angle applied. Straightening zooms in just enough to keep the corners
+// filled, so the output keeps the (rotated) image size.
+export const renderGeometry = (source, params = {}, { maxSize = Infinity } = {}) => {
+  const width = source.naturalWidth || source.width;
+  const height = source.naturalHeight || source.height;
+  const size = getTransformedSize(width, height, params);
+  const scale = Math.min(1, maxSize / Math.max(size.width, size.height));
+
+  if (!hasGeometry(params) && scale === 1) return source;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(size.width * scale));
+  canvas.height = Math.max(1, Math.round(size.height * scale));
+
+  const angle = ((params.angle || 0) * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const zoom = Math.max(
+    (size.width * cos + size.height * sin) / size.width,
+    (size.width * sin + size.height * cos) / size.height
+  );
+
+  const ctx = canvas.getContext('2d');
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.scale(params.flipHorizontal ? -scale : scale, params.flipVertical ? -scale : scale);
+  ctx.rotate(((params.rotate || 0) * Math.PI) / 180 + angle);
+  ctx.scale(zoom, zoom);
+  ctx.drawImage(source, -width / 2, -height / 2, width, height);
+
+  return canvas;
+};
+
+const applyColorMatrix = (imageData, m) => {
+  const { data } = imageData;
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    data[i] = m[0][0] * r + m[0][1] * g + m[0][2] * b + m[0][3];
+    data[i + 1] = m[1][0] * r + m[1][1] * g + m[1][2] * b + m[1][3];
+    data[i + 2] = m[2][0] * r + m[2][1] * g + m[2][2] * b + m[2][3];
+  }
+};
+
+// Positive amounts sharpen with a 3x3 Laplacian kernel, negative amounts
+// soften by blending towards a 3x3 box blur.
+const applySharpness = (imageData, amount) => {
+  const { data, width, height } = imageData;
+  const source = new Uint8ClampedArray(data);
+  const strength = Math.abs(amount) / 100;
+
+  for (let y = 0; y < height; y++) {
+    const up = Math.max(0, y - 1) * width;
+    const row = y * width;
+    const down = Math.min(height - 1, y + 1) * width;
+
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - 1);
+      const right = Math.min(width - 1, x + 1);
+      const i = (row + x) * 4;
+
+      for (let c = 0; c < 3; c++) {
+        const center = source[i + c];
+        const cross = source[(up + x) * 4 + c] + source[(down + x) * 4 + c]
+          + source[(row + left) * 4 + c] + source[(row + right) * 4 + c];
+
+        if (amount > 0) {
+          data[i + c] = center + strength * (4 * center - cross);
+        } else {
+          const corners = source[(up + left) * 4 + c] + source[(up + right) * 4 + c]
+            + source[(down + left) * 4 + c] + source[(down + right) * 4 + c];
+          const blurred = (center + cross + corners) / 9;
+          data[i + c] = center + strength * (blurred - center);
+        }
+      }
+    }
+  }
+};
+
+export const getAdjustMatrix = ({ brightness = 0, contrast = 0, saturation = 0 }) => stepsToColorMatrix([
+  ['brightness', 1 + brightness / 100],
+  ['contrast', 1 + contrast / 100],
+  ['saturate', 1 + saturation / 100],
+]);
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return canvas;
+};
+
+// Wrap an ImageData handler as a renderer that edits the canvas in place
+const pixelRenderer = handler => (canvas, params, context) => {
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  handler(imageData, params, context);
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+};
+
+const renderCrop = (canvas, params, { scale }) => {
+  const transformed = renderGeometry(canvas, params);
+  const scaledParams = [params.x, params.y, params.width, params.height].every(Number.isFinite)
+    ? { ...params, x: params.x * scale, y: params.y * scale, width: params.width * scale, height: params.height * scale }
+    : params;
+  const rect = resolveCropRect(scaledParams, transformed.width, transformed.height);
+  if (!rect) return transformed;
+
+  const cropped = createCanvas(rect.width, rect.height);
+  cropped.getContext('2d').drawImage(transformed, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+  return cropped;
+};
+
+// Blur and pixelate both shrink the region and scale it back up; smoothing
+// on gives a soft blur, smoothing off gives hard blocks. Block size follows
+// the region so small faces are as unreadable as large ones.
+const renderRedact = (canvas, params, { scale }) => {
+  const ctx = canvas.getContext('2d');
+  const mode = params.mode || 'blur';
+  const strength = params.strength ?? 50;
+
+  (params.regions || []).forEach(region => {
+    const x = clamp(Math.round(region.x * scale), 0, canvas.width - 1);
+    const y = clamp(Math.round(region.y * scale), 0, canvas.height - 1);
+    const width = clamp(Math.round(region.width * scale), 1, canvas.width - x);
+    const height = clamp(Math.round(region.height * scale), 1, canvas.height - y);
+
+    if (mode === 'box') {
+      ctx.fillStyle = params.color || '#000000';
+      ctx.fillRect(x, y, width, height);
+      return;
+    }
+
+    const blockSize = Math.max(2, (Math.min(width, height) * strength) / 400);
+    const small = createCanvas(Math.ceil(width / blockSize), Math.ceil(height / blockSize));
+    const smallCtx = small.getContext('2d');
+    smallCtx.imageSmoothingEnabled = true;
+    smallCtx.drawImage(canvas, x, y, width, height, 0, 0, small.width, small.height);
+
+    ctx.save();
+    ctx.imageSmoothingEnabled = mode !== 'pixelate';
+    ctx.drawImage(small, 0, 0, small.width, small.height, x, y, width, height);
+    ctx.restore();
+  });
+
+  return canvas;
+};
+
+// Style transfer needs the model, so the preview blends in a stylized copy
+// rendered by the server (the `styleTransfer:<style>` resource). Without it
+// the operation is skipped until the server result arrives.
+const renderStyleTransfer = (canvas, params, { resources }) => {
+  const stylized = resources[`styleTransfer:${params.style}`];
+  if (!stylized) return canvas;
+
+  const layer = document.createElement('canvas');
+  layer.width = canvas.width;
+  layer.height = canvas.height;
+  const layerCtx = layer.getContext('2d');
+  layerCtx.drawImage(stylized, 0, 0, layer.width, layer.height);
+  if (params.mask) {
+    layerCtx.globalCompositeOperation = 'destination-in';
+    layerCtx.drawImage(maskToCanvas(params.mask), 0, 0, layer.width, layer.height);
+  }
+
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.globalAlpha = (params.strength ?? 100) / 100;
+  ctx.drawImage(layer, 0, 0);
+  ctx.restore();
+  return canvas;
+};
+
+// Run the adjust / filter params on a copy of the canvas and blend it back in
+// by the mask's strength at each pixel
+const renderLocalAdjust = (canvas, params) => {
+  const { width, height } = canvas;
+  const adjusted = createCanvas(width, height);
+  adjusted.getContext('2d').drawImage(canvas, 0, 0);
+  OPERATION_RENDERERS.adjust(adjusted, params);
+  if (params.filter) OPERATION_RENDERERS.filter(adjusted, { name: params.filter });
+
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const { data } = imageData;
+  const target = adjusted.getContext('2d').getImageData(0, 0, width, height).data;
+  const weights = renderMaskWeights(params.mask, width, height).data;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const weight = (params.invert ? 255 - weights[i] : weights[i]) / 255;
+    if (!weight) continue;
+    data[i] += (target[i] - data[i]) * weight;
+    data[i + 1] += (target[i + 1] - data[i + 1]) * weight;
+    data[i + 2] += (target[i + 2] - data[i + 2]) * weight;
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+};
+
+// Renderer for each operation type: `(canvas, params, context) => canvas`.
+// Renderers may return a new canvas (e.g. crop changes the size). Pixel
+// coordinates in params are in full-size image pixels; `context.scale` maps
+// them onto the (possibly downscaled) working canvas.
+const OPERATION_RENDERERS = {
+  adjust: pixelRenderer((imageData, params) => {
+    if (params.brightness || params.contrast || params.saturation) {
+      applyColorMatrix(imageData, getAdjustMatrix(params));
+    }
+    if (params.sharpness) {
+      applySharpness(imageData, params.sharpness);
+    }
+  }),
+  filter: pixelRenderer((imageData, params) => {
+    const matrix = getFilterMatrix(params.name);
+    if (matrix) applyColorMatrix(imageData, matrix);
+  }),
+  levels: pixelRenderer(applyLevels),
+  curves: pixelRenderer(applyCurves),
+  localAdjust: renderLocalAdjust,
+  crop: renderCrop,
+  ...Object.fromEntries(Object.entries(EFFECT_RENDERERS).map(([type, handler]) => [type, pixelRenderer(handler)])),
+  styleTransfer: renderStyleTransfer,
+  redact: renderRedact,
+  overlay: renderOverlay,
+};
+
+// Render an operation list onto a new canvas, in list order. `source` is
+// any drawable (image, canvas, bitmap); `maxSize` caps the longest edge of
+// the working canvas so previews stay responsive on large images.
+// `resources` holds extra drawables some operations need, keyed by name.
+export const renderOperations = (source, operations, { maxSize = Infinity, resources = {} } = {}) => {
+  const width = source.naturalWidth || source.width;
+  const height = source.naturalHeight || source.height;
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+
+  let canvas = createCanvas(width * scale, height * scale);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  const context = { scale, resources };
+  operations.forEach(({ type, params }) => {
+    const renderer = OPERATION_RENDERERS[type];
+    if (renderer) canvas = renderer(canvas, params || {}, context);
+  });
+
+  return canvas;
+};
+
+const describeOperation = ({ type, params = {} }) => {
+  switch (type) {
+    case 'adjust': {
+      const changed = ['brightness', 'contrast', 'saturation', 'sharpness'].filter(key => params[key]);
+      return changed.length ? `Adjust ${changed.join(', ')}` : null;
+    }
+    case 'filter':
+      return params.name;
+    case 'levels':
+      return 'Levels';
+    case 'curves':
+      return `Curves (${Object.keys(params).join(', ')})`;
+    case 'crop': {
+      const parts = [params.aspectRatio && params.aspectRatio !== 'custom' ? `Crop ${params.aspectRatio}` : 'Crop'];
+      if (params.rotate) parts.push(`rotate ${params.rotate}°`);
+      if (params.angle) parts.push(`straighten ${params.angle}°`);
+      if (params.flipHorizontal || params.flipVertical) parts.push('flip');
+      return parts.join(', ');
+    }
+    case 'styleTransfer':
+      return `${params.style} style${params.mask ? ' (masked)' : ''}`;
+    case 'localAdjust':
+      return `Local ${params.mask?.kind || ''} adjustment`;
+    case 'redact': {
+      const count = params.regions?.length || 0;
+      return `Redact ${count} region${count === 1 ? '' : 's'} (${params.mode || 'blur'})`;
+    }
+    case 'overlay': {
+      const count = params.items?.length || 0;
+      return `Overlay ${count} item${count === 1 ? '' : 's'}`;
+    }
+    default:
+      return EFFECT_DEFINITIONS[type]?.label || type;
+  }
+};
+
+// Short human readable label for an operation list, e.g. for history entries
+export const describeOperations = (operations) => (
+  operations.map(describeOperation).filter(Boolean).join(' · ') || 'No changes'
+);
+
+// Map an operation list back onto editor settings. The settings only have
+// room for one of each operation type apart from effects and local
+// adjustments, so the first of each wins; the full list is kept as-is
+// wherever operations are applied directly.
+export const operationsToSettings = (operations) => {
+  const settings = { ...DEFAULT_PROCESSING_SETTINGS };
+  let hasAdjust = false;
+
+  operations.forEach(({ type, params = {} }) => {
+    if (type === 'adjust' && !hasAdjust) {
+      hasAdjust = true;
+      ['brightness', 'contrast', 'saturation', 'sharpness'].forEach(key => {
+        if (Number.isFinite(params[key])) settings[key] = params[key];
+      });
+    } else if ((type === 'levels' || type === 'curves') && !settings[type]) {
+      settings[type] = params;
+    } else if (type === 'filter' && !settings.selectedFilter) {
+      settings.selectedFilter = params.name || null;
+    } else if (type === 'crop' && !settings.cropDimensions) {
+      settings.cropDimensions = params;
+    } else if (EFFECT_DEFINITIONS[type]) {
+      settings.effects = [...settings.effects, createEffect(type, params)];
+    } else if (type === 'localAdjust') {
+      settings.localAdjustments = [...settings.localAdjustments, params];
+    } else if (type === 'styleTransfer' && !settings.styleTransfer) {
+      settings.styleTransfer = params;
+    } else if (type === 'redact' && !settings.redaction) {
+      settings.redaction = { ...params, regions: params.regions || [] };
+    } else if (type === 'overlay' && !settings.overlays.length) {
+      settings.overlays = params.items || [];
+    }
+  });
+
+  return settings;
+};
@@ -0,0 +1,102 @@
+import { maskToCanvas } from './masks';
+import { gaussianBlurPixels } from './effects';
+
+// Local adjustments are `localAdjust` operations: adjust / filter params
+// applied through a mask instead of to the whole image.
+//
+//   {
+//     mask: { kind: 'brush', bitmap, feather }
+//         | { kind: 'radial', centerX, centerY, radiusX, radiusY, feather }
+//         | { kind: 'linear', startX, startY, endX, endY },
+//     invert, brightness, contrast, saturation, sharpness, filter
+//   }
+//
+// Positions and radii are fractions of the image size (before any crop in
+// the same list). Brush masks are painted bitmaps, see utils/masks.js.
+// Radial masks are at full strength inside the feathered edge and fade out
+// towards the ellipse; linear masks fade from full at the start point to
+// nothing at the end point. `feather` is 0-100.
+
+export const LOCAL_MASK_KINDS = {
+  brush: 'Brush',
+  radial: 'Radial Gradient',
+  linear: 'Linear Gradient',
+};
+
+export const LOCAL_ADJUST_KEYS = ['brightness', 'contrast', 'saturation', 'sharpness'];
+
+const DEFAULT_MASKS = {
+  brush: { kind: 'brush', bitmap: null, feather: 20 },
+  radial: { kind: 'radial', centerX: 0.5, centerY: 0.5, radiusX: 0.3, radiusY: 0.3, feather: 50 },
+  // Top down to the middle, e.g. for darkening a sky
+  linear: { kind: 'linear', startX: 0.5, startY: 0, endX: 0.5, endY: 0.5 },
+};
+
+export const createLocalAdjustment = kind => ({
+  mask: { ...DEFAULT_MASKS[kind] },
+  invert: false,
+  brightness: 0,
+  contrast: 0,
+  saturation: 0,
+  sharpness: 0,
+});
+
+// A brush layer does nothing until something is painted
+export const isEmptyLocalAdjustment = ({ mask }) => mask.kind === 'brush' && !mask.bitmap;
+
+// Brush feather 100 blurs the edge by this fraction of the longest side
+const MAX_BRUSH_FEATHER = 0.05;
+
+// Mask strength at each pixel of a width x height canvas, 0-255 in the red
+// channel of the returned ImageData
+export const renderMaskWeights = (mask, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, width, height);
+
+  if (mask.kind === 'brush' && mask.bitmap) {
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(maskToCanvas(mask.bitmap), 0, 0, width, height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const radius = ((mask.feather ?? 0) / 100) * MAX_BRUSH_FEATHER * Math.max(width, height);
+    if (radius >= 0.5) imageData.data.set(gaussianBlurPixels(imageData.data, width, height, radius));
+    return imageData;
+  }
+
+  if (mask.kind === 'radial') {
+    // Unit circle scaled into the ellipse
+    const inner = Math.min(0.99, 1 - (mask.feather ?? 50) / 100);
+    ctx.save();
+    ctx.translate(mask.centerX * width, mask.centerY * height);
+    ctx.scale(Math.max(1e-3, mask.radiusX * width), Math.max(1e-3, mask.radiusY * height));
+    const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, 1);
+    gradient.addColorStop(inner, '#ffffff');
+    gradient.addColorStop(1, '#000000');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(-1, -1, 2, 2);
+    ctx.restore();
+  } else if (mask.kind === 'linear') {
+    const gradient = ctx.createLinearGradient(
+      mask.startX * width,
+      mask.startY * height,
+      mask.endX * width,
+      mask.endY * height
+    );
+    gradient.addColorStop(0, '#ffffff');
+    gradient.addColorStop(1, '#000000');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  return ctx.getImageData(0, 0, width, height);
+};
+
+// Short label for a layer, e.g. in the layer list
+export const describeLocalAdjustment = ({ mask, invert, filter, ...params }) => {
+  const changed = LOCAL_ADJUST_KEYS.filter(key => params[key]);
+  if (filter) changed.push(filter);
+  return `${LOCAL_MASK_KINDS[mask.kind]}${invert ? ' (inverted)' : ''}${changed.length ? `: ${changed.join(', ')}` : ''}`;
+};
@@ -0,0 +1,75 @@
+// Painted masks are stored as a low resolution on/off bitmap stretched over
+// the whole image:
+//
+//   { width, height, runs: [off, on, off, ...] }
+//
+// `runs` are alternating run lengths in row-major order, starting with an
+// "off" run (which may be 0). This keeps brush strokes small enough to live
+// in operation params and workflow files.
+
+// Longest edge of the mask bitmap
+export const MASK_MAX_SIZE = 256;
+
+export const getMaskSize = (width, height) => {
+  const scale = Math.min(1, MASK_MAX_SIZE / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+};
+
+// Encode a canvas' alpha channel; pixels at least half opaque are "on".
+// Returns null when nothing is painted.
+export const encodeMask = (canvas) => {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+  const runs = [];
+  let on = false;
+  let length = 0;
+  let hasOn = false;
+
+  for (let i = 3; i < data.length; i += 4) {
+    const pixelOn = data[i] >= 128;
+    if (pixelOn !== on) {
+      runs.push(length);
+      on = pixelOn;
+      length = 0;
+    }
+    if (pixelOn) hasOn = true;
+    length += 1;
+  }
+  runs.push(length);
+
+  return hasOn ? { width, height, runs } : null;
+};
+
+// Draw a mask onto a new canvas of its own size, `color` where it is on
+export const maskToCanvas = (mask, color = '#ffffff') => {
+  const canvas = document.createElement('canvas');
+  canvas.width = mask.width;
+  canvas.height = mask.height;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(mask.width, mask.height);
+  const { data } = imageData;
+
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, 1, 1);
+  const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+
+  let offset = 0;
+  mask.runs.forEach((length, index) => {
+    if (index % 2) {
+      const end = Math.min(offset + length, mask.width * mask.height);
+      for (let p = offset; p < end; p++) {
+        data[p * 4] = r;
+        data[p * 4 + 1] = g;
+        data[p * 4 + 2] = b;
+        data[p * 4 + 3] = 255;
+      }
+    }
+    offset += length;
+  });
+
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+};
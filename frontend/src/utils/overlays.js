@@ -0,0 +1,274 @@
+// Annotations drawn on top of the finished image by the `overlay` operation:
+//
+//   { items: [{ kind: 'text' | 'arrow' | 'rect' | 'logo', ... }] }
+//
+// The overlay runs after crop and every size and position is relative to
+// the output image, so the same overlay brands images of any size alike:
+// positions are fractions of the width / height, and lengths (font size,
+// line widths, margins, spacing) are fractions of the shorter side. Text and
+// logos are placed with a position preset plus margin, or at x / y when the
+// preset is 'custom', and can be tiled across the whole image. Logos carry
+// their image as a data URL so workflows stay self-contained.
+
+export const OVERLAY_KINDS = {
+  text: 'Text',
+  arrow: 'Arrow',
+  rect: 'Rectangle',
+  logo: 'Logo',
+};
+
+export const OVERLAY_POSITIONS = [
+  'top-left', 'top', 'top-right',
+  'left', 'center', 'right',
+  'bottom-left', 'bottom', 'bottom-right',
+  'custom',
+];
+
+// Font choices map to CSS font stacks; the server maps the same ids
+export const OVERLAY_FONTS = {
+  sans: 'Helvetica, Arial, sans-serif',
+  serif: 'Georgia, "Times New Roman", serif',
+  mono: '"Courier New", Courier, monospace',
+  display: 'Impact, "Arial Black", sans-serif',
+  script: '"Brush Script MT", "Segoe Script", cursive',
+};
+
+// Logos are downscaled to this longest edge before being embedded
+export const LOGO_MAX_SIZE = 512;
+
+const DEFAULT_ITEMS = {
+  text: {
+    kind: 'text',
+    text: '© Your Name',
+    font: 'sans',
+    size: 0.05,
+    bold: false,
+    italic: false,
+    color: '#ffffff',
+    strokeColor: '#000000',
+    strokeWidth: 0,
+    shadowColor: '#000000',
+    shadowBlur: 0,
+    position: 'bottom-right',
+    margin: 0.03,
+    opacity: 80,
+    rotation: 0,
+    tile: false,
+    tileSpacing: 0.1,
+  },
+  arrow: { kind: 'arrow', x1: 0.3, y1: 0.3, x2: 0.6, y2: 0.6, color: '#ef4444', width: 0.01, opacity: 100 },
+  rect: { kind: 'rect', x: 0.3, y: 0.3, width: 0.4, height: 0.3, color: '#ef4444', strokeWidth: 0.006, fill: false, opacity: 100 },
+  logo: {
+    kind: 'logo',
+    src: null,
+    width: 0.2,
+    position: 'bottom-right',
+    margin: 0.03,
+    opacity: 70,
+    rotation: 0,
+    tile: false,
+    tileSpacing: 0.1,
+  },
+};
+
+export const createOverlayItem = kind => ({ ...DEFAULT_ITEMS[kind] });
+
+// Resource name the preview decodes a logo under (see renderOperations)
+export const logoResourceName = src => `overlayLogo:${src}`;
+
+// Resources the overlay operations in `operations` need decoded
+export const getOverlayResources = operations => Object.fromEntries(
+  operations
+    .filter(({ type }) => type === 'overlay')
+    .flatMap(({ params }) => params.items || [])
+    .filter(item => item.kind === 'logo' && item.src)
+    .map(item => [logoResourceName(item.src), item.src])
+);
+
+// Center of a box of the given size for a position preset
+const placeBox = (item, boxWidth, boxHeight, width, height) => {
+  if (item.position === 'custom') return { x: (item.x ?? 0.5) * width, y: (item.y ?? 0.5) * height };
+
+  const margin = (item.margin ?? 0) * Math.min(width, height);
+  const [vertical, horizontal] = item.position.includes('-')
+    ? item.position.split('-')
+    : [['top', 'bottom'].includes(item.position) ? item.position : 'center', ['left', 'right'].includes(item.position) ? item.position : 'center'];
+
+  const x = { left: margin + boxWidth / 2, center: width / 2, right: width - margin - boxWidth / 2 }[horizontal];
+  const y = { top: margin + boxHeight / 2, center: height / 2, bottom: height - margin - boxHeight / 2 }[vertical];
+  return { x, y };
+};
+
+// Call `draw` with the context translated to each place the item goes:
+// once at its position, or on a grid covering the image when tiled
+const forEachPlacement = (ctx, item, boxWidth, boxHeight, draw) => {
+  const { width, height } = ctx.canvas;
+  const rotation = ((item.rotation || 0) * Math.PI) / 180;
+
+  const drawAt = (x, y) => {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(rotation);
+    draw();
+    ctx.restore();
+  };
+
+  if (!item.tile) {
+    const { x, y } = placeBox(item, boxWidth, boxHeight, width, height);
+    drawAt(x, y);
+    return;
+  }
+
+  const spacing = (item.tileSpacing ?? 0.1) * Math.min(width, height);
+  const stepX = boxWidth + spacing;
+  const stepY = boxHeight + spacing;
+  // Rotated tiles need rows beyond the edges to keep the corners covered
+  const reach = Math.hypot(width, height);
+  for (let row = -Math.ceil(reach / stepY); row <= Math.ceil(reach / stepY); row++) {
+    const offset = row % 2 ? stepX / 2 : 0;
+    for (let column = -Math.ceil(reach / stepX); column <= Math.ceil(reach / stepX); column++) {
+      const x = width / 2 + column * stepX + offset;
+      const y = height / 2 + row * stepY;
+      if (x > -boxWidth && x < width + boxWidth && y > -boxHeight && y < height + boxHeight) drawAt(x, y);
+    }
+  }
+};
+
+const drawText = (ctx, item) => {
+  const unit = Math.min(ctx.canvas.width, ctx.canvas.height);
+  const fontSize = Math.max(1, item.size * unit);
+  ctx.font = `${item.italic ? 'italic ' : ''}${item.bold ? 'bold ' : ''}${fontSize}px ${OVERLAY_FONTS[item.font] || OVERLAY_FONTS.sans}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  const lines = String(item.text || '').split('\n');
+  const lineHeight = fontSize * 1.2;
+  const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+  const boxHeight = lineHeight * lines.length;
+  const strokeWidth = ((item.strokeWidth || 0) / 100) * fontSize;
+
+  forEachPlacement(ctx, item, boxWidth, boxHeight, () => {
+    if (item.shadowBlur) {
+      ctx.shadowColor = item.shadowColor || '#000000';
+      ctx.shadowBlur = (item.shadowBlur / 100) * fontSize;
+      ctx.shadowOffsetX = fontSize * 0.05;
+      ctx.shadowOffsetY = fontSize * 0.05;
+    }
+    lines.forEach((line, index) => {
+      const y = (index - (lines.length - 1) / 2) * lineHeight;
+      if (strokeWidth) {
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = strokeWidth;
+        ctx.strokeStyle = item.strokeColor || '#000000';
+        ctx.strokeText(line, 0, y);
+        // The fill shouldn't cast a second shadow over the stroke
+        ctx.shadowColor = 'transparent';
+      }
+      ctx.fillStyle = item.color || '#ffffff';
+      ctx.fillText(line, 0, y);
+    });
+  });
+};
+
+const drawArrow = (ctx, item) => {
+  const { width, height } = ctx.canvas;
+  const lineWidth = Math.max(1, item.width * Math.min(width, height));
+  const x1 = item.x1 * width;
+  const y1 = item.y1 * height;
+  const x2 = item.x2 * width;
+  const y2 = item.y2 * height;
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const head = Math.min(lineWidth * 4, Math.hypot(x2 - x1, y2 - y1));
+
+  ctx.strokeStyle = item.color;
+  ctx.fillStyle = item.color;
+  ctx.lineWidth = lineWidth;
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  // Stop the shaft inside the head so its round cap doesn't poke out
+  ctx.lineTo(x2 - Math.cos(angle) * head * 0.8, y2 - Math.sin(angle) * head * 0.8);
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.moveTo(x2, y2);
+  ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 7), y2 - head * Math.sin(angle - Math.PI / 7));
+  ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 7), y2 - head * Math.sin(angle + Math.PI / 7));
+  ctx.closePath();
+  ctx.fill();
+};
+
+const drawRect = (ctx, item) => {
+  const { width, height } = ctx.canvas;
+  const x = item.x * width;
+  const y = item.y * height;
+  const rectWidth = item.width * width;
+  const rectHeight = item.height * height;
+
+  if (item.fill) {
+    ctx.fillStyle = item.color;
+    ctx.fillRect(x, y, rectWidth, rectHeight);
+    return;
+  }
+  ctx.strokeStyle = item.color;
+  ctx.lineWidth = Math.max(1, (item.strokeWidth ?? 0.006) * Math.min(width, height));
+  ctx.lineJoin = 'miter';
+  ctx.strokeRect(x, y, rectWidth, rectHeight);
+};
+
+const drawLogo = (ctx, item, resources) => {
+  const logo = resources[logoResourceName(item.src)];
+  if (!logo) return;
+
+  const logoWidth = Math.max(1, item.width * ctx.canvas.width);
+  const logoHeight = logoWidth * ((logo.naturalHeight || logo.height) / (logo.naturalWidth || logo.width));
+  forEachPlacement(ctx, item, logoWidth, logoHeight, () => {
+    ctx.drawImage(logo, -logoWidth / 2, -logoHeight / 2, logoWidth, logoHeight);
+  });
+};
+
+const ITEM_DRAWERS = {
+  text: drawText,
+  arrow: drawArrow,
+  rect: drawRect,
+  logo: drawLogo,
+};
+
+// Renderer for the `overlay` operation. Logos are drawn from decoded
+// `resources` and skipped until they are available.
+export const renderOverlay = (canvas, params, { resources = {} } = {}) => {
+  const ctx = canvas.getContext('2d');
+  (params.items || []).forEach(item => {
+    const draw = ITEM_DRAWERS[item.kind];
+    if (!draw) return;
+    ctx.save();
+    ctx.globalAlpha = Math.min(100, Math.max(0, item.opacity ?? 100)) / 100;
+    draw(ctx, item, resources);
+    ctx.restore();
+  });
+  return canvas;
+};
+
+// Read an image file as a PNG data URL no larger than LOGO_MAX_SIZE
+export const readLogoFile = file => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    const scale = Math.min(1, LOGO_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    resolve(canvas.toDataURL('image/png'));
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not read logo image'));
+  };
+  img.src = url;
+});
+
+export const describeOverlayItem = item => (
+  `${item.kind === 'text' ? `Text "${item.text}"` : OVERLAY_KINDS[item.kind]}${item.tile ? ' (tiled)' : ''}`
+);
@@ -0,0 +1,91 @@
+// Editing session persisted to IndexedDB so work survives a reload. A
+// session is
+//
+//   { originalImage, currentImage, history, processingSettings, appliedSettings, detections }
+//
+// where images are the editor's `{ src, file, id, width, height }` objects
+// and `history` is the edit history snapshot. Image sources are often
+// object URLs that die with the page, so every distinct src is stored once
+// as a Blob and swapped back for a fresh object URL on load. A loaded
+// session lists those URLs in `objectUrls`; the caller revokes them once the
+// session's images are no longer shown.
+
+const DB_NAME = 'imageEditor';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+const SESSION_KEY = 'last';
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Replace each image's src with a key into `images`
+const mapImages = (session, mapImage) => ({
+  ...session,
+  originalImage: session.originalImage && mapImage(session.originalImage),
+  currentImage: session.currentImage && mapImage(session.currentImage),
+  history: {
+    ...session.history,
+    steps: Object.fromEntries(Object.entries(session.history.steps).map(([id, step]) => [
+      id,
+      { ...step, image: step.image && mapImage(step.image) },
+    ])),
+  },
+});
+
+// `blobCache` (src -> Blob) avoids re-reading unchanged images on every save
+export const saveSession = async (session, blobCache = new Map()) => {
+  const keys = new Map();
+  const record = mapImages(session, (image) => {
+    if (!keys.has(image.src)) keys.set(image.src, `image-${keys.size}`);
+    return { ...image, src: keys.get(image.src) };
+  });
+
+  const images = {};
+  await Promise.all([...keys].map(async ([src, key]) => {
+    if (!blobCache.has(src)) blobCache.set(src, await fetch(src).then(response => response.blob()));
+    images[key] = blobCache.get(src);
+  }));
+  // Forget images no longer part of the session
+  [...blobCache.keys()].filter(src => !keys.has(src)).forEach(src => blobCache.delete(src));
+
+  await runRequest('readwrite', store => store.put({ ...record, images, savedAt: Date.now() }, SESSION_KEY));
+};
+
+// Resolves to the saved session (with fresh object URLs) or null
+export const loadSession = async () => {
+  const record = await runRequest('readonly', store => store.get(SESSION_KEY));
+  if (!record) return null;
+
+  const urls = Object.fromEntries(Object.entries(record.images).map(([key, blob]) => [key, URL.createObjectURL(blob)]));
+  const session = mapImages(record, image => ({ ...image, src: urls[image.src] }));
+  delete session.images;
+  session.objectUrls = Object.values(urls);
+  return session;
+};
+
+export const clearSession = () => runRequest('readwrite', store => store.delete(SESSION_KEY));
@@ -0,0 +1,78 @@
+import { WorkflowValidationError, validateOperation } from './workflowSchema';
+
+// Share links open the editor on a server image with an operation list:
+//
+//   https://editor.example/?image=<imageId>&ops=<base64url JSON operations>
+//
+// The operations are validated like an imported workflow before use.
+
+const IMAGE_PARAM = 'image';
+const OPERATIONS_PARAM = 'ops';
+// Longest link we hand out; many servers and proxies reject longer URLs
+export const MAX_SHARE_URL_LENGTH = 8000;
+
+// Thrown by buildShareUrl when the operations don't fit in a link, e.g.
+// with brush masks or a logo overlay
+export class ShareLinkTooLongError extends Error {
+  constructor(length) {
+    super(`These edits are too large for a share link (${Math.ceil(length / 1000)} KB, links can hold `
+      + `${MAX_SHARE_URL_LENGTH / 1000} KB). Apply them first, or remove brush masks and logos.`);
+    this.name = 'ShareLinkTooLongError';
+    this.length = length;
+  }
+}
+
+const toBase64Url = (text) => {
+  const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+// Throws ShareLinkTooLongError when the link would be too long to open
+export const buildShareUrl = (imageId, operations, baseUrl = window.location.href) => {
+  const url = new URL(baseUrl);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set(IMAGE_PARAM, imageId);
+  if (operations.length) url.searchParams.set(OPERATIONS_PARAM, toBase64Url(JSON.stringify(operations)));
+  const shareUrl = url.toString();
+  if (shareUrl.length > MAX_SHARE_URL_LENGTH) throw new ShareLinkTooLongError(shareUrl.length);
+  return shareUrl;
+};
+
+// `{ imageId, operations }` from a query string, or null when it isn't a
+// share link. Throws WorkflowValidationError for malformed operations.
+export const parseShareUrl = (search) => {
+  const params = new URLSearchParams(search);
+  const imageId = params.get(IMAGE_PARAM);
+  if (!imageId) return null;
+
+  let operations = [];
+  if (params.has(OPERATIONS_PARAM)) {
+    try {
+      operations = JSON.parse(fromBase64Url(params.get(OPERATIONS_PARAM)));
+    } catch (error) {
+      throw new WorkflowValidationError([{ path: OPERATIONS_PARAM, message: 'is not a valid encoded operation list' }]);
+    }
+    if (!Array.isArray(operations)) {
+      throw new WorkflowValidationError([{ path: OPERATIONS_PARAM, message: 'must be an array' }]);
+    }
+  }
+
+  const errors = operations.flatMap((operation, index) => validateOperation(operation, `operations[${index}]`));
+  if (errors.length) throw new WorkflowValidationError(errors);
+
+  return { imageId, operations };
+};
+
+// Drop share params from the address bar once the link has been opened
+export const clearShareParams = () => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(IMAGE_PARAM);
+  url.searchParams.delete(OPERATIONS_PARAM);
+  window.history.replaceState(null, '', url.toString());
+};
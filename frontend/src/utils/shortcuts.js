@@ -0,0 +1,75 @@
+// Keyboard shortcuts are stored as combo strings: lowercase modifiers in a
+// fixed order followed by the key, e.g. 'mod+shift+z', 'alt+2', '?'.
+// 'mod' is Ctrl, or Cmd on a Mac. A command can have several combos.
+
+export const DEFAULT_SHORTCUTS = {
+  commandPalette: ['mod+k'],
+  shortcutHelp: ['shift+?'],
+  undo: ['mod+z'],
+  redo: ['mod+shift+z', 'mod+y'],
+  apply: ['mod+enter'],
+  reset: ['shift+r'],
+  upload: ['o'],
+  export: ['shift+e'],
+  saveWorkflow: ['mod+s'],
+  'tab.adjust': ['1'],
+  'tab.filters': ['2'],
+  'tab.crop': ['3'],
+  'tab.effects': ['4'],
+  'tab.ai': ['5'],
+  'tab.overlay': ['6'],
+  smartEnhance: ['e'],
+  detectObjects: ['d'],
+  nextPreviewMode: ['v'],
+  fullscreen: ['f'],
+};
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+// Keys that only modify others and can't be bound on their own
+const MODIFIER_KEYS = ['Control', 'Meta', 'Alt', 'Shift'];
+
+// Combo for a keydown event, or null for a bare modifier press
+export const eventToCombo = (event) => {
+  if (MODIFIER_KEYS.includes(event.key)) return null;
+  const key = event.key === ' ' ? 'space' : event.key.toLowerCase();
+  return [
+    (event.ctrlKey || event.metaKey) && 'mod',
+    event.altKey && 'alt',
+    event.shiftKey && 'shift',
+    key,
+  ].filter(Boolean).join('+');
+};
+
+const KEY_LABELS = {
+  mod: isMac ? '⌘' : 'Ctrl',
+  alt: isMac ? '⌥' : 'Alt',
+  shift: isMac ? '⇧' : 'Shift',
+  enter: '↵',
+  backspace: '⌫',
+  arrowup: '↑',
+  arrowdown: '↓',
+  arrowleft: '←',
+  arrowright: '→',
+};
+
+// 'mod+shift+z' -> 'Ctrl+Shift+Z' (or '⌘⇧Z' on a Mac). A shifted symbol
+// like '?' is shown without the Shift it needs.
+export const formatCombo = (combo) => {
+  const [, prefix, key] = combo.match(/^((?:(?:mod|alt|shift)\+)*)(.+)$/);
+  const parts = prefix.split('+').filter(Boolean);
+  const modifiers = key.length === 1 && !/[a-z0-9]/.test(key) ? parts.filter(part => part !== 'shift') : parts;
+  const labels = [...modifiers, key].map(part => KEY_LABELS[part] || (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1)));
+  return labels.join(isMac ? '' : '+');
+};
+
+// Typing in these shouldn't trigger single-key shortcuts
+export const isTypingTarget = target => !!target?.closest?.('input, textarea, select, [contenteditable="true"]');
+
+// Bindings with the defaults for any command the user hasn't changed
+export const resolveShortcuts = custom => ({ ...DEFAULT_SHORTCUTS, ...custom });
+
+// Command id bound to `combo`, or null
+export const findCommandForCombo = (bindings, combo) => (
+  Object.keys(bindings).find(id => bindings[id].includes(combo)) || null
+);
@@ -0,0 +1,4 @@
+// Styles offered by the backend's style transfer model
+export const STYLE_TRANSFER_STYLES = ['Cubism', 'Impressionist', 'Starry Night', 'Pop Art'];
+
+export const DEFAULT_STYLE_STRENGTH = 75;
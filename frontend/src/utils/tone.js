@@ -0,0 +1,136 @@
+// Tone tools: histogram, tone curves and levels. Curves and levels are
+// applied through 256-entry lookup tables built from their params:
+//
+//   curves  { rgb, red, green, blue }  each a list of { x, y } points in 0-255
+//   levels  { inputBlack, inputWhite, gamma, outputBlack, outputWhite }
+//
+// The `rgb` curve applies to all channels after the per-channel curves.
+
+export const CURVE_CHANNELS = ['rgb', 'red', 'green', 'blue'];
+
+export const DEFAULT_CURVE = [{ x: 0, y: 0 }, { x: 255, y: 255 }];
+
+export const DEFAULT_LEVELS = {
+  inputBlack: 0,
+  inputWhite: 255,
+  gamma: 1,
+  outputBlack: 0,
+  outputWhite: 255,
+};
+
+// Per-channel and luminance counts for each 0-255 value
+export const computeHistogram = ({ data }) => {
+  const histogram = {
+    red: new Array(256).fill(0),
+    green: new Array(256).fill(0),
+    blue: new Array(256).fill(0),
+    luminance: new Array(256).fill(0),
+  };
+
+  for (let i = 0; i < data.length; i += 4) {
+    histogram.red[data[i]] += 1;
+    histogram.green[data[i + 1]] += 1;
+    histogram.blue[data[i + 2]] += 1;
+    histogram.luminance[Math.round(0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2])] += 1;
+  }
+
+  return histogram;
+};
+
+export const isIdentityCurve = points => (
+  !points || (points.length === 2 && points.every(({ x, y }) => x === y) && points[0].x === 0 && points[1].x === 255)
+);
+
+// Monotone cubic (Fritsch-Carlson) interpolation through the points, so the
+// curve never overshoots between points. Values outside the first/last
+// point are held flat.
+export const curveToLut = (points) => {
+  const lut = new Uint8ClampedArray(256);
+  const sorted = [...(points?.length ? points : DEFAULT_CURVE)].sort((a, b) => a.x - b.x);
+  const n = sorted.length;
+
+  if (n === 1) return lut.fill(sorted[0].y);
+
+  const slopes = [];
+  for (let i = 0; i < n - 1; i++) {
+    const dx = sorted[i + 1].x - sorted[i].x;
+    slopes.push(dx ? (sorted[i + 1].y - sorted[i].y) / dx : 0);
+  }
+
+  const tangents = sorted.map((_, i) => {
+    if (i === 0) return slopes[0];
+    if (i === n - 1) return slopes[n - 2];
+    return slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+  });
+  slopes.forEach((slope, i) => {
+    if (!slope) {
+      tangents[i] = 0;
+      tangents[i + 1] = 0;
+      return;
+    }
+    const a = tangents[i] / slope;
+    const b = tangents[i + 1] / slope;
+    const h = Math.hypot(a, b);
+    if (h > 3) {
+      tangents[i] = (3 * a * slope) / h;
+      tangents[i + 1] = (3 * b * slope) / h;
+    }
+  });
+
+  let segment = 0;
+  for (let x = 0; x < 256; x++) {
+    if (x <= sorted[0].x) {
+      lut[x] = sorted[0].y;
+    } else if (x >= sorted[n - 1].x) {
+      lut[x] = sorted[n - 1].y;
+    } else {
+      while (x > sorted[segment + 1].x) segment += 1;
+      const p0 = sorted[segment];
+      const p1 = sorted[segment + 1];
+      const h = p1.x - p0.x;
+      const t = (x - p0.x) / h;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      lut[x] = (2 * t3 - 3 * t2 + 1) * p0.y
+        + (t3 - 2 * t2 + t) * h * tangents[segment]
+        + (-2 * t3 + 3 * t2) * p1.y
+        + (t3 - t2) * h * tangents[segment + 1];
+    }
+  }
+  return lut;
+};
+
+export const levelsToLut = (params) => {
+  const { inputBlack, inputWhite, gamma, outputBlack, outputWhite } = { ...DEFAULT_LEVELS, ...params };
+  const lut = new Uint8ClampedArray(256);
+  const range = Math.max(1, inputWhite - inputBlack);
+
+  for (let x = 0; x < 256; x++) {
+    const normalized = Math.min(1, Math.max(0, (x - inputBlack) / range));
+    lut[x] = outputBlack + (outputWhite - outputBlack) * normalized ** (1 / gamma);
+  }
+  return lut;
+};
+
+const applyLuts = (imageData, [red, green, blue]) => {
+  const { data } = imageData;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = red[data[i]];
+    data[i + 1] = green[data[i + 1]];
+    data[i + 2] = blue[data[i + 2]];
+  }
+};
+
+export const applyCurves = (imageData, params) => {
+  const master = curveToLut(params.rgb);
+  const luts = ['red', 'green', 'blue'].map(channel => {
+    const channelLut = curveToLut(params[channel]);
+    return channelLut.map(value => master[value]);
+  });
+  applyLuts(imageData, luts);
+};
+
+export const applyLevels = (imageData, params) => {
+  const lut = levelsToLut(params);
+  applyLuts(imageData, [lut, lut, lut]);
+};
@@ -0,0 +1,89 @@
+import { clamp } from './imageOperations';
+
+// Zoom/pan state for the preview panes:
+//
+//   { zoom, centerX, centerY }
+//
+// `zoom` is screen pixels per image pixel, or null to fit the image in the
+// pane. `centerX`/`centerY` are the image point shown at the middle of the
+// pane as a fraction of the image size, so panes showing images of
+// different sizes (e.g. before and after a crop) stay in step.
+
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 8;
+// Zoom levels the zoom in / out buttons step through
+export const ZOOM_STEPS = [0.1, 0.25, 0.5, 1, 2, 4, 8];
+
+export const FIT_VIEW = { zoom: null, centerX: 0.5, centerY: 0.5 };
+
+// Largest zoom that shows the whole image; small images aren't upscaled
+export const getFitZoom = (pane, image) => (
+  pane.width && pane.height
+    ? Math.min(1, pane.width / image.width, pane.height / image.height)
+    : 1
+);
+
+export const getZoom = (view, pane, image) => view.zoom ?? getFitZoom(pane, image);
+
+// Keep the image covering the pane; an axis smaller than the pane is centered
+const clampCenter = (center, zoom, paneSize, imageSize) => {
+  const half = paneSize / (2 * zoom * imageSize);
+  return half >= 0.5 ? 0.5 : clamp(center, half, 1 - half);
+};
+
+export const clampView = (view, pane, image) => {
+  if (view.zoom === null) return FIT_VIEW;
+  const zoom = clamp(view.zoom, MIN_ZOOM, MAX_ZOOM);
+  return {
+    zoom,
+    centerX: clampCenter(view.centerX, zoom, pane.width, image.width),
+    centerY: clampCenter(view.centerY, zoom, pane.height, image.height),
+  };
+};
+
+// Image point (as fractions of the image size) under a point in the pane
+export const paneToImage = (view, point, pane, image) => {
+  const zoom = getZoom(view, pane, image);
+  return {
+    x: view.centerX + (point.x - pane.width / 2) / (zoom * image.width),
+    y: view.centerY + (point.y - pane.height / 2) / (zoom * image.height),
+  };
+};
+
+// Zoom to `zoom`, keeping the image point under `anchor` (pane pixels,
+// defaults to the middle of the pane) where it is
+export const zoomTo = (view, zoom, pane, image, anchor = { x: pane.width / 2, y: pane.height / 2 }) => {
+  const nextZoom = clamp(zoom, MIN_ZOOM, MAX_ZOOM);
+  const point = paneToImage(view, anchor, pane, image);
+  return clampView({
+    zoom: nextZoom,
+    centerX: point.x - (anchor.x - pane.width / 2) / (nextZoom * image.width),
+    centerY: point.y - (anchor.y - pane.height / 2) / (nextZoom * image.height),
+  }, pane, image);
+};
+
+// Next zoom step in `direction` (1 in, -1 out) from the current zoom
+export const stepZoom = (zoom, direction) => (
+  direction > 0
+    ? ZOOM_STEPS.find(step => step > zoom * 1.001) ?? MAX_ZOOM
+    : [...ZOOM_STEPS].reverse().find(step => step < zoom * 0.999) ?? MIN_ZOOM
+);
+
+// Move the view by a drag of (dx, dy) pane pixels
+export const panBy = (view, dx, dy, pane, image) => {
+  if (view.zoom === null) return view;
+  const zoom = getZoom(view, pane, image);
+  return clampView({
+    zoom,
+    centerX: view.centerX - dx / (zoom * image.width),
+    centerY: view.centerY - dy / (zoom * image.height),
+  }, pane, image);
+};
+
+// CSS transform placing an image-sized element in the pane
+export const getViewTransform = (view, pane, image) => {
+  const zoom = getZoom(view, pane, image);
+  const x = pane.width / 2 - view.centerX * image.width * zoom;
+  const y = pane.height / 2 - view.centerY * image.height * zoom;
+  return `translate(${x}px, ${y}px) scale(${zoom})`;
+};
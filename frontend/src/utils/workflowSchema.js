@@ -0,0 +1,414 @@
+import { FILTER_PRESETS } from './filters';
+import { STYLE_TRANSFER_STYLES } from './styleTransfer';
+import { EFFECT_DEFINITIONS } from './effects';
+import { OVERLAY_FONTS, OVERLAY_POSITIONS } from './overlays';
+import { downloadBlob } from './download';
+
+// Workflow files are JSON documents of the form
+//
+//   {
+//     "schemaVersion": 8,
+//     "name": "Product photos",
+//     "description": "optional",
+//     "operations": [{ "type": "adjust", "params": { "brightness": 10 } }, ...]
+//   }
+//
+// Operations run in order. Each operation type declares its params below;
+// unknown types and params are rejected so typos don't silently do nothing.
+//
+// Each new operation type bumps the version, so an older editor reports a
+// workflow that uses it as too new rather than as an unknown operation.
+//
+// Version history:
+//   1 - unversioned operation lists as first saved by the editor
+//   2 - adds `schemaVersion`; crop params may carry a pixel rect and geometry
+//   3 - adds `redact`
+//   4 - adds `styleTransfer`
+//   5 - adds the effect operations (see utils/effects.js)
+//   6 - adds `levels` and `curves`
+//   7 - adds `localAdjust`
+//   8 - adds `overlay`
+export const WORKFLOW_SCHEMA_VERSION = 8;
+
+const number = (min, max, extra = {}) => ({ type: 'number', min, max, ...extra });
+const boolean = () => ({ type: 'boolean' });
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const oneOf = values => ({ type: 'enum', values });
+// Nested values: arrays whose entries match `items`, objects with `shape`
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const objectOf = (shape, extra = {}) => ({ type: 'object', shape, ...extra });
+// Objects whose shape depends on the value of their `key` field
+const variantOf = (key, variants, extra = {}) => ({ type: 'object', key, variants, ...extra });
+
+const REGION = objectOf({
+  x: { ...number(0, Infinity), required: true },
+  y: { ...number(0, Infinity), required: true },
+  width: { ...number(1, Infinity), required: true },
+  height: { ...number(1, Infinity), required: true },
+  kind: string(),
+});
+
+// Tone curve control points, see utils/tone.js
+const CURVE = arrayOf(objectOf({
+  x: { ...number(0, 255), required: true },
+  y: { ...number(0, 255), required: true },
+}));
+
+// Run-length encoded bitmap, see utils/masks.js
+const MASK = objectOf({
+  width: { ...number(1, 4096), required: true },
+  height: { ...number(1, 4096), required: true },
+  runs: arrayOf(number(0, Infinity), { required: true }),
+});
+
+// Local adjustment masks, see utils/localAdjustments.js. Positions may lie
+// outside the image so gradients can start off-canvas.
+const POSITION = { ...number(-1, 2), required: true };
+const LOCAL_MASK = variantOf('kind', {
+  brush: {
+    bitmap: { ...MASK, required: true },
+    feather: number(0, 100),
+  },
+  radial: {
+    centerX: POSITION,
+    centerY: POSITION,
+    radiusX: { ...number(0, 4), required: true },
+    radiusY: { ...number(0, 4), required: true },
+    feather: number(0, 100),
+  },
+  linear: {
+    startX: POSITION,
+    startY: POSITION,
+    endX: POSITION,
+    endY: POSITION,
+  },
+}, { required: true });
+
+// Overlay items, see utils/overlays.js. Sizes are fractions of the output
+// image; logos are embedded PNG / JPEG / WebP data URLs.
+const COLOR = string({ pattern: /^#[0-9a-f]{6}$/i });
+const FRACTION = { ...number(0, 1), required: true };
+const PLACEMENT = {
+  position: { ...oneOf(OVERLAY_POSITIONS), required: true },
+  x: number(0, 1),
+  y: number(0, 1),
+  margin: number(0, 0.5),
+  opacity: number(0, 100),
+  rotation: number(-180, 180),
+  tile: boolean(),
+  tileSpacing: number(0, 1),
+};
+const OVERLAY_ITEM = variantOf('kind', {
+  text: {
+    ...PLACEMENT,
+    text: { ...string({ maxLength: 500 }), required: true },
+    font: oneOf(Object.keys(OVERLAY_FONTS)),
+    size: { ...number(0.005, 1), required: true },
+    bold: boolean(),
+    italic: boolean(),
+    color: COLOR,
+    strokeColor: COLOR,
+    strokeWidth: number(0, 50),
+    shadowColor: COLOR,
+    shadowBlur: number(0, 100),
+  },
+  arrow: {
+    x1: FRACTION,
+    y1: FRACTION,
+    x2: FRACTION,
+    y2: FRACTION,
+    color: COLOR,
+    width: number(0.001, 0.2),
+    opacity: number(0, 100),
+  },
+  rect: {
+    x: FRACTION,
+    y: FRACTION,
+    width: FRACTION,
+    height: FRACTION,
+    color: COLOR,
+    strokeWidth: number(0.001, 0.2),
+    fill: boolean(),
+    opacity: number(0, 100),
+  },
+  logo: {
+    ...PLACEMENT,
+    src: {
+      ...string({ pattern: /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/=]+$/, maxLength: 2000000 }),
+      required: true,
+    },
+    width: { ...number(0.01, 1), required: true },
+  },
+});
+
+// Effects take the ranges of their panel controls
+const effectSchemas = () => Object.fromEntries(
+  Object.entries(EFFECT_DEFINITIONS).map(([type, { controls }]) => [
+    type,
+    Object.fromEntries(controls.map(({ key, min, max }) => [key, number(min, max)])),
+  ])
+);
+
+export const OPERATION_SCHEMAS = {
+  adjust: {
+    brightness: number(-100, 100),
+    contrast: number(-100, 100),
+    saturation: number(-100, 100),
+    sharpness: number(-100, 100),
+  },
+  levels: {
+    inputBlack: number(0, 254),
+    inputWhite: number(1, 255),
+    gamma: number(0.1, 10),
+    outputBlack: number(0, 255),
+    outputWhite: number(0, 255),
+  },
+  curves: {
+    rgb: CURVE,
+    red: CURVE,
+    green: CURVE,
+    blue: CURVE,
+  },
+  filter: {
+    name: { ...oneOf(Object.keys(FILTER_PRESETS)), required: true },
+  },
+  crop: {
+    aspectRatio: string({ pattern: /^(custom|\d+(\.\d+)?:\d+(\.\d+)?)$/ }),
+    x: number(0, Infinity),
+    y: number(0, Infinity),
+    width: number(1, Infinity),
+    height: number(1, Infinity),
+    rotate: oneOf([0, 90, 180, 270]),
+    angle: number(-45, 45),
+    flipHorizontal: boolean(),
+    flipVertical: boolean(),
+  },
+  localAdjust: {
+    mask: LOCAL_MASK,
+    invert: boolean(),
+    brightness: number(-100, 100),
+    contrast: number(-100, 100),
+    saturation: number(-100, 100),
+    sharpness: number(-100, 100),
+    filter: oneOf(Object.keys(FILTER_PRESETS)),
+  },
+  ...effectSchemas(),
+  styleTransfer: {
+    style: { ...oneOf(STYLE_TRANSFER_STYLES), required: true },
+    strength: number(0, 100),
+    mask: MASK,
+  },
+  // Regions are in image pixels before any crop in the same list
+  redact: {
+    mode: { ...oneOf(['blur', 'pixelate', 'box']), required: true },
+    strength: number(1, 100),
+    color: string({ pattern: /^#[0-9a-f]{6}$/i }),
+    regions: arrayOf(REGION, { required: true }),
+  },
+  // Drawn on the final image, after any crop in the same list
+  overlay: {
+    items: arrayOf(OVERLAY_ITEM, { required: true }),
+  },
+};
+
+export class WorkflowValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid workflow:\n${errors.map(({ path, message }) => `${path}: ${message}`).join('\n')}`);
+    this.name = 'WorkflowValidationError';
+    this.errors = errors;
+  }
+}
+
+const checkParam = (spec, value) => {
+  switch (spec.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (value < spec.min || value > spec.max) {
+        return spec.max === Infinity ? `must be at least ${spec.min}` : `must be between ${spec.min} and ${spec.max}`;
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (spec.maxLength && value.length > spec.maxLength) return `must be at most ${spec.maxLength} characters`;
+      if (!spec.pattern || spec.pattern.test(value)) return null;
+      // Data URLs can be megabytes long
+      return `"${value.length > 40 ? `${value.slice(0, 40)}…` : value}" is not a valid value`;
+    case 'enum':
+      return spec.values.includes(value)
+        ? null
+        : `must be one of ${spec.values.map(v => JSON.stringify(v)).join(', ')}`;
+    case 'object':
+      return value !== null && typeof value === 'object' ? null : 'must be an object';
+    case 'array':
+      return Array.isArray(value) ? null : 'must be an array';
+    default:
+      return null;
+  }
+};
+
+const validateValue = (spec, value, path, owner) => {
+  const message = checkParam(spec, value);
+  if (message) return [{ path, message }];
+
+  if (spec.variants) {
+    const shape = spec.variants[value[spec.key]];
+    if (!shape) {
+      return [{
+        path: `${path}.${spec.key}`,
+        message: `must be one of ${Object.keys(spec.variants).map(v => JSON.stringify(v)).join(', ')}`
+      }];
+    }
+    return validateParams({ [spec.key]: string(), ...shape }, value, path, `${owner} ${value[spec.key]}`);
+  }
+  if (spec.shape) {
+    return Array.isArray(value)
+      ? [{ path, message: 'must be an object' }]
+      : validateParams(spec.shape, value, path, owner);
+  }
+  if (spec.items) {
+    return value.flatMap((item, index) => validateValue(spec.items, item, `${path}[${index}]`, owner));
+  }
+  return [];
+};
+
+const validateParams = (schema, params, path, owner) => {
+  const errors = [];
+  Object.entries(schema).forEach(([key, spec]) => {
+    if (params[key] === undefined || params[key] === null) {
+      if (spec.required) errors.push({ path: `${path}.${key}`, message: 'is required' });
+      return;
+    }
+    errors.push(...validateValue(spec, params[key], `${path}.${key}`, key));
+  });
+
+  Object.keys(params)
+    .filter(key => !schema[key])
+    .forEach(key => errors.push({ path: `${path}.${key}`, message: `unknown param for ${owner}` }));
+
+  return errors;
+};
+
+export const validateOperation = (operation, path = 'operation') => {
+  if (!operation || typeof operation !== 'object') {
+    return [{ path, message: 'must be an object with type and params' }];
+  }
+
+  const schema = OPERATION_SCHEMAS[operation.type];
+  if (!schema) {
+    return [{
+      path: `${path}.type`,
+      message: `unknown operation type "${operation.type}" (expected one of ${Object.keys(OPERATION_SCHEMAS).join(', ')})`
+    }];
+  }
+
+  const params = operation.params ?? {};
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return [{ path: `${path}.params`, message: 'must be an object' }];
+  }
+
+  return validateParams(schema, params, `${path}.params`, operation.type);
+};
+
+// Returns a list of `{ path, message }`; empty when the workflow is valid
+export const validateWorkflow = (workflow) => {
+  if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+    return [{ path: 'workflow', message: 'must be a JSON object' }];
+  }
+
+  const errors = [];
+  if (workflow.schemaVersion !== WORKFLOW_SCHEMA_VERSION) {
+    errors.push({ path: 'schemaVersion', message: `must be ${WORKFLOW_SCHEMA_VERSION}` });
+  }
+  if (typeof workflow.name !== 'string' || !workflow.name.trim()) {
+    errors.push({ path: 'name', message: 'is required' });
+  }
+  if (workflow.description !== undefined && typeof workflow.description !== 'string') {
+    errors.push({ path: 'description', message: 'must be a string' });
+  }
+  if (!Array.isArray(workflow.operations)) {
+    errors.push({ path: 'operations', message: 'must be an array' });
+    return errors;
+  }
+
+  workflow.operations.forEach((operation, index) => {
+    errors.push(...validateOperation(operation, `operations[${index}]${operation?.type ? ` (${operation.type})` : ''}`));
+  });
+
+  return errors;
+};
+
+// Versions that only add operation types need no changes beyond the number
+const addsOperations = version => workflow => ({ ...workflow, schemaVersion: version });
+
+// Each migration upgrades a workflow from version N to N + 1
+const MIGRATIONS = {
+  1: workflow => ({
+    ...workflow,
+    schemaVersion: 2,
+    operations: (workflow.operations || [])
+      // v1 saved "None" filters and ratio-less custom crops, which never had an effect
+      .filter(op => !(op?.type === 'filter' && (!op.params?.name || op.params.name === 'None')))
+      .filter(op => !(op?.type === 'crop' && op.params?.aspectRatio === 'custom'
+        && !Number.isFinite(op.params?.width)))
+      .map(op => ({ ...op, params: op?.params || {} })),
+  }),
+  2: addsOperations(3),
+  3: addsOperations(4),
+  4: addsOperations(5),
+  5: addsOperations(6),
+  6: addsOperations(7),
+  7: addsOperations(8),
+};
+
+export const migrateWorkflow = (workflow) => {
+  let migrated = workflow;
+  let version = migrated?.schemaVersion ?? 1;
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new WorkflowValidationError([{ path: 'schemaVersion', message: 'must be a positive integer' }]);
+  }
+  if (version > WORKFLOW_SCHEMA_VERSION) {
+    throw new WorkflowValidationError([{
+      path: 'schemaVersion',
+      message: `version ${version} is newer than this editor supports (${WORKFLOW_SCHEMA_VERSION})`
+    }]);
+  }
+
+  while (version < WORKFLOW_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.schemaVersion;
+  }
+  return migrated;
+};
+
+// Parse, migrate and validate the text of a workflow file
+export const parseWorkflowFile = (text) => {
+  let workflow;
+  try {
+    workflow = JSON.parse(text);
+  } catch (error) {
+    throw new WorkflowValidationError([{ path: 'file', message: `is not valid JSON (${error.message})` }]);
+  }
+
+  const migrated = migrateWorkflow(workflow);
+  const errors = validateWorkflow(migrated);
+  if (errors.length) throw new WorkflowValidationError(errors);
+
+  return migrated;
+};
+
+export const serializeWorkflow = ({ name, description, operations }) => JSON.stringify({
+  schemaVersion: WORKFLOW_SCHEMA_VERSION,
+  name,
+  ...(description ? { description } : {}),
+  operations,
+}, null, 2);
+
+// Download a workflow as a versioned .json file
+export const downloadWorkflow = (workflow) => {
+  const slug = (workflow.name || 'workflow').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const blob = new Blob([serializeWorkflow(workflow)], { type: 'application/json' });
+  downloadBlob(blob, `${slug || 'workflow'}.workflow.json`);
+};